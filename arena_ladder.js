@@ -0,0 +1,282 @@
+// =================================================================
+// ARENA LADDER — Matchmaking queues, Elo ratings & seasons
+// =================================================================
+// Teaching: arenas (game_arenas, edited in AdminSauce) of type QUEUE get
+// a server-side waiting list. Joining checks the level range, takes the
+// entry fee and records your rating. Every few seconds the matchmaker
+// pairs the two closest ratings whose gap fits inside their search
+// window — the window widens the longer you wait, so nobody sits in the
+// queue forever. A match becomes a normal PvP battle with arenaId set and
+// ranked=true; endBattle then applies the arena's reward multiplier and
+// calls recordResult() here to move both ratings.
+//
+// Ratings are Elo, one row per character per season (arena_ratings).
+// The season is the newest arena_seasons row with is_active=1; with no
+// seasons defined everything lands in season 0 ("all-time").
+//
+// Settings (game_settings / system_settings), all optional:
+//   arena_start_rating    rating a newcomer starts at (1000)
+//   arena_k_factor        Elo K — how far one result moves you (32)
+//   arena_rating_window   starting search window, rating points (100)
+//   arena_window_growth   window added per 10s of waiting (50)
+//   arena_level_band      max level gap when the arena has level_matching (5)
+
+const QUEUE_TICK_MS = 3000;
+const DEFAULTS = { startRating: 1000, kFactor: 32, ratingWindow: 100, windowGrowth: 50, levelBand: 5 };
+
+let db = null;
+let io = null;
+let battles = null; // BattleManager (passed in to avoid a require cycle)
+let tickTimer = null;
+const queues = {};  // arenaId -> [{ socketId, charId, userId, name, level, rating, fee, joinedAt }]
+
+function init(database, socketServer, battleManager) {
+    db = database;
+    io = socketServer;
+    battles = battleManager;
+    if (tickTimer) clearInterval(tickTimer);
+    tickTimer = setInterval(() => tick().catch(e => console.error('Arena matchmaker error:', e)), QUEUE_TICK_MS);
+    if (tickTimer.unref) tickTimer.unref();
+}
+
+async function loadRules(d) {
+    const num = async (key, fallback) => {
+        const v = battles ? await battles.querySetting(d, key) : null;
+        return v === null || v === '' || isNaN(v) ? fallback : Number(v);
+    };
+    return {
+        startRating: await num('arena_start_rating', DEFAULTS.startRating),
+        kFactor: await num('arena_k_factor', DEFAULTS.kFactor),
+        ratingWindow: await num('arena_rating_window', DEFAULTS.ratingWindow),
+        windowGrowth: await num('arena_window_growth', DEFAULTS.windowGrowth),
+        levelBand: await num('arena_level_band', DEFAULTS.levelBand)
+    };
+}
+
+// =================================================================
+// RATINGS
+// =================================================================
+async function currentSeason(d) {
+    try {
+        const [rows] = await d.query("SELECT id, name FROM arena_seasons WHERE is_active=1 ORDER BY id DESC LIMIT 1");
+        return rows.length ? rows[0] : { id: 0, name: 'All-time' };
+    } catch (e) {
+        return { id: 0, name: 'All-time' }; // arena_seasons not migrated
+    }
+}
+
+async function getRating(d, charId, seasonId, startRating) {
+    try {
+        const [rows] = await d.query("SELECT * FROM arena_ratings WHERE character_id=? AND season_id=?", [charId, seasonId]);
+        if (rows.length) return rows[0];
+    } catch (e) { /* arena_ratings not migrated */ }
+    return { character_id: charId, season_id: seasonId, rating: startRating, wins: 0, losses: 0, peak: startRating };
+}
+
+// This season's rating for one character (tournaments seed by it)
+async function ratingFor(d, charId) {
+    const rules = await loadRules(d);
+    const season = await currentSeason(d);
+    return (await getRating(d, charId, season.id, rules.startRating)).rating;
+}
+
+// Chance that rating a beats rating b
+function expectedScore(a, b) {
+    return 1 / (1 + Math.pow(10, (b - a) / 400));
+}
+
+// Called by endBattle for ranked battles.
+// -> { [charId]: { rating, delta } } (empty if nothing was rated)
+async function recordResult(d, battle, winners, losers) {
+    const out = {};
+    const humans = list => list.filter(c => !c.isAI && !c.monsterId);
+    const won = humans(winners), lost = humans(losers);
+    if (!battle.ranked || !won.length || !lost.length) return out;
+
+    const rules = await loadRules(d);
+    const season = await currentSeason(d);
+    const rows = {};
+    for (const c of [...won, ...lost]) rows[c.charId] = await getRating(d, c.charId, season.id, rules.startRating);
+
+    // Teams rate as their average; everyone on a side moves by the same amount
+    const avg = list => list.reduce((sum, c) => sum + rows[c.charId].rating, 0) / list.length;
+    const delta = Math.max(1, Math.round(rules.kFactor * (1 - expectedScore(avg(won), avg(lost)))));
+
+    try {
+        for (const c of [...won, ...lost]) {
+            const isWin = won.includes(c);
+            const rating = Math.max(0, rows[c.charId].rating + (isWin ? delta : -delta));
+            await d.query(
+                `INSERT INTO arena_ratings (character_id, season_id, rating, wins, losses, peak)
+                 VALUES (?,?,?,?,?,?)
+                 ON DUPLICATE KEY UPDATE rating=VALUES(rating), wins=wins+VALUES(wins),
+                    losses=losses+VALUES(losses), peak=GREATEST(peak, VALUES(peak))`,
+                [c.charId, season.id, rating, isWin ? 1 : 0, isWin ? 0 : 1, rating]
+            );
+            out[c.charId] = { rating, delta: isWin ? delta : -delta };
+        }
+    } catch (e) {
+        console.warn('Arena ratings not saved (run mysql_battle_engine_SAFE.sql):', e.message);
+        return {};
+    }
+    return out;
+}
+
+async function leaderboard(d, { seasonId = null, limit = 50 } = {}) {
+    const season = seasonId === null ? await currentSeason(d) : { id: seasonId };
+    const [rows] = await d.query(
+        `SELECT ar.character_id, c.name, c.level, ar.rating, ar.wins, ar.losses, ar.peak
+         FROM arena_ratings ar JOIN characters c ON c.id = ar.character_id
+         WHERE ar.season_id=? ORDER BY ar.rating DESC, ar.wins DESC LIMIT ?`,
+        [season.id, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)]
+    );
+    return { season, ranks: rows.map((r, i) => ({ rank: i + 1, ...r })) };
+}
+
+// =================================================================
+// QUEUE
+// =================================================================
+function findQueued(socketId) {
+    for (const [arenaId, q] of Object.entries(queues)) {
+        const entry = q.find(e => e.socketId === socketId);
+        if (entry) return { arenaId: Number(arenaId), entry };
+    }
+    return null;
+}
+
+function isQueued(socketId) {
+    return !!findQueued(socketId);
+}
+
+function queueSizes() {
+    return Object.fromEntries(Object.entries(queues).map(([id, q]) => [id, q.length]));
+}
+
+// p = onlinePlayers entry. -> { success, position } or { error }
+async function joinQueue(socket, p, arenaId) {
+    arenaId = parseInt(arenaId, 10);
+    const arena = arenaId && battles ? await battles.queryArenaRow(db, arenaId) : null;
+    if (!arena || arena.enabled === 0) return { error: 'That arena is closed.' };
+    if (String(arena.type || '').toUpperCase() !== 'QUEUE') return { error: 'That arena has no matchmaking queue.' };
+    if (socket._battleId) return { error: 'You are already in a battle.' };
+    if (findQueued(socket.id)) return { error: 'You are already queued.' };
+    if (p.level < (arena.min_level || 1) || (arena.max_level && p.level > arena.max_level)) {
+        return { error: `This arena is for levels ${arena.min_level}-${arena.max_level}.` };
+    }
+    const q = queues[arenaId] = queues[arenaId] || [];
+    if (arena.max_players && q.length >= arena.max_players) return { error: 'The queue is full.' };
+
+    // Entry fee up front (refunded if you leave before a match)
+    const fee = Math.max(0, parseInt(arena.entry_fee, 10) || 0);
+    if (fee) {
+        const [r] = await db.query("UPDATE users SET currency=currency-? WHERE id=? AND currency>=?", [fee, p.userId, fee]);
+        if (!r.affectedRows) return { error: `Entry costs ${fee} gold.` };
+    }
+
+    const rules = await loadRules(db);
+    const season = await currentSeason(db);
+    const row = await getRating(db, p.charId, season.id, rules.startRating);
+    q.push({ socketId: socket.id, charId: p.charId, userId: p.userId, name: p.name, level: p.level,
+        rating: row.rating, fee, joinedAt: Date.now() });
+    return { success: true, arenaId, position: q.length, rating: row.rating, fee };
+}
+
+// Leaving on purpose (or disconnecting) gives the fee back
+async function leaveQueue(socket, refund = true) {
+    const found = findQueued(socket.id);
+    if (!found) return false;
+    const q = queues[found.arenaId];
+    q.splice(q.indexOf(found.entry), 1);
+    if (refund) await refundFee(found.entry);
+    return true;
+}
+
+async function refundFee(e) {
+    if (e.fee) await db.query("UPDATE users SET currency=currency+? WHERE id=?", [e.fee, e.userId]);
+}
+
+// Queued player's socket if they can still fight, else null
+function readySocket(e) {
+    const s = io.sockets.sockets.get(e.socketId);
+    return s && !s._battleId ? s : null;
+}
+
+// Pair up waiting players, oldest first
+async function tick() {
+    if (!db || !battles) return;
+    const rules = await loadRules(db);
+    const now = Date.now();
+    const windowOf = e => rules.ratingWindow + rules.windowGrowth * Math.floor((now - e.joinedAt) / 10000);
+
+    for (const [arenaId, q] of Object.entries(queues)) {
+        // Drop anyone who vanished or got pulled into another fight
+        for (const e of [...q]) {
+            if (!readySocket(e)) {
+                q.splice(q.indexOf(e), 1);
+                await refundFee(e);
+            }
+        }
+        if (q.length < 2) continue;
+
+        const arena = await battles.queryArenaRow(db, arenaId);
+        if (!arena) continue;
+        q.sort((a, b) => a.joinedAt - b.joinedAt);
+
+        const matched = new Set();
+        for (const a of q) {
+            if (matched.has(a)) continue;
+            let best = null;
+            for (const b of q) {
+                if (b === a || matched.has(b)) continue;
+                const gap = Math.abs(a.rating - b.rating);
+                if (gap > Math.max(windowOf(a), windowOf(b))) continue;
+                if (arena.level_matching !== 0 && Math.abs(a.level - b.level) > rules.levelBand) continue;
+                if (!best || gap < Math.abs(a.rating - best.rating)) best = b;
+            }
+            if (!best) continue;
+            // The awaits above give players time to disconnect (leaveQueue already
+            // refunded those) or get pulled into a fight: drop them, keep the other queued
+            const gone = [a, best].filter(e => !q.includes(e) || !readySocket(e));
+            if (gone.length) {
+                for (const e of gone) {
+                    if (!q.includes(e)) continue;
+                    matched.add(e);
+                    await refundFee(e);
+                }
+                continue;
+            }
+            matched.add(a);
+            matched.add(best);
+            try {
+                await startMatch(arena, a, best);
+            } catch (err) {
+                console.error("Arena match error:", err);
+                await refundFee(a);
+                await refundFee(best);
+            }
+        }
+        queues[arenaId] = q.filter(e => !matched.has(e));
+    }
+}
+
+// Both players were checked ready by tick() just before this
+async function startMatch(arena, a, b) {
+    const sa = readySocket(a);
+    const sb = readySocket(b);
+    for (const [s, me, foe] of [[sa, a, b], [sb, b, a]]) {
+        s.emit('arena_queue', { status: 'MATCHED', arenaId: arena.id, opponent: foe.name, opponentRating: foe.rating, rating: me.rating });
+    }
+    const battleId = await battles.createBattle(db, io, {
+        type: 'PVP',
+        arenaId: arena.id,
+        mapId: arena.map_id,
+        ranked: true,
+        sides: [[{ charId: a.charId, socket: sa }], [{ charId: b.charId, socket: sb }]]
+    });
+    if (!battleId) {
+        // Couldn't build the fight: hand the fees back
+        for (const e of [a, b]) await refundFee(e);
+    }
+}
+
+module.exports = { init, joinQueue, leaveQueue, isQueued, queueSizes, recordResult, leaderboard, currentSeason, ratingFor, expectedScore };
@@ -0,0 +1,514 @@
+// =================================================================
+// ARENA TOURNAMENTS — Sign-ups, brackets, scheduled matches & prizes
+// =================================================================
+// Teaching: staff create a tournament in AdminSauce (arena_tournaments)
+// with a format, a sign-up window and a start time. Players sign up over
+// Socket.IO while the window is open (the entry fee is taken then and
+// refunded if they withdraw or the tournament is cancelled).
+//
+// At starts_at the tick below seeds everyone by their current arena
+// rating and builds the whole bracket up front:
+//   SINGLE_ELIM  one loss and you're out; byes fill the bracket to 2^n
+//   DOUBLE_ELIM  first loss drops you to the losers' bracket; the
+//                losers' winner meets the winners' winner in one grand final
+//   ROUND_ROBIN  everyone plays everyone; most wins takes it (seed breaks ties)
+//
+// A match is READY once both players are known. When both are online
+// and free, the tick starts a normal PvP battle in the tournament's arena
+// via BattleManager.createBattle (tagged with { id, matchId } so endBattle
+// can report back). If someone hasn't turned up no_show_seconds after the
+// match was called, they forfeit — and if neither shows, the better seed
+// goes through. When the last match is done, placements are written to
+// arena_tournament_entries and prizes_json pays out gold (users.currency)
+// and items (character_items).
+//
+// The bracket lives in memory while running and is mirrored to
+// bracket_json after every change, so a restart picks up where it left off.
+
+const ArenaLadder = require('./arena_ladder');
+
+const TICK_MS = 5000;
+const FORMATS = ['SINGLE_ELIM', 'DOUBLE_ELIM', 'ROUND_ROBIN'];
+const BYE = 0; // An empty bracket slot (null = not decided yet)
+
+let db = null;
+let io = null;
+let battles = null; // BattleManager (passed in to avoid a require cycle)
+let players = {};   // server.js onlinePlayers, to find a character's socket
+let tickTimer = null;
+let ticking = false;
+const running = {}; // tournamentId -> { row, bracket }
+
+function jp(s, f) { try { return JSON.parse(s); } catch { return f; } }
+
+function init(database, socketServer, battleManager, onlinePlayers) {
+    db = database;
+    io = socketServer;
+    battles = battleManager;
+    players = onlinePlayers || {};
+    if (tickTimer) clearInterval(tickTimer);
+    tickTimer = setInterval(() => tick().catch(e => console.error('Tournament tick error:', e)), TICK_MS);
+    if (tickTimer.unref) tickTimer.unref();
+}
+
+function socketFor(charId) {
+    const p = Object.values(players).find(o => o.charId === charId);
+    return p ? io.sockets.sockets.get(p.socketId) || null : null;
+}
+
+// =================================================================
+// BRACKETS
+// =================================================================
+// Every match: { id, section: W|L|GF|RR, round, index, stage, a, b,
+//   winner, loser, status: PENDING|READY|LIVE|DONE, result, battleId,
+//   calledAt, next: { id, slot }, loserNext: { id, slot } }
+// `stage` orders eliminations for placements (later = better).
+function newMatch(m) {
+    return { a: null, b: null, winner: null, loser: null, status: 'PENDING', result: null,
+        battleId: null, calledAt: null, next: null, loserNext: null, ...m };
+}
+
+// Standard seeding: 1 meets the last seed, and 1 and 2 can only meet in the final
+function seedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const n = order.length * 2 + 1;
+        order = order.flatMap(s => [s, n - s]);
+    }
+    return order;
+}
+
+function buildElimination(seeds, double) {
+    const size = Math.max(2, 2 ** Math.ceil(Math.log2(seeds.length)));
+    const rounds = Math.log2(size);
+    const order = seedOrder(size);
+    const matches = [];
+
+    // --- WINNERS' BRACKET ---
+    for (let r = 1; r <= rounds; r++) {
+        for (let i = 0; i < size / 2 ** r; i++) {
+            const m = newMatch({ id: `W${r}-${i}`, section: 'W', round: r, index: i, stage: r });
+            if (r === 1) {
+                m.a = seeds[order[2 * i] - 1] ?? BYE;
+                m.b = seeds[order[2 * i + 1] - 1] ?? BYE;
+            }
+            if (r < rounds) m.next = { id: `W${r + 1}-${i >> 1}`, slot: i % 2 ? 'b' : 'a' };
+            matches.push(m);
+        }
+    }
+    if (!double) return { size, rounds, matches };
+
+    // --- LOSERS' BRACKET ---
+    // Odd rounds pair up the survivors; even rounds bring in the next
+    // batch of winners'-bracket losers. 2(n-1) rounds for a 2^n bracket.
+    const lbRounds = 2 * (rounds - 1);
+    for (let r = 1; r <= lbRounds; r++) {
+        const count = size / 2 ** (Math.ceil(r / 2) + 1);
+        for (let i = 0; i < count; i++) {
+            const next = r === lbRounds ? { id: 'GF', slot: 'b' }
+                : r % 2 ? { id: `L${r + 1}-${i}`, slot: 'a' }
+                : { id: `L${r + 1}-${i >> 1}`, slot: i % 2 ? 'b' : 'a' };
+            matches.push(newMatch({ id: `L${r}-${i}`, section: 'L', round: r, index: i, stage: r, next }));
+        }
+    }
+    for (const w of matches.filter(m => m.section === 'W')) {
+        if (w.round === rounds) w.next = { id: 'GF', slot: 'a' };
+        if (rounds === 1) w.loserNext = { id: 'GF', slot: 'b' };
+        else if (w.round === 1) w.loserNext = { id: `L1-${w.index >> 1}`, slot: w.index % 2 ? 'b' : 'a' };
+        else w.loserNext = { id: `L${2 * (w.round - 1)}-${w.index}`, slot: 'b' };
+    }
+    matches.push(newMatch({ id: 'GF', section: 'GF', round: 1, index: 0, stage: lbRounds + 1 }));
+    return { size, rounds, matches };
+}
+
+// Circle method: hold the first player still, rotate the rest
+function buildRoundRobin(seeds) {
+    const list = seeds.length % 2 ? [...seeds, BYE] : [...seeds];
+    const n = list.length;
+    const matches = [];
+    for (let r = 1; r < n; r++) {
+        for (let i = 0; i < n / 2; i++) {
+            const a = list[i], b = list[n - 1 - i];
+            if (a === BYE || b === BYE) continue; // Sitting this round out
+            matches.push(newMatch({ id: `RR${r}-${i}`, section: 'RR', round: r, index: i, stage: r, a, b, status: 'READY' }));
+        }
+        list.splice(1, 0, list.pop());
+    }
+    return { size: seeds.length, rounds: n - 1, matches };
+}
+
+function buildBracket(format, seeds) {
+    const bracket = format === 'ROUND_ROBIN' ? buildRoundRobin(seeds) : buildElimination(seeds, format === 'DOUBLE_ELIM');
+    bracket.format = format;
+    bracket.seeds = seeds;
+    // Byes resolve straight away
+    for (const m of bracket.matches) if (m.round === 1) checkReady(bracket, m);
+    return bracket;
+}
+
+function matchById(bracket, id) {
+    return bracket.matches.find(m => m.id === id) || null;
+}
+
+// Both players known: play it, or walk a lone player through a bye
+function checkReady(bracket, m) {
+    if (m.status !== 'PENDING' || m.a === null || m.b === null) return;
+    if (m.a === BYE || m.b === BYE) return settle(bracket, m, m.a === BYE ? m.b : m.a, 'BYE');
+    m.status = 'READY';
+}
+
+// Record a result and move both players on
+function settle(bracket, m, winner, result) {
+    m.winner = winner;
+    m.loser = winner === m.a ? m.b : m.a;
+    m.status = 'DONE';
+    m.result = result;
+    for (const [link, who] of [[m.next, m.winner], [m.loserNext, m.loser]]) {
+        if (!link) continue;
+        const target = matchById(bracket, link.id);
+        target[link.slot] = who;
+        checkReady(bracket, target);
+    }
+}
+
+function finalMatch(bracket) {
+    if (bracket.format === 'ROUND_ROBIN') return null;
+    if (bracket.format === 'DOUBLE_ELIM') return matchById(bracket, 'GF');
+    return matchById(bracket, `W${bracket.rounds}-0`);
+}
+
+function isComplete(bracket) {
+    const last = finalMatch(bracket);
+    return last ? last.status === 'DONE' : bracket.matches.every(m => m.status === 'DONE');
+}
+
+// Round robin table: wins, then seed
+function standings(bracket) {
+    const rows = bracket.seeds.map((charId, i) => ({ charId, seed: i + 1, wins: 0, losses: 0 }));
+    const byId = Object.fromEntries(rows.map(r => [r.charId, r]));
+    for (const m of bracket.matches) {
+        if (m.status !== 'DONE') continue;
+        if (byId[m.winner]) byId[m.winner].wins++;
+        if (byId[m.loser]) byId[m.loser].losses++;
+    }
+    return rows.sort((x, y) => y.wins - x.wins || x.seed - y.seed);
+}
+
+// -> [{ charId, place }]. Elimination: whoever went out later places
+// higher, and players knocked out at the same stage share a place.
+function placements(bracket) {
+    if (bracket.format === 'ROUND_ROBIN') return standings(bracket).map((r, i) => ({ charId: r.charId, place: i + 1 }));
+    const last = finalMatch(bracket);
+    const out = [{ charId: last.winner, place: 1 }];
+    const knockedOut = bracket.matches
+        .filter(m => m.status === 'DONE' && !m.loserNext && m.loser)
+        .map(m => ({ charId: m.loser, stage: m.stage }));
+    for (const k of knockedOut) {
+        out.push({ charId: k.charId, place: 2 + knockedOut.filter(o => o.stage > k.stage).length });
+    }
+    return out.sort((x, y) => x.place - y.place);
+}
+
+// =================================================================
+// SIGN-UPS
+// =================================================================
+async function loadTournament(d, id) {
+    const [rows] = await d.query("SELECT * FROM arena_tournaments WHERE id=?", [id]);
+    return rows[0] || null;
+}
+
+// The in-memory copy of a RUNNING tournament (rebuilt from bracket_json after a restart)
+function track(row) {
+    if (!running[row.id]) running[row.id] = { row, bracket: jp(row.bracket_json, null) };
+    running[row.id].row = row;
+    return running[row.id].bracket ? running[row.id] : null;
+}
+
+function signupOpen(row, now = Date.now()) {
+    if (row.status !== 'SIGNUP') return false;
+    if (row.signup_opens && new Date(row.signup_opens).getTime() > now) return false;
+    return new Date(row.starts_at).getTime() > now;
+}
+
+// p = onlinePlayers entry. -> { success, entrants } or { error }
+async function signUp(p, tournamentId) {
+    const row = await loadTournament(db, parseInt(tournamentId, 10) || 0);
+    if (!row) return { error: 'No such tournament.' };
+    if (!signupOpen(row)) return { error: 'Sign-ups are closed.' };
+
+    const arena = await battles.queryArenaRow(db, row.arena_id);
+    if (arena && (p.level < (arena.min_level || 1) || (arena.max_level && p.level > arena.max_level))) {
+        return { error: `This tournament is for levels ${arena.min_level}-${arena.max_level}.` };
+    }
+    const [entries] = await db.query("SELECT character_id FROM arena_tournament_entries WHERE tournament_id=?", [row.id]);
+    if (entries.some(e => e.character_id === p.charId)) return { error: 'You are already signed up.' };
+    if (row.max_players && entries.length >= row.max_players) return { error: 'The tournament is full.' };
+
+    const fee = Math.max(0, parseInt(row.entry_fee, 10) || 0);
+    if (fee) {
+        const [r] = await db.query("UPDATE users SET currency=currency-? WHERE id=? AND currency>=?", [fee, p.userId, fee]);
+        if (!r.affectedRows) return { error: `Entry costs ${fee} gold.` };
+    }
+    try {
+        await db.query("INSERT INTO arena_tournament_entries (tournament_id, character_id, user_id) VALUES (?,?,?)",
+            [row.id, p.charId, p.userId]);
+    } catch (e) {
+        if (fee) await db.query("UPDATE users SET currency=currency+? WHERE id=?", [fee, p.userId]);
+        throw e;
+    }
+    return { success: true, tournamentId: row.id, entrants: entries.length + 1, fee };
+}
+
+async function withdraw(p, tournamentId) {
+    const row = await loadTournament(db, parseInt(tournamentId, 10) || 0);
+    if (!row || row.status !== 'SIGNUP') return { error: 'You can only withdraw before the tournament starts.' };
+    const [r] = await db.query("DELETE FROM arena_tournament_entries WHERE tournament_id=? AND character_id=?", [row.id, p.charId]);
+    if (!r.affectedRows) return { error: 'You are not signed up.' };
+    const fee = Math.max(0, parseInt(row.entry_fee, 10) || 0);
+    if (fee) await db.query("UPDATE users SET currency=currency+? WHERE id=?", [fee, p.userId]);
+    return { success: true, tournamentId: row.id };
+}
+
+// =================================================================
+// SCHEDULER
+// =================================================================
+async function tick() {
+    if (!db || !battles || ticking) return;
+    ticking = true;
+    try {
+        let rows;
+        try {
+            [rows] = await db.query("SELECT * FROM arena_tournaments WHERE status IN ('SIGNUP','RUNNING')");
+        } catch (e) {
+            if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) return; // not migrated
+            throw e;
+        }
+        const now = Date.now();
+        for (const row of rows) {
+            if (row.status === 'SIGNUP' && new Date(row.starts_at).getTime() <= now) await startTournament(row);
+            else if (row.status === 'RUNNING') {
+                const t = track(row);
+                if (t) await runMatches(t, now);
+            }
+        }
+        // Cancelled or closed by hand in AdminSauce
+        for (const id of Object.keys(running)) {
+            if (!rows.some(r => String(r.id) === id && r.status === 'RUNNING')) delete running[id];
+        }
+    } finally {
+        ticking = false;
+    }
+}
+
+async function startTournament(row) {
+    const [entries] = await db.query(
+        "SELECT character_id, user_id FROM arena_tournament_entries WHERE tournament_id=? ORDER BY joined_at, character_id", [row.id]);
+    if (entries.length < Math.max(2, row.min_players || 2)) {
+        await cancelTournament(row, 'Not enough players signed up.');
+        return;
+    }
+
+    // Seed by arena rating (sign-up order breaks ties)
+    const rated = [];
+    for (const e of entries) rated.push({ ...e, rating: await ArenaLadder.ratingFor(db, e.character_id) });
+    rated.sort((x, y) => y.rating - x.rating);
+    for (const [i, e] of rated.entries()) {
+        await db.query("UPDATE arena_tournament_entries SET seed=?, rating=? WHERE tournament_id=? AND character_id=?",
+            [i + 1, e.rating, row.id, e.character_id]);
+    }
+
+    const format = FORMATS.includes(String(row.format).toUpperCase()) ? String(row.format).toUpperCase() : 'SINGLE_ELIM';
+    const bracket = buildBracket(format, rated.map(e => e.character_id));
+    const [names] = await db.query("SELECT id, name FROM characters WHERE id IN (?)", [bracket.seeds]);
+    bracket.names = Object.fromEntries(names.map(n => [n.id, n.name]));
+
+    row.status = 'RUNNING';
+    const t = running[row.id] = { row, bracket };
+    await saveBracket(t);
+    io.emit('tournament_update', { tournamentId: row.id, name: row.name, status: 'RUNNING' });
+}
+
+async function cancelTournament(row, reason) {
+    const fee = Math.max(0, parseInt(row.entry_fee, 10) || 0);
+    if (fee) {
+        const [entries] = await db.query("SELECT user_id FROM arena_tournament_entries WHERE tournament_id=?", [row.id]);
+        for (const e of entries) await db.query("UPDATE users SET currency=currency+? WHERE id=?", [fee, e.user_id]);
+    }
+    await db.query("UPDATE arena_tournaments SET status='CANCELLED' WHERE id=?", [row.id]);
+    delete running[row.id];
+    io.emit('tournament_update', { tournamentId: row.id, name: row.name, status: 'CANCELLED', reason });
+}
+
+async function saveBracket(t) {
+    await db.query("UPDATE arena_tournaments SET status=?, bracket_json=?, winner_char_id=? WHERE id=?",
+        [t.row.status, JSON.stringify(t.bracket), t.row.winner_char_id || null, t.row.id]);
+}
+
+// Start whatever can start; forfeit whoever has kept a match waiting too long
+async function runMatches(t, now) {
+    const { bracket, row } = t;
+    const noShowMs = Math.max(0, parseInt(row.no_show_seconds, 10) || 0) * 1000;
+    const inThisTournament = s => s && s._battleId && bracket.matches.some(m => m.status === 'LIVE' && m.battleId === s._battleId);
+    let changed = false;
+
+    // A LIVE match whose battle is gone (server restarted mid-fight) gets replayed
+    for (const m of bracket.matches) {
+        if (m.status === 'LIVE' && !battles.activeBattles[m.battleId]) {
+            Object.assign(m, { status: 'READY', battleId: null, calledAt: null });
+            changed = true;
+        }
+    }
+
+    const ready = bracket.matches.filter(m => m.status === 'READY').sort((x, y) => x.stage - y.stage);
+    for (const m of ready) {
+        const sa = socketFor(m.a), sb = socketFor(m.b);
+        const freeA = !!sa && !sa._battleId, freeB = !!sb && !sb._battleId;
+
+        if (freeA && freeB) {
+            if (await startMatch(t, m, sa, sb)) { changed = true; continue; }
+        }
+        // Still playing an earlier match of this tournament: not a no-show
+        if (inThisTournament(sa) || inThisTournament(sb)) { m.calledAt = null; continue; }
+
+        if (!m.calledAt) {
+            m.calledAt = now;
+            changed = true;
+            for (const [s, foe] of [[sa, m.b], [sb, m.a]]) {
+                if (s) s.emit('tournament_match', { tournamentId: row.id, matchId: m.id, status: 'CALLED',
+                    opponent: bracket.names[foe] || null, forfeitIn: noShowMs / 1000 });
+            }
+            continue;
+        }
+        if (now - m.calledAt < noShowMs) continue;
+
+        // No-show: whoever is here wins; if nobody is, the better seed goes on
+        const winner = freeA && !freeB ? m.a
+            : freeB && !freeA ? m.b
+            : bracket.seeds.indexOf(m.a) <= bracket.seeds.indexOf(m.b) ? m.a : m.b;
+        settle(bracket, m, winner, 'FORFEIT');
+        changed = true;
+    }
+
+    if (changed) await afterChange(t);
+}
+
+async function startMatch(t, m, sa, sb) {
+    const arena = await battles.queryArenaRow(db, t.row.arena_id);
+    const battleId = await battles.createBattle(db, io, {
+        type: 'PVP',
+        arenaId: t.row.arena_id,
+        mapId: arena ? arena.map_id : null,
+        tournament: { id: t.row.id, matchId: m.id },
+        sides: [[{ charId: m.a, socket: sa }], [{ charId: m.b, socket: sb }]]
+    });
+    if (!battleId) return false;
+    Object.assign(m, { status: 'LIVE', battleId, calledAt: null });
+    return true;
+}
+
+// Called by endBattle for battles tagged with a tournament match
+async function reportResult(d, battle) {
+    const tag = battle.tournament;
+    if (!tag) return;
+    let t = running[tag.id];
+    if (!t) {
+        const row = await loadTournament(d, tag.id);
+        t = row && row.status === 'RUNNING' ? track(row) : null;
+    }
+    const m = t && matchById(t.bracket, tag.matchId);
+    if (!m || m.status !== 'LIVE' || m.battleId !== battle.id) return;
+
+    const finished = battle.status === 'FINISHED' && battle.winningSide !== null;
+    const winner = finished && Object.values(battle.combatants).find(c => c.side === battle.winningSide);
+    if (winner && (winner.charId === m.a || winner.charId === m.b)) settle(t.bracket, m, winner.charId, 'BATTLE');
+    else Object.assign(m, { status: 'READY', battleId: null, calledAt: null }); // No result: play it again
+    await afterChange(t);
+}
+
+async function afterChange(t) {
+    if (isComplete(t.bracket)) {
+        await finishTournament(t);
+        return;
+    }
+    await saveBracket(t);
+    io.emit('tournament_update', { tournamentId: t.row.id, status: 'RUNNING' });
+}
+
+// =================================================================
+// PRIZES
+// =================================================================
+async function finishTournament(t) {
+    const { row, bracket } = t;
+    const places = placements(bracket);
+    const prizes = jp(row.prizes_json, []) || [];
+    const [entries] = await db.query("SELECT character_id, user_id FROM arena_tournament_entries WHERE tournament_id=?", [row.id]);
+    const userOf = Object.fromEntries(entries.map(e => [e.character_id, e.user_id]));
+
+    for (const { charId, place } of places) {
+        await db.query("UPDATE arena_tournament_entries SET placement=? WHERE tournament_id=? AND character_id=?",
+            [place, row.id, charId]);
+        const prize = (Array.isArray(prizes) ? prizes : []).find(p => Number(p.place) === place);
+        if (!prize) continue;
+
+        const gold = Math.max(0, parseInt(prize.gold, 10) || 0);
+        if (gold && userOf[charId]) await db.query("UPDATE users SET currency=currency+? WHERE id=?", [gold, userOf[charId]]);
+        for (const it of prize.items || []) {
+            const itemId = parseInt(it.item_id, 10), quantity = Math.max(1, parseInt(it.quantity, 10) || 1);
+            if (!itemId) continue;
+            const [existing] = await db.query("SELECT id FROM character_items WHERE character_id=? AND item_id=?", [charId, itemId]);
+            if (existing.length) {
+                await db.query("UPDATE character_items SET quantity=quantity+? WHERE id=?", [quantity, existing[0].id]);
+            } else {
+                await db.query("INSERT INTO character_items(character_id,item_id,quantity)VALUES(?,?,?)", [charId, itemId, quantity]);
+            }
+        }
+        const s = socketFor(charId);
+        if (s) s.emit('tournament_match', { tournamentId: row.id, status: 'PLACED', place, prize });
+    }
+
+    row.status = 'FINISHED';
+    row.winner_char_id = places[0] ? places[0].charId : null;
+    await saveBracket(t);
+    delete running[row.id];
+    io.emit('tournament_update', { tournamentId: row.id, name: row.name, status: 'FINISHED',
+        winner: bracket.names[row.winner_char_id] || null });
+}
+
+// =================================================================
+// VIEWS (routes/arenaRoutes.js)
+// =================================================================
+async function listTournaments(d) {
+    const [rows] = await d.query(
+        `SELECT t.id, t.name, t.arena_id, t.format, t.signup_opens, t.starts_at, t.max_players, t.entry_fee,
+                t.prizes_json, t.status, t.winner_char_id, COUNT(e.character_id) AS entrants
+         FROM arena_tournaments t LEFT JOIN arena_tournament_entries e ON e.tournament_id = t.id
+         WHERE t.status IN ('SIGNUP','RUNNING') OR t.starts_at > NOW() - INTERVAL 7 DAY
+         GROUP BY t.id ORDER BY t.starts_at DESC LIMIT 50`);
+    return rows.map(({ prizes_json, ...r }) => ({ ...r, prizes: jp(prizes_json, []), signupOpen: signupOpen(r) }));
+}
+
+// Tournament + entrants + bracket (live copy while running)
+async function bracketView(d, id) {
+    const row = await loadTournament(d, id);
+    if (!row) return null;
+    const [entries] = await d.query(
+        `SELECT e.character_id, c.name, c.level, e.seed, e.rating, e.placement
+         FROM arena_tournament_entries e JOIN characters c ON c.id = e.character_id
+         WHERE e.tournament_id=? ORDER BY e.seed IS NULL, e.seed, e.joined_at`, [row.id]);
+    const bracket = running[row.id] ? running[row.id].bracket : jp(row.bracket_json, null);
+    const { bracket_json, prizes_json, ...info } = row;
+    return {
+        ...info,
+        prizes: jp(prizes_json, []),
+        signupOpen: signupOpen(row),
+        entries,
+        bracket,
+        standings: bracket && bracket.format === 'ROUND_ROBIN' ? standings(bracket) : null
+    };
+}
+
+module.exports = {
+    init, signUp, withdraw, reportResult, listTournaments, bracketView,
+    // Exposed for tooling / replaying a bracket by hand
+    buildBracket, settle, placements, FORMATS
+};
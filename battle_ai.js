@@ -0,0 +1,213 @@
+// =================================================================
+// BATTLE AI — Data-driven behavior profiles for AI combatants
+// =================================================================
+// TEACHING: An AI profile is a row in game_ai_profiles:
+//   rules_json    — a PRIORITIZED list. The first rule whose conditions
+//                   all pass AND whose action is actually usable wins.
+//   fallback_json — weighted random pick when no rule fires.
+//
+// Rule shape:
+//   { "if": { "self_hp_below": 30 }, "do": { "skill": "Heal" }, "target": "SELF" }
+//   { "if": { "target_missing_status": "Poison" }, "do": { "skill": "Poison" } }
+//   { "if": { "limit_ready": true }, "do": { "limit": true }, "target": "LOWEST_HP_ENEMY" }
+//
+// Conditions (all optional, all must pass):
+//   self_hp_below / self_hp_above      — % of own max HP
+//   self_mp_above                      — % of own max MP
+//   ally_hp_below                      — any living ally under this %
+//                                        (that ally becomes the target)
+//   target_hp_below / target_hp_above  — % of the chosen target's max HP
+//   target_has_status / target_missing_status — status name
+//   self_has_status / self_missing_status     — status name
+//   limit_ready                        — limit bar is full
+//   enemies_at_least                   — living enemies count
+//   round_at_least                     — battle round
+//   chance                             — % roll
+//   formula                            — safeEval math; passes when > 0,
+//                                        e.g. "MAXHP*0.3-HP" (below 30% HP)
+//
+// Actions: { command: id } | { skill: id or name } | { item: id } | { limit: id or true }
+//
+// Targets: ENEMY (random) | LOWEST_HP_ENEMY | HIGHEST_HP_ENEMY | SELF | WEAKEST_ALLY
+//
+// Profile lookup order: setup aiProfileId (NPC) → characters.ai_profile_id
+// → game_classes.ai_profile_id → DEFAULT_PROFILE (the old attack/defend mix).
+
+const { safeEval } = require('./event_runner');
+
+function jp(s, f) { try { return JSON.parse(s); } catch { return f; } }
+
+const DEFAULT_PROFILE = {
+    name: 'Default',
+    rules: [],
+    fallback: [{ command: 1, weight: 80 }, { command: 2, weight: 20 }]
+};
+
+async function loadProfile(db, profileId) {
+    if (!profileId) return null;
+    try {
+        const [rows] = await db.query("SELECT * FROM game_ai_profiles WHERE id=?", [profileId]);
+        if (!rows.length) return null;
+        return {
+            name: rows[0].name,
+            rules: jp(rows[0].rules_json, []),
+            fallback: jp(rows[0].fallback_json, null) || DEFAULT_PROFILE.fallback
+        };
+    } catch (e) {
+        if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) return null;
+        throw e;
+    }
+}
+
+// Resolve (and cache on the combatant) the profile for an AI fighter
+async function getProfile(db, ai) {
+    if (ai._aiProfile) return ai._aiProfile;
+
+    let profile = await loadProfile(db, ai.aiProfileId);
+    if (!profile && ai.classId) {
+        try {
+            const [rows] = await db.query("SELECT ai_profile_id FROM game_classes WHERE id=?", [ai.classId]);
+            if (rows.length) profile = await loadProfile(db, rows[0].ai_profile_id);
+        } catch (e) { /* column not migrated yet — default profile */ }
+    }
+
+    ai._aiProfile = profile || DEFAULT_PROFILE;
+    return ai._aiProfile;
+}
+
+// --- TARGET PICKING ---
+function pickTarget(battle, ai, selector) {
+    const enemies = battle.getEnemies(ai.charId);
+    const hpPct = c => c.currentHp / (c.maxHp || 1);
+
+    switch (String(selector || 'ENEMY').toUpperCase()) {
+        case 'SELF':
+            return ai;
+        case 'WEAKEST_ALLY':
+            return battle.getAllies(ai.charId).sort((a, b) => hpPct(a) - hpPct(b))[0] || ai;
+        case 'LOWEST_HP_ENEMY':
+            return enemies.sort((a, b) => hpPct(a) - hpPct(b))[0] || null;
+        case 'HIGHEST_HP_ENEMY':
+            return enemies.sort((a, b) => hpPct(b) - hpPct(a))[0] || null;
+        default:
+            return enemies[Math.floor(Math.random() * enemies.length)] || null;
+    }
+}
+
+function hasStatus(c, name) {
+    const n = String(name).toLowerCase();
+    return (c.statuses || []).some(s => String(s.name || '').toLowerCase() === n || s.id === name);
+}
+
+// --- CONDITIONS ---
+// Returns the (possibly re-picked) target if every condition passes, else undefined
+function checkConditions(cond, battle, ai, target, vars) {
+    const pct = (cur, max) => (cur / (max || 1)) * 100;
+
+    if (cond.self_hp_below !== undefined && !(pct(ai.currentHp, ai.maxHp) < cond.self_hp_below)) return;
+    if (cond.self_hp_above !== undefined && !(pct(ai.currentHp, ai.maxHp) > cond.self_hp_above)) return;
+    if (cond.self_mp_above !== undefined && !(pct(ai.currentMp, ai.maxMp) > cond.self_mp_above)) return;
+
+    if (cond.ally_hp_below !== undefined) {
+        const hurt = battle.getAllies(ai.charId)
+            .filter(c => pct(c.currentHp, c.maxHp) < cond.ally_hp_below)
+            .sort((a, b) => a.currentHp / a.maxHp - b.currentHp / b.maxHp)[0];
+        if (!hurt) return;
+        target = hurt;
+    }
+
+    if (!target) return;
+    if (cond.target_hp_below !== undefined && !(pct(target.currentHp, target.maxHp) < cond.target_hp_below)) return;
+    if (cond.target_hp_above !== undefined && !(pct(target.currentHp, target.maxHp) > cond.target_hp_above)) return;
+    if (cond.target_has_status && !hasStatus(target, cond.target_has_status)) return;
+    if (cond.target_missing_status && hasStatus(target, cond.target_missing_status)) return;
+    if (cond.self_has_status && !hasStatus(ai, cond.self_has_status)) return;
+    if (cond.self_missing_status && hasStatus(ai, cond.self_missing_status)) return;
+    if (cond.limit_ready !== undefined && (ai.limitbreak >= 100) !== !!cond.limit_ready) return;
+    if (cond.enemies_at_least !== undefined && battle.getEnemies(ai.charId).length < cond.enemies_at_least) return;
+    if (cond.round_at_least !== undefined && (battle.round || 1) < cond.round_at_least) return;
+    if (cond.chance !== undefined && Math.random() * 100 >= cond.chance) return;
+    if (cond.formula && !(safeEval(cond.formula, { ...vars, HP: ai.currentHp, MP: ai.currentMp,
+        ENEMY_HP: target.currentHp, ROUND: battle.round || 1 }) > 0)) return;
+
+    return target;
+}
+
+// --- ACTIONS ---
+// Turn a rule's "do" block into an executeBattleAction payload, or null if
+// the AI can't actually use it right now (unknown skill, no MP, on cooldown,
+// bar not full...)
+function resolveAction(act, ai, menu) {
+    if (!act) return null;
+
+    if (act.command !== undefined) {
+        const cmd = menu.commands.find(c => c.id === Number(act.command));
+        // Commands outside the menu (AI-only moves) are allowed unless a status disables them
+        if (cmd && cmd.disabled) return null;
+        return { commandId: Number(act.command) };
+    }
+
+    if (act.skill !== undefined) {
+        const key = String(act.skill).toLowerCase();
+        const sk = menu.skills.find(s => String(s.id) === key || String(s.name).toLowerCase() === key);
+        if (!sk || sk.disabled || ai.currentMp < (sk.mpCost || 0)) return null;
+        return { skillId: sk.id };
+    }
+
+    if (act.item !== undefined) {
+        const it = menu.items.find(i => i.id === Number(act.item));
+        return it && it.quantity > 0 ? { itemId: it.id } : null;
+    }
+
+    if (act.limit !== undefined) {
+        if (ai.limitbreak < 100 || !menu.limits.length) return null;
+        const lb = act.limit === true
+            ? menu.limits[menu.limits.length - 1] // Strongest unlocked
+            : menu.limits.find(l => l.id === Number(act.limit));
+        return lb ? { limitId: lb.id } : null;
+    }
+
+    return null;
+}
+
+function weightedPick(list) {
+    const total = list.reduce((s, e) => s + (Number(e.weight) || 1), 0);
+    let roll = Math.random() * total;
+    for (const entry of list) {
+        roll -= (Number(entry.weight) || 1);
+        if (roll <= 0) return entry;
+    }
+    return list[0];
+}
+
+// =================================================================
+// CHOOSE ACTION — called by BattleManager.aiTurn
+// =================================================================
+// helpers = { getAvailableCommands, buildFormulaVars } from the engine
+// Returns { target, action } where action is { commandId | skillId | itemId | limitId }
+async function chooseAction(db, battle, ai, helpers) {
+    const profile = await getProfile(db, ai);
+    const menu = await helpers.getAvailableCommands(db, ai);
+
+    for (const rule of profile.rules || []) {
+        const base = pickTarget(battle, ai, rule.target);
+        const vars = helpers.buildFormulaVars(ai, base || ai);
+        const target = checkConditions(rule.if || {}, battle, ai, base, vars);
+        if (!target) continue;
+        const action = resolveAction(rule.do, ai, menu);
+        if (action) return { target, action, rule: rule.name || null };
+    }
+
+    // Nothing fired — weighted fallback (try each entry until one is usable)
+    const pool = (profile.fallback && profile.fallback.length ? profile.fallback : DEFAULT_PROFILE.fallback).slice();
+    while (pool.length) {
+        const entry = weightedPick(pool);
+        const action = resolveAction(entry, ai, menu);
+        if (action) return { target: pickTarget(battle, ai, entry.target), action };
+        pool.splice(pool.indexOf(entry), 1);
+    }
+
+    return { target: pickTarget(battle, ai, 'ENEMY'), action: { commandId: 1 } };
+}
+
+module.exports = { chooseAction, DEFAULT_PROFILE };
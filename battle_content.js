@@ -0,0 +1,81 @@
+// =================================================================
+// BATTLE CONTENT — Rules tables, loaded once and kept in RAM
+// =================================================================
+// Teaching: statuses, elements, skills, battle commands and limit breaks
+// only change when someone edits them in AdminSauce, yet a fight looks
+// them up on nearly every action (every status on every combatant, every
+// elemental hit...). So the first lookup loads the whole table and every
+// battle after that reads from memory:
+//
+//   const status = await BattleContent.status(db, id);
+//   const fire   = (await BattleContent.elements(db)).find(e => e.name === 'Fire');
+//
+// routes/admin.js calls invalidate(table) after every save/delete and
+// POST /admin/clear-cache drops the lot, so edits show up on the next
+// lookup. Rows are shared between battles — copy before changing one.
+
+// kind -> candidate tables (first one that exists wins, like the
+// TABLE COMPATIBILITY HELPERS in battle_engine.js)
+const TABLES = {
+    statuses: ['game_statuses'],
+    elements: ['game_elements'],
+    skills:   ['game_skills'],
+    commands: ['game_battle_commands'],
+    limits:   ['game_limit_breaks', 'game_limits']
+};
+
+const loaded = {}; // kind -> Promise<{ rows, byId }>
+
+async function fetchTable(db, kind) {
+    for (const tbl of TABLES[kind]) {
+        try {
+            const [rows] = await db.query(`SELECT * FROM \`${tbl}\``);
+            return { rows, byId: new Map(rows.map(r => [Number(r.id), r])) };
+        } catch (e) {
+            if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) continue;
+            throw e;
+        }
+    }
+    return { rows: [], byId: new Map() };
+}
+
+// Concurrent first lookups share one query; a failed load isn't kept
+function load(db, kind) {
+    if (!loaded[kind]) {
+        const p = fetchTable(db, kind);
+        loaded[kind] = p;
+        p.catch(() => { if (loaded[kind] === p) delete loaded[kind]; });
+    }
+    return loaded[kind];
+}
+
+async function byId(db, kind, id) {
+    return (await load(db, kind)).byId.get(Number(id)) || null;
+}
+
+async function all(db, kind) {
+    return (await load(db, kind)).rows;
+}
+
+const status   = (db, id) => byId(db, 'statuses', id);
+const skill    = (db, id) => byId(db, 'skills', id);
+const command  = (db, id) => byId(db, 'commands', id);
+const elements = db => all(db, 'elements');
+const commands = db => all(db, 'commands');
+const limits   = db => all(db, 'limits');
+
+// Status names are matched case-insensitively (Poison = poison)
+async function statusByName(db, name) {
+    const key = String(name).toLowerCase();
+    return (await all(db, 'statuses')).find(s => String(s.name).toLowerCase() === key) || null;
+}
+
+// Forget a table (by its SQL name) so the next lookup reloads it.
+// No table = forget everything.
+function invalidate(table = null) {
+    for (const [kind, tables] of Object.entries(TABLES)) {
+        if (!table || tables.includes(table)) delete loaded[kind];
+    }
+}
+
+module.exports = { status, statusByName, elements, skill, command, commands, limits, invalidate };
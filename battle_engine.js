@@ -9,14 +9,20 @@
 //
 // FLOW:
 //   1. Server creates a battle (via event_runner BATTLE action or PvP challenge)
-//   2. Both combatants get a "battle_start" event with full state
-//   3. Each turn: active player picks a command → server resolves → broadcast
-//   4. Battle ends on death, flee, timeout
+//   2. Every human combatant gets a "battle_start" event with their own view
+//   3. Each turn: active player picks a command (+ target) → server resolves → broadcast
+//      (who gets the next turn depends on the turn mode — see TURN SYSTEMS)
+//   4. Battle ends when one side is wiped out, on flee, or timeout
+//
+// SIDES:
+//   A battle has two sides, each with one or more characters/NPCs
+//   (a party, a pack of monsters, or a plain 1v1). Everyone acts in
+//   a single turn order; a knocked-out combatant is skipped.
 //
 // WHAT'S DATA-DRIVEN (from MySQL):
 //   - Battle commands (Attack, Defend, Skills, Items, Run)
 //   - Skills (damage formulas, elements, status effects)
-//   - Status effects (poison tick, stun, stat mods, turn duration)
+//   - Status effects (tick formulas, stacking, stat add/mod, hooks, immunity)
 //   - Elements (weakness/resistance system)
 //   - Items (consumable effects in combat)
 //   - Limit breaks (per-class ultimate abilities)
@@ -24,17 +30,14 @@
 // =================================================================
 
 const { safeEval } = require('./event_runner');
-
-// Optional Legendary Artifacts hook.
-// If your project includes routes/artifactRoutes.js (with init(db) + onPvpKill()),
-// the battle engine will call it when a PvP battle ends with a kill.
-let artifactRoutes = null;
-try {
-    artifactRoutes = require('./routes/artifactRoutes');
-} catch (e) {
-    // Not installed in this build — totally fine.
-    artifactRoutes = null;
-}
+const BattleAI = require('./battle_ai');
+const ArenaLadder = require('./arena_ladder');
+const ArenaTournaments = require('./arena_tournaments');
+const DuelWagers = require('./duel_wagers');
+// Quests, artifacts & co. subscribe here (see battle_events.js)
+const BattleEvents = require('./battle_events');
+// Statuses, elements, skills, commands & limits, cached (see battle_content.js)
+const BattleContent = require('./battle_content');
 
 function jp(s, f) { try { return JSON.parse(s); } catch { return f; } }
 
@@ -72,6 +75,9 @@ async function getEffectiveStats(db, charId) {
         md: c.md,       // Magic Defense
         speed: c.speed,
         luck: c.luck,
+        // Hit / dodge (percent-ish; the hit formula decides what they mean)
+        acc: c.acc != null ? c.acc : 95,
+        eva: c.eva != null ? c.eva : 5,
         // Limit break
         limitbreak: parseFloat(c.limitbreak) || 0,
         breaklevel: c.breaklevel || 1,
@@ -81,9 +87,25 @@ async function getEffectiveStats(db, charId) {
         weaponElements: [],
         weaponStatuses: {},
         armorBlockStatuses: [],
-        experience: c.experience || 0
+        // Defender-side element multipliers { fire: 1.5, ice: 0.5, ... }
+        // base = race + equipment (fixed for the fight); elementAffinity adds statuses
+        baseElementAffinity: {},
+        elementAffinity: {},
+        // Reaction chances from gear (statuses add to these live)
+        baseReactions: { counter: 0, reflect: 0, thorns: 0 },
+        experience: c.experience || 0,
+        // AI behavior profile (only used when this character is AI-controlled)
+        aiProfileId: c.ai_profile_id || null,
+        // What it drops when beaten as an AI enemy (game_loot_tables)
+        lootTableId: c.loot_table_id || null
     };
 
+    // 1b. Racial element affinity (optional column)
+    try {
+        const [raceRows] = await db.query("SELECT element_affinity FROM game_races WHERE id=?", [c.race_id]);
+        if (raceRows.length) mergeAffinity(stats.baseElementAffinity, jp(raceRows[0].element_affinity, {}));
+    } catch (e) { /* element_affinity not migrated yet */ }
+
     // 2. Equipment bonuses
     const [equip] = await db.query(`
         SELECT ce.slot_key, gi.* FROM character_equipment ce
@@ -97,6 +119,8 @@ async function getEffectiveStats(db, charId) {
         stats.md  += (item.bonus_md || 0);
         stats.speed += (item.bonus_speed || 0);
         stats.luck  += (item.bonus_luck || 0);
+        stats.acc   += (item.bonus_acc || 0);
+        stats.eva   += (item.bonus_eva || 0);
         stats.maxHp += (item.bonus_hp || 0);
         stats.maxMp += (item.bonus_mp || 0);
 
@@ -112,32 +136,219 @@ async function getEffectiveStats(db, charId) {
             if (ws) Object.assign(stats.weaponStatuses, ws);
         }
 
+        // Any slot: non-attack roles are defensive ("defense" = resist)
+        const defElems = jp(item.elements, null);
+        if (defElems) {
+            const defensive = Object.fromEntries(Object.entries(defElems).filter(([, role]) => role !== 'attack'));
+            mergeAffinity(stats.baseElementAffinity, defensive);
+        }
+
         // Armor blocked statuses
         const blocked = jp(item.block_status, null);
         if (blocked) stats.armorBlockStatuses.push(...blocked);
+
+        // Reactive gear: { "counter": 20, "reflect": 0, "thorns": 10 }
+        addReactions(stats.baseReactions, jp(item.battle_flags, null));
     }
 
-    // 3. Status effect modifiers (ATK Up = multiply ATK by 1.5, etc)
-    for (const status of stats.statuses) {
-        const [sRows] = await db.query("SELECT * FROM game_statuses WHERE id=?", [status.id]);
-        if (!sRows.length) continue;
-        const effects = jp(sRows[0].effects, {});
-        if (effects.stat_mod) {
-            for (const [statKey, multiplier] of Object.entries(effects.stat_mod)) {
-                if (stats[statKey] !== undefined && typeof stats[statKey] === 'number') {
-                    stats[statKey] = Math.floor(stats[statKey] * multiplier);
-                }
-            }
-        }
+    // 3. Status effect modifiers (ATK Up = multiply ATK by 1.5, etc).
+    // Kept separate from the gear numbers so statuses gained or lost
+    // mid-fight can be re-applied from scratch (see recalcStats).
+    stats.baseStats = Object.fromEntries(MOD_STATS.map(k => [k, stats[k]]));
+    await recalcStats(db, stats);
+
+    return stats;
+}
+
+// =================================================================
+// MONSTERS — Battle-only enemies from game_monsters
+// =================================================================
+// Teaching: a monster template is a stat sheet, not a character. Every
+// fight spawns fresh instances from it, so damage never sticks and one
+// "Goblin" can be on the field three times at once. Instances get
+// negative combatant ids (-1, -2, ...) so they can't collide with
+// characters, and carry monsterId so endBattle knows there's no row to
+// write back.
+//
+// Level scaling: scaling_json maps a stat to a formula, with "*" as the
+// default for the rest. BASE = the template value, LVL = spawn level,
+// MLVL = the template's own level.
+//   { "*": "BASE*(1+0.1*(LVL-MLVL))", "max_hp": "BASE*(1+0.25*(LVL-MLVL))", "xp": "BASE*LVL/MLVL" }
+// No scaling_json = the monster_scaling_formula setting (default below).
+// acc/eva only scale when named explicitly.
+const DEFAULT_MONSTER_SCALING = 'BASE*(1+0.1*(LVL-MLVL))';
+const MONSTER_STATS = ['max_hp', 'max_mp', 'atk', 'def', 'mo', 'md', 'speed', 'luck', 'xp', 'gold'];
+
+// characters.id for DB columns (game_battles p1/p2/winner); null for monsters
+function dbCharId(c) {
+    return c && !c.monsterId ? c.charId : null;
+}
+
+async function loadMonster(db, monsterId) {
+    try {
+        const [rows] = await db.query("SELECT * FROM game_monsters WHERE id=?", [monsterId]);
+        return rows[0] || null;
+    } catch (e) {
+        return null; // game_monsters not migrated
     }
+}
 
-    // Clamp HP to max
-    if (stats.currentHp > stats.maxHp) stats.currentHp = stats.maxHp;
-    if (stats.currentMp > stats.maxMp) stats.currentMp = stats.maxMp;
+// skills_json: [3, 7] or [{ "skill_id": 3, "mp_cost": 5, "alt_name": "Goblin Punch" }]
+function monsterSkillList(raw) {
+    return jp(raw, []).map(s => typeof s === 'object' && s
+        ? { skill_id: Number(s.skill_id), mp_cost: s.mp_cost || 0, alt_name: s.alt_name || null }
+        : { skill_id: Number(s), mp_cost: 0, alt_name: null }).filter(s => s.skill_id);
+}
+
+async function getMonsterStats(db, monsterId, level, instanceId) {
+    const m = await loadMonster(db, monsterId);
+    if (!m) return null;
+
+    const mlvl = Math.max(1, m.level || 1);
+    const lvl = Math.max(1, parseInt(level, 10) || mlvl);
+    let rules = jp(m.scaling_json, null);
+    if (!rules) rules = { '*': (await querySetting(db, 'monster_scaling_formula')) || DEFAULT_MONSTER_SCALING };
+
+    const base = {
+        max_hp: m.max_hp || 1, max_mp: m.max_mp || 0, atk: m.atk || 0, def: m.def || 0, mo: m.mo || 0,
+        md: m.md || 0, speed: m.speed || 0, luck: m.luck || 0,
+        acc: m.acc != null ? m.acc : 95, eva: m.eva != null ? m.eva : 5,
+        xp: m.xp_reward || 0, gold: m.gold_reward || 0
+    };
+    const scaled = { ...base };
+    for (const key of Object.keys(base)) {
+        const formula = rules[key] || (MONSTER_STATS.includes(key) ? rules['*'] : null);
+        if (!formula) continue;
+        scaled[key] = Math.max(key === 'max_hp' ? 1 : 0,
+            Math.round(safeEval(formula, { BASE: base[key], LVL: lvl, MLVL: mlvl })));
+    }
+
+    const stats = {
+        charId: instanceId,
+        userId: null,
+        monsterId: m.id,
+        name: m.name,
+        icon: m.icon || null,
+        level: lvl,
+        classId: null,
+        raceId: null,
+        currentHp: scaled.max_hp,
+        maxHp: scaled.max_hp,
+        currentMp: scaled.max_mp,
+        maxMp: scaled.max_mp,
+        atk: scaled.atk,
+        def: scaled.def,
+        mo: scaled.mo,
+        md: scaled.md,
+        speed: scaled.speed,
+        luck: scaled.luck,
+        acc: scaled.acc,
+        eva: scaled.eva,
+        limitbreak: 0,
+        breaklevel: 1,
+        statuses: [],
+        weaponElements: jp(m.elements_json, []).map(e => String(e).toLowerCase()),
+        weaponStatuses: jp(m.set_status, {}) || {},
+        armorBlockStatuses: jp(m.block_status, []) || [],
+        baseElementAffinity: {},
+        elementAffinity: {},
+        baseReactions: { counter: 0, reflect: 0, thorns: 0 },
+        experience: 0,
+        aiProfileId: m.ai_profile_id || null,
+        lootTableId: m.loot_table_id || null,
+        monsterSkills: monsterSkillList(m.skills_json),
+        xpReward: scaled.xp,
+        goldReward: scaled.gold,
+        // Bosses: ordered phase list + index of the next one to fire
+        phases: jp(m.phases_json, null),
+        phaseIndex: 0,
+        phaseName: null
+    };
+    mergeAffinity(stats.baseElementAffinity, jp(m.element_affinity, {}));
+    addReactions(stats.baseReactions, jp(m.battle_flags, null));
 
+    stats.baseStats = Object.fromEntries(MOD_STATS.map(k => [k, stats[k]]));
+    await recalcStats(db, stats);
     return stats;
 }
 
+// =================================================================
+// BOSS PHASES — Scripted turns in a monster's fight
+// =================================================================
+// Teaching: a monster with phases_json is a boss. Phases fire in order,
+// once each, checked at the end of every turn (settleTurn, so replays see
+// them too). One turn can tip several phases if the boss took a big hit.
+//   [{ "name": "Enraged",
+//      "when": { "hp_below": 50 }          HP% under, or { "turn": 8 } / { "round": 3 }
+//      "say": ["You dare?!"],              battle log lines, in the boss's voice
+//      "ai_profile_id": 1,                 swap behavior
+//      "set_status": { "Haste": 3 },       statuses on the boss (name: turns)
+//      "element_affinity": { "fire": "absorb" },  replaces those elements
+//      "transform": { "monster_id": 12, "level": 10, "keep_hp": false } }]
+// transform rebuilds the boss from another template in place: same
+// combatant id and turn slot, new name/stats/skills, full HP unless keep_hp.
+function phaseTriggered(battle, boss, when = {}) {
+    if (when.hp_below != null && boss.currentHp / boss.maxHp * 100 < Number(when.hp_below)) return true;
+    if (when.turn != null && battle.turnNumber >= Number(when.turn)) return true;
+    if (when.round != null && battle.round >= Number(when.round)) return true;
+    return false;
+}
+
+async function checkBossPhases(db, battle) {
+    for (const boss of Object.values(battle.combatants)) {
+        if (!Array.isArray(boss.phases) || boss.defeated) continue;
+        while (boss.phaseIndex < boss.phases.length && !boss.defeated
+            && phaseTriggered(battle, boss, boss.phases[boss.phaseIndex].when)) {
+            const phase = boss.phases[boss.phaseIndex++];
+            await enterPhase(db, battle, boss, phase);
+        }
+    }
+}
+
+async function enterPhase(db, battle, boss, phase) {
+    for (const line of [].concat(phase.say || [])) battle.addLog({ actor: boss.name, text: `${boss.name}: "${line}"` });
+    boss.phaseName = phase.name || boss.phaseName;
+
+    if (phase.transform && phase.transform.monster_id) {
+        const t = phase.transform;
+        const form = await getMonsterStats(db, t.monster_id, t.level || boss.level, boss.charId);
+        if (form) {
+            const hpPct = boss.currentHp / boss.maxHp;
+            // Battle bookkeeping survives the change; everything else is the new form
+            const keep = { side: boss.side, isAI: boss.isAI, defeated: false, statuses: boss.statuses,
+                immunities: boss.immunities, gauge: boss.gauge, phases: boss.phases, phaseIndex: boss.phaseIndex,
+                phaseName: boss.phaseName, spawnIndex: boss.spawnIndex, defeatedBy: boss.defeatedBy };
+            const oldName = boss.name;
+            for (const k of Object.keys(boss)) delete boss[k];
+            Object.assign(boss, form, keep);
+            if (t.keep_hp) boss.currentHp = Math.max(1, Math.round(boss.maxHp * hpPct));
+            battle.addLog({ actor: 'system', text: `${oldName} transforms into ${boss.name}!` });
+        }
+    }
+
+    if (phase.ai_profile_id !== undefined) {
+        boss.aiProfileId = phase.ai_profile_id;
+        delete boss._aiProfile; // battle_ai caches the resolved profile
+    }
+
+    if (phase.element_affinity) {
+        for (const [elem, v] of Object.entries(phase.element_affinity)) {
+            const val = affinityValue(v);
+            if (val === null || val === 1) delete boss.baseElementAffinity[elem.toLowerCase()]; // back to neutral
+            else boss.baseElementAffinity[elem.toLowerCase()] = val;
+        }
+    }
+    await recalcStats(db, boss);
+
+    if (phase.name) battle.addLog({ actor: 'system', text: `⚠️ ${boss.name} enters ${phase.name}!` });
+
+    for (const [name, turns] of Object.entries(phase.set_status || {})) {
+        const tmp = { log: [], actions: [] };
+        await applyStatus(db, battle, boss, name, turns, tmp);
+        for (const text of tmp.log) battle.addLog({ actor: 'system', text });
+    }
+}
+
 // Build the vars object for safeEval formulas
 function buildFormulaVars(attacker, defender) {
     return {
@@ -150,6 +361,10 @@ function buildFormulaVars(attacker, defender) {
         MAXHP: attacker.maxHp,
         MAXMP: attacker.maxMp,
         LVL: attacker.level,
+        ACC: attacker.acc,
+        EVA: defender.eva,
+        ENEMY_ACC: defender.acc,
+        ENEMY_EVA: defender.eva,
         ENEMY_ATK: defender.atk,
         ENEMY_DEF: defender.def,
         ENEMY_MO: defender.mo,
@@ -161,6 +376,227 @@ function buildFormulaVars(attacker, defender) {
     };
 }
 
+// =================================================================
+// STATUS MODIFIERS — Live stat recalculation
+// =================================================================
+// Teaching: a status can change stats two ways (effects JSON):
+//   stat_add: { "def": 10, "speed": -3 }   flat, × stack count
+//   stat_mod: { "atk": 1.5 }                multiplier
+// All adds land first, then all multipliers, always starting from
+// baseStats (gear + level), so stacking/expiring never drifts the numbers.
+const MOD_STATS = ['atk', 'def', 'mo', 'md', 'speed', 'luck', 'acc', 'eva', 'maxHp', 'maxMp'];
+
+async function recalcStats(db, c) {
+    if (!c.baseStats) return;
+    const next = { ...c.baseStats };
+    const mult = {};
+    const affinity = { ...(c.baseElementAffinity || {}) };
+
+    for (const s of c.statuses) {
+        const row = await BattleContent.status(db, s.id);
+        if (!row) continue;
+        const effects = jp(row.effects, {});
+        const stacks = s.stacks || 1;
+        for (const [k, v] of Object.entries(effects.stat_add || {})) {
+            if (next[k] !== undefined) next[k] += (Number(v) || 0) * stacks;
+        }
+        for (const [k, v] of Object.entries(effects.stat_mod || {})) {
+            if (next[k] !== undefined) mult[k] = (mult[k] === undefined ? 1 : mult[k]) * Number(v);
+        }
+        if (effects.element_mod) mergeAffinity(affinity, effects.element_mod);
+    }
+    for (const [k, m] of Object.entries(mult)) next[k] = Math.floor(next[k] * m);
+
+    Object.assign(c, next);
+    c.elementAffinity = affinity;
+
+    // Clamp HP to max
+    if (c.currentHp > c.maxHp) c.currentHp = c.maxHp;
+    if (c.currentMp > c.maxMp) c.currentMp = c.maxMp;
+}
+
+// =================================================================
+// ELEMENT AFFINITY — Weakness / resistance on the DEFENDER
+// =================================================================
+// Teaching: an affinity is a damage multiplier per element, taken from
+// three places: the race (game_races.element_affinity), equipment
+// (game_items.elements roles other than "attack") and statuses
+// (effects.element_mod, e.g. Wet = { "lightning": "weak" }).
+//   "weak" ×1.5   "resist"/"defense" ×0.5   "immune" ×0   "absorb" heals
+//   or any number (2 = double damage, -0.5 = absorb half as HP)
+// Stacking: absorb beats immune beats everything; numbers multiply.
+const AFFINITY_WORDS = { weak: 1.5, weakness: 1.5, resist: 0.5, defense: 0.5, immune: 0, absorb: -1 };
+
+function affinityValue(v) {
+    if (typeof v === 'number') return v;
+    if (v !== null && v !== '' && !isNaN(v)) return Number(v);
+    const w = AFFINITY_WORDS[String(v).toLowerCase()];
+    return w === undefined ? null : w;
+}
+
+function combineAffinity(a, b) {
+    if (a < 0 || b < 0) return Math.min(a, b);
+    if (a === 0 || b === 0) return 0;
+    return a * b;
+}
+
+function mergeAffinity(into, map) {
+    for (const [elem, raw] of Object.entries(map || {})) {
+        const v = affinityValue(raw);
+        if (v === null) continue;
+        const key = elem.toLowerCase();
+        into[key] = into[key] === undefined ? v : combineAffinity(into[key], v);
+    }
+    return into;
+}
+
+// effects JSON of every status currently on a combatant
+async function liveStatusEffects(db, c) {
+    const out = [];
+    for (const s of c.statuses || []) {
+        const row = await BattleContent.status(db, s.id);
+        if (row) out.push(jp(row.effects, {}));
+    }
+    return out;
+}
+
+// Live affinity mid-battle: gear/race snapshot + whatever statuses are on now
+async function getElementAffinity(db, c) {
+    const out = { ...(c.baseElementAffinity || {}) };
+    for (const effects of await liveStatusEffects(db, c)) mergeAffinity(out, effects.element_mod);
+    return out;
+}
+
+// Run damage through the attack's elements against the target.
+// Attacker side: an element's bonus_damage_pct applies when the target
+// leans toward its opposite (fire vs an ice-resistant foe). Defender side:
+// the target's affinity. Several elements: absorb/immune win, else multiply.
+// Returns { damage, absorbed, immune }.
+async function resolveElements(db, target, elements, damage, result) {
+    if (!elements || !elements.length) return { damage, absorbed: false, immune: false };
+
+    const allElems = await BattleContent.elements(db);
+    const affinity = await getElementAffinity(db, target);
+    let mult = null;
+
+    for (const name of elements) {
+        const key = String(name).toLowerCase();
+        const row = allElems.find(e => e.name.toLowerCase() === key);
+        const label = row ? `${row.icon ? row.icon + ' ' : ''}${row.name}` : name;
+        let m = affinity[key] !== undefined ? affinity[key] : 1;
+
+        if (row && row.opposite_id && m > 0) {
+            const opp = allElems.find(e => e.id === row.opposite_id);
+            const oppAff = opp ? affinity[opp.name.toLowerCase()] : undefined;
+            if (oppAff !== undefined && oppAff < 1) m *= 1 + (row.bonus_damage_pct || 0) / 100;
+        }
+
+        if (m < 0) result.log.push(`${target.name} absorbs ${label}!`);
+        else if (m === 0) result.log.push(`${target.name} is immune to ${label}!`);
+        else if (m > 1) result.log.push(`${target.name} is weak to ${label}!`);
+        else if (m < 1) result.log.push(`${target.name} resists ${label}.`);
+
+        mult = mult === null ? m : combineAffinity(mult, m);
+    }
+
+    return {
+        damage: Math.floor(damage * Math.abs(mult)),
+        absorbed: mult < 0,
+        immune: mult === 0
+    };
+}
+
+// =================================================================
+// HIT, EVADE & REACTIONS
+// =================================================================
+// Teaching: before damage lands the attacker rolls to hit. The chance
+// (0-100) comes from, in order: the action's effects.hit.formula, the
+// battle_hit_formula setting, then DEFAULT_HIT_FORMULA. ACC is the
+// attacker's accuracy, EVA the target's evasion. effects.always_hit skips
+// the roll (limit breaks never miss).
+//
+// Reactions are percent chances the DEFENDER gets, from gear
+// (game_items.battle_flags) and statuses (effects.counter/reflect/thorns):
+//   counter — answers a physical hit with a basic attack
+//   reflect — bounces a hostile spell back onto its caster
+//   thorns  — returns that % of physical damage taken to the attacker
+// Physical vs magic: effects.kind wins; otherwise commands are physical
+// and skills are magic (unless game_skills.type is PHYSICAL).
+const DEFAULT_HIT_FORMULA = 'ACC-EVA';
+const REACTION_KEYS = ['counter', 'reflect', 'thorns'];
+
+function addReactions(into, flags) {
+    if (!flags) return into;
+    for (const k of REACTION_KEYS) into[k] += Number(flags[k]) || 0;
+    return into;
+}
+
+async function getReactions(db, c) {
+    const out = { ...(c.baseReactions || { counter: 0, reflect: 0, thorns: 0 }) };
+    for (const effects of await liveStatusEffects(db, c)) addReactions(out, effects);
+    return out;
+}
+
+function isMagic(effects, fallback) {
+    if (effects.kind) return String(effects.kind).toLowerCase() === 'magic';
+    return fallback;
+}
+
+// true = the hit lands. Friendly fire and self-targeting never miss.
+async function rollToHit(db, battle, actor, target, effects, actionName, result) {
+    if (effects.always_hit || target === actor || battle.isAlly(actor, target)) return true;
+
+    const formula = (effects.hit && effects.hit.formula)
+        || await querySetting(db, 'battle_hit_formula')
+        || DEFAULT_HIT_FORMULA;
+    const chance = Math.max(0, Math.min(100, safeEval(formula, buildFormulaVars(actor, target))));
+    if (chance >= 100 || battle.random() * 100 < chance) return true;
+
+    result.log.push(`${target.name} evades ${actor.name}'s attack!`);
+    result.actions.push({ type: 'miss', target: target.name, targetId: target.charId });
+    battle.addLog({ actor: actor.name, action: actionName, miss: true, target: target.name });
+    return false;
+}
+
+// After a physical hit lands: thorns first, then (if still standing) a counter.
+// Reactions don't trigger further reactions.
+async function resolveReactions(db, battle, actor, target, damage, result) {
+    if (target === actor || battle.isAlly(actor, target) || damage <= 0) return;
+    const r = await getReactions(db, target);
+
+    if (r.thorns > 0 && !actor.defeated) {
+        const back = Math.max(1, Math.floor(damage * r.thorns / 100));
+        actor.currentHp = Math.max(0, actor.currentHp - back);
+        result.log.push(`🌵 ${actor.name} is hurt by thorns for ${back} damage!`);
+        result.actions.push({ type: 'thorns', source: target.name, sourceId: target.charId, target: actor.name, targetId: actor.charId, amount: back });
+        battle.addLog({ actor: target.name, action: 'Thorns', damage: back, target: actor.name });
+        if (actor.currentHp <= 0) markDefeated(battle, actor, target, result);
+    }
+
+    if (r.counter > 0 && !target.defeated && !actor.defeated && battle.random() * 100 < r.counter) {
+        const attackCmd = await BattleContent.command(db, 1);
+        const cmdFx = attackCmd ? jp(attackCmd.effects, {}) : {};
+        const formula = (cmdFx.damage && cmdFx.damage.formula) || 'ATK*2-DEF';
+        const dmg = Math.max(1, Math.floor(safeEval(formula, buildFormulaVars(target, actor))));
+        actor.currentHp = Math.max(0, actor.currentHp - dmg);
+        result.log.push(`⚔️ ${target.name} counterattacks! ${actor.name} takes ${dmg} damage!`);
+        result.actions.push({ type: 'counter', source: target.name, sourceId: target.charId, target: actor.name, targetId: actor.charId, amount: dmg });
+        battle.addLog({ actor: target.name, action: 'Counter', damage: dmg, target: actor.name });
+        if (actor.currentHp <= 0) markDefeated(battle, actor, target, result);
+    }
+}
+
+// Does a hostile spell bounce off this target? (rolls only if it has reflect)
+async function rollReflect(db, battle, actor, target, result) {
+    if (target === actor || battle.isAlly(actor, target)) return false;
+    const { reflect } = await getReactions(db, target);
+    if (reflect <= 0 || battle.random() * 100 >= reflect) return false;
+
+    result.log.push(`🪞 ${target.name} reflects the spell back at ${actor.name}!`);
+    result.actions.push({ type: 'reflect', source: target.name, sourceId: target.charId, target: actor.name, targetId: actor.charId });
+    return true;
+}
+
 // =================================================================
 // TABLE COMPATIBILITY HELPERS
 // =================================================================
@@ -182,33 +618,181 @@ async function queryLevelRow(db, level) {
     return [];
 }
 
+// Limit breaks come from BattleContent, which does the
+// game_limit_breaks / game_limits fallback itself
 async function queryLimitBreakRow(db, id, classId) {
-    for (const tbl of ['game_limit_breaks', 'game_limits']) {
+    return (await BattleContent.limits(db))
+        .filter(l => l.id === Number(id) && l.class_id === Number(classId));
+}
+
+async function queryLimitBreaksList(db, classId, charLevel, breakLevel) {
+    return (await BattleContent.limits(db))
+        .filter(l => l.class_id === Number(classId) && l.char_level_req <= charLevel && l.break_level <= breakLevel)
+        .sort((a, b) => a.break_level - b.break_level);
+}
+
+// Settings live in game_settings on newer installs, system_settings on older ones
+async function querySetting(db, key) {
+    for (const tbl of ['game_settings', 'system_settings']) {
         try {
-            const [rows] = await db.query(`SELECT * FROM \`${tbl}\` WHERE id=? AND class_id=?`, [id, classId]);
-            return rows;
+            const [rows] = await db.query(`SELECT setting_value FROM \`${tbl}\` WHERE setting_key=?`, [key]);
+            return rows.length ? rows[0].setting_value : null;
         } catch (e) {
             if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) continue;
             throw e;
         }
     }
-    return [];
+    return null;
 }
 
-async function queryLimitBreaksList(db, classId, charLevel, breakLevel) {
-    for (const tbl of ['game_limit_breaks', 'game_limits']) {
+async function queryArenaRow(db, arenaId) {
+    for (const tbl of ['game_arenas', 'game_arena']) {
         try {
-            const [rows] = await db.query(
-                `SELECT * FROM \`${tbl}\` WHERE class_id=? AND char_level_req<=? AND break_level<=? ORDER BY break_level`,
-                [classId, charLevel, breakLevel]
-            );
-            return rows;
+            const [rows] = await db.query(`SELECT * FROM \`${tbl}\` WHERE id=?`, [arenaId]);
+            return rows[0] || null;
         } catch (e) {
             if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) continue;
             throw e;
         }
     }
-    return [];
+    return null;
+}
+
+// =================================================================
+// TURN SYSTEMS — Who acts next
+// =================================================================
+// Teaching: BattleState.nextTurn() hands off to the battle's turn system,
+// so the rest of the engine never cares HOW the next actor was chosen.
+//   CLASSIC    — fixed order by speed; everyone acts once per round
+//   INITIATIVE — charge-time queue: every fighter fills a counter by
+//                SPEED and whoever reaches 100 first acts. Twice the
+//                speed means twice the turns.
+//   ATB        — Active Time Battle: the same gauges, but they fill in
+//                real time on a server clock (see startAtbClock). Nobody
+//                acts until their gauge is full.
+// Pick one per battle via setup.turnMode, the arena's turn_mode column,
+// or the battle_turn_mode setting (in that order).
+const TURN_READY = 100;        // Gauge/counter value that grants a turn
+const ATB_TICK_MS = 500;       // Server clock resolution
+const ATB_BASE_SECONDS = 3;    // An average-speed fighter fills in this long
+
+function turnSpeed(c) {
+    return Math.max(1, (c.speed || 0) + (c.luck || 0) * 0.1);
+}
+
+const TURN_SYSTEMS = {
+    CLASSIC: {
+        init(b) {
+            // Everyone sorted by speed (+ luck tiebreaker), fastest first
+            b.turnOrder = Object.values(b.combatants)
+                .sort((x, y) => turnSpeed(y) - turnSpeed(x))
+                .map(c => c.charId);
+            b.turnIndex = 0;
+            b.turnCharId = b.turnOrder[0];
+        },
+        next(b) {
+            // Walk the order until we land on someone still standing
+            for (let i = 0; i < b.turnOrder.length; i++) {
+                b.turnIndex++;
+                if (b.turnIndex >= b.turnOrder.length) {
+                    b.turnIndex = 0;
+                    b.round++;
+                }
+                const c = b.combatants[b.turnOrder[b.turnIndex]];
+                if (c && !c.defeated) break;
+            }
+            b.turnCharId = b.turnOrder[b.turnIndex];
+        },
+        preview(b, n) {
+            const out = [];
+            for (let i = 1; out.length < n && i <= b.turnOrder.length * 2; i++) {
+                const id = b.turnOrder[(b.turnIndex + i) % b.turnOrder.length];
+                if (!b.combatants[id].defeated) out.push(id);
+            }
+            return out;
+        }
+    },
+
+    INITIATIVE: {
+        init(b) {
+            for (const c of Object.values(b.combatants)) c.gauge = 0;
+            TURN_SYSTEMS.INITIATIVE.next(b);
+        },
+        next(b) {
+            const pick = initiativeStep(b, id => b.combatants[id].gauge, (id, v) => { b.combatants[id].gauge = v; });
+            if (!pick) return;
+            b.clock += pick.elapsed;
+            b.round = Math.floor(b.clock / b.roundLength) + 1;
+            b.turnCharId = pick.charId;
+        },
+        preview(b, n) {
+            // Dry-run the queue on a copy of the counters
+            const gauges = {};
+            for (const c of Object.values(b.combatants)) gauges[c.charId] = c.gauge;
+            const out = [];
+            for (let i = 0; i < n; i++) {
+                const pick = initiativeStep(b, id => gauges[id], (id, v) => { gauges[id] = v; });
+                if (!pick) break;
+                out.push(pick.charId);
+            }
+            return out;
+        }
+    },
+
+    ATB: {
+        init(b) {
+            for (const c of Object.values(b.combatants)) c.gauge = 0;
+            b.readyQueue = [];
+            b.turnCharId = null; // The clock hands out the first turn
+        },
+        next(b) {
+            const prev = b.combatants[b.turnCharId];
+            if (prev) prev.gauge = 0;
+            b.readyQueue = b.readyQueue.filter(id => !b.combatants[id].defeated);
+            b.turnCharId = b.readyQueue.shift() || null;
+        },
+        preview(b) {
+            return b.readyQueue.slice();
+        }
+    }
+};
+
+// Advance every living fighter's counter until the first one hits TURN_READY.
+// Ties go to the faster fighter. Returns { charId, elapsed } or null.
+function initiativeStep(b, get, set) {
+    const living = Object.values(b.combatants).filter(c => !c.defeated);
+    let best = null, bestT = Infinity;
+    for (const c of living) {
+        const t = Math.max(0, TURN_READY - get(c.charId)) / turnSpeed(c);
+        if (t < bestT || (t === bestT && turnSpeed(c) > turnSpeed(best))) { best = c; bestT = t; }
+    }
+    if (!best) return null;
+    for (const c of living) set(c.charId, Math.min(TURN_READY, get(c.charId) + turnSpeed(c) * bestT));
+    set(best.charId, 0);
+    return { charId: best.charId, elapsed: bestT };
+}
+
+// =================================================================
+// SEEDED RNG — Reproducible battles
+// =================================================================
+// Teaching: every roll inside a battle (damage spread, crits, procs,
+// flee checks...) comes from battle.random(), never Math.random().
+// The seed is saved with the battle, so feeding the same seed and the
+// same ordered action list back through the resolvers reproduces the
+// fight roll-for-roll. That's what the replay endpoint does.
+// mulberry32: tiny, fast, and plenty random for dice.
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function newSeed() {
+    return Math.floor(Math.random() * 4294967296);
 }
 
 // =================================================================
@@ -217,80 +801,165 @@ async function queryLimitBreaksList(db, classId, charLevel, breakLevel) {
 const activeBattles = {};  // battleId -> BattleState
 
 class BattleState {
-    constructor(id, p1Stats, p2Stats, type = 'PVP') {
+    // sides: [[stats, stats...], [stats...]] — each entry is a getEffectiveStats()
+    // block plus an isAI flag. 1v1 is just two sides with one combatant each.
+    constructor(id, sides, type = 'PVP', turnMode = 'CLASSIC', seed = newSeed()) {
         this.id = id;
         this.type = type; // PVP or PVE
+        this.turnMode = TURN_SYSTEMS[turnMode] ? turnMode : 'CLASSIC';
+        this.seed = seed >>> 0;
+        this.rng = createRng(this.seed);
+        this.rngDraws = 0; // So a restored battle can fast-forward to the same roll
+        this.actions = []; // Ordered record of every action taken (for replays)
+        this.replay = false;
         this.turnNumber = 1;
-        this.turnCharId = null; // Who goes first (determined by speed)
+        this.round = 1;
+        this.turnCharId = null; // Whose turn it is (walks turnOrder)
         this.status = 'ACTIVE';
-        this.winner = null;
+        this.winner = null;      // charId on the winning side (finishing blow if known)
+        this.winningSide = null; // side index that won
         this.log = [];
+        this.mapId = null;   // Where it's being fought (for the spectator list)
+        this.arenaId = null;
+        this._watchers = new Set(); // Spectator socket ids (runtime only)
+        this._defeats = [];         // Knock-outs waiting to be announced on BattleEvents
 
         // Combatant snapshots (mutable during battle)
-        this.combatants = {
-            [p1Stats.charId]: { ...p1Stats, isAI: false },
-            [p2Stats.charId]: { ...p2Stats, isAI: type === 'PVE' }
-        };
+        this.sideCount = sides.length;
+        this.combatants = {};
+        sides.forEach((members, side) => {
+            for (const m of members) {
+                this.combatants[m.charId] = { ...m, side, isAI: !!m.isAI, defeated: false };
+            }
+        });
 
-        // Determine first turn by speed (+ luck tiebreaker)
-        if (p1Stats.speed + p1Stats.luck * 0.1 >= p2Stats.speed + p2Stats.luck * 0.1) {
-            this.turnCharId = p1Stats.charId;
-        } else {
-            this.turnCharId = p2Stats.charId;
-        }
+        // Clock for speed-based modes: one round = one turn of an average fighter
+        const all = Object.values(this.combatants);
+        this.avgSpeed = all.reduce((sum, c) => sum + turnSpeed(c), 0) / (all.length || 1);
+        this.roundLength = TURN_READY / this.avgSpeed;
+        this.clock = 0;
+
+        TURN_SYSTEMS[this.turnMode].init(this);
     }
 
-    getOpponent(charId) {
-        const ids = Object.keys(this.combatants).map(Number);
-        return this.combatants[ids.find(id => id !== charId)];
+    // Rebuild a live battle from saveBattleState()'s JSON
+    static restore(id, snap) {
+        const sides = [];
+        for (const c of Object.values(snap.combatants)) (sides[c.side] = sides[c.side] || []).push(c);
+        const battle = new BattleState(id, sides, snap.type, snap.turnMode, snap.seed);
+        for (const k of RESUME_KEYS) if (snap[k] !== undefined) battle[k] = snap[k];
+        for (let i = 0; i < battle.rngDraws; i++) battle.rng();
+        return battle;
     }
 
     getCombatant(charId) {
         return this.combatants[charId];
     }
 
+    // Living combatants on the same side as charId (self included)
+    getAllies(charId) {
+        const me = this.combatants[charId];
+        if (!me) return [];
+        return Object.values(this.combatants).filter(c => c.side === me.side && !c.defeated);
+    }
+
+    // Living combatants on any other side
+    getEnemies(charId) {
+        const me = this.combatants[charId];
+        if (!me) return [];
+        return Object.values(this.combatants).filter(c => c.side !== me.side && !c.defeated);
+    }
+
+    // Default target: the first enemy still standing
+    getOpponent(charId) {
+        return this.getEnemies(charId)[0] || null;
+    }
+
+    isAlly(a, b) {
+        return !!a && !!b && a.side === b.side;
+    }
+
+    // 0 <= n < 1, from this battle's seeded stream
+    random() {
+        this.rngDraws++;
+        return this.rng();
+    }
+
     addLog(entry) {
         this.log.push({ turn: this.turnNumber, time: Date.now(), ...entry });
     }
 
     nextTurn() {
-        const ids = Object.keys(this.combatants).map(Number);
-        this.turnCharId = ids.find(id => id !== this.turnCharId);
-        this.turnNumber++;
+        // In ATB the turn can sit empty while gauges fill; only count real turns
+        const hadActor = !!this.turnCharId;
+        TURN_SYSTEMS[this.turnMode].next(this);
+        if (hadActor) this.turnNumber++;
+    }
+
+    // Upcoming actors (for the client's turn-order strip)
+    previewTurns(n = 6) {
+        return TURN_SYSTEMS[this.turnMode].preview(this, n);
+    }
+
+    _publicCombatant(c) {
+        const out = {
+            id: c.charId, name: c.name, side: c.side, isAI: c.isAI, defeated: c.defeated,
+            hp: c.currentHp, maxHp: c.maxHp, mp: c.currentMp, maxMp: c.maxMp, statuses: c.statuses
+        };
+        if (this.turnMode === 'ATB') out.gauge = Math.floor(c.gauge);
+        if (c.casting) out.casting = { name: c.casting.name, turnsLeft: c.casting.turnsLeft };
+        if (c.disconnected) out.disconnected = true;
+        if (Array.isArray(c.phases)) {
+            out.boss = true;
+            if (c.phaseName) out.phase = c.phaseName;
+        }
+        return out;
     }
 
     toClientState(forCharId) {
-        // If viewer is not provided (public view) or not a participant, return a safe public state
-        const ids = Object.keys(this.combatants);
         const isValidViewer = forCharId && this.combatants[forCharId];
+        const base = {
+            battleId: this.id,
+            type: this.type,
+            turn: this.turnNumber,
+            round: this.round,
+            turnCharId: this.turnCharId,
+            turnMode: this.turnMode,
+            turnDeadline: this.turnDeadline || null,
+            spectators: this._watchers.size,
+            // Duels show what each side has riding on the fight
+            duel: this.duel ? Object.values(this.duel.stakes).map(st => ({ name: st.name, gold: st.gold, items: st.items })) : null,
+            queue: this.previewTurns(),
+            status: this.status,
+            winner: this.winner,
+            winningSide: this.winningSide,
+            log: this.log.slice(-10)
+        };
+
+        // If viewer is not provided (public view) or not a participant, return a safe public state
         if (!isValidViewer) {
-            const a = this.combatants[ids[0]];
-            const b = this.combatants[ids[1]];
             return {
-                battleId: this.id,
-                turn: this.turnNumber,
+                ...base,
                 isMyTurn: false,
-                combatants: [
-                    { id: a.charId || parseInt(ids[0]), name: a.name, hp: a.currentHp, maxHp: a.maxHp, statuses: a.statuses },
-                    { id: b.charId || parseInt(ids[1]), name: b.name, hp: b.currentHp, maxHp: b.maxHp, statuses: b.statuses }
-                ],
-                status: this.status,
-                winner: this.winner,
-                log: this.log.slice(-10)
+                combatants: Object.values(this.combatants).map(c => this._publicCombatant(c))
             };
         }
 
         const me = this.combatants[forCharId];
-        const opp = this.getOpponent(forCharId);
+        const all = Object.values(this.combatants);
+        const opp = this.getOpponent(forCharId) || all.find(c => c.side !== me.side);
         return {
-            battleId: this.id,
-            turn: this.turnNumber,
-            isMyTurn: this.turnCharId === forCharId,
-            me: { name: me.name, hp: me.currentHp, maxHp: me.maxHp, mp: me.currentMp, maxMp: me.maxMp, statuses: me.statuses, limitbreak: me.limitbreak, breaklevel: me.breaklevel },
-            opponent: { name: opp.name, hp: opp.currentHp, maxHp: opp.maxHp, mp: opp.currentMp, maxMp: opp.maxMp, statuses: opp.statuses },
-            status: this.status,
-            winner: this.winner,
-            log: this.log.slice(-10)
+            ...base,
+            isMyTurn: this.turnCharId === me.charId,
+            myId: me.charId,
+            mySide: me.side,
+            me: { ...this._publicCombatant(me), limitbreak: me.limitbreak, breaklevel: me.breaklevel },
+            allies: all.filter(c => c.side === me.side && c.charId !== me.charId).map(c => this._publicCombatant(c)),
+            enemies: all.filter(c => c.side !== me.side).map(c => this._publicCombatant(c)),
+            // Kept for older clients that only know 1v1
+            opponent: opp ? this._publicCombatant(opp) : null,
+            // Set by endBattle: { xp, gold, items } this viewer earned
+            rewards: (this.rewards && this.rewards[me.charId]) || null
         };
     }
 }
@@ -301,49 +970,130 @@ class BattleState {
 const BattleManager = {
 
     // --- CREATE BATTLE ---
-    createBattle: async (db, io, p1Socket, p2Socket, p1CharId, p2CharId, type = 'PVP') => {
-        // Get effective stats for both
-        const p1Stats = await getEffectiveStats(db, p1CharId);
-        const p2Stats = await getEffectiveStats(db, p2CharId);
-        if (!p1Stats || !p2Stats) return null;
+    // setup = { type, sides: [[{ charId, socket, isAI }, ...], [...]] }
+    // The legacy 1v1 form still works:
+    //   createBattle(db, io, p1Socket, p2Socket, p1CharId, p2CharId, type)
+    createBattle: async (db, io, setup, ...legacyArgs) => {
+        if (!setup || !Array.isArray(setup.sides)) {
+            const [p2Socket, p1CharId, p2CharId, legacyType = 'PVP'] = legacyArgs;
+            setup = {
+                type: legacyType,
+                sides: [
+                    [{ charId: p1CharId, socket: setup }],
+                    [{ charId: p2CharId, socket: p2Socket, isAI: legacyType === 'PVE' }]
+                ]
+            };
+        }
+        const type = setup.type || 'PVP';
+        if (setup.sides.length < 2) return null;
+
+        // Get effective stats for every combatant. Monster members
+        // ({ monsterId, level }) spawn fresh instances instead.
+        const seen = new Set();
+        const sides = [];
+        const spawnCounts = {};
+        let spawned = 0;
+        for (const members of setup.sides) {
+            const side = [];
+            for (const m of members || []) {
+                if (m.monsterId) {
+                    const stats = await getMonsterStats(db, m.monsterId, m.level, -(++spawned));
+                    if (!stats) continue;
+                    spawnCounts[stats.monsterId] = (spawnCounts[stats.monsterId] || 0) + 1;
+                    stats.spawnIndex = spawnCounts[stats.monsterId];
+                    side.push({ ...stats, isAI: true, aiProfileId: m.aiProfileId || stats.aiProfileId,
+                        lootTableId: m.lootTableId || stats.lootTableId });
+                    continue;
+                }
+                const charId = parseInt(m.charId, 10);
+                if (!charId || seen.has(charId)) continue; // Nobody fights on two sides
+                const stats = await getEffectiveStats(db, charId);
+                if (!stats) continue;
+                seen.add(charId);
+                side.push({
+                    ...stats, isAI: !!m.isAI,
+                    aiProfileId: m.aiProfileId || stats.aiProfileId,
+                    lootTableId: m.lootTableId || stats.lootTableId
+                });
+            }
+            if (!side.length) return null;
+            sides.push(side);
+        }
+
+        // Three Goblins become Goblin A, Goblin B, Goblin C
+        for (const c of sides.flat()) {
+            if (c.monsterId && spawnCounts[c.monsterId] > 1) c.name += ' ' + String.fromCharCode(64 + c.spawnIndex);
+        }
+
+        // Turn system: explicit setup > arena > game setting > classic
+        let turnMode = setup.turnMode || null;
+        const arena = setup.arenaId ? await queryArenaRow(db, setup.arenaId) : null;
+        if (!turnMode && arena) turnMode = arena.turn_mode;
+        if (!turnMode) turnMode = await querySetting(db, 'battle_turn_mode');
+        turnMode = String(turnMode || 'CLASSIC').toUpperCase();
 
-        // Create DB record
+        // Snapshot the starting line-up before anything mutates it (replays start here)
+        const snapshot = JSON.parse(JSON.stringify(sides));
+
+        // Create in-memory state first so the DB row gets the real first turn
+        const battle = new BattleState(null, sides, type, turnMode);
+        const p1Stats = sides[0][0];
+        const p2Stats = sides[1][0];
+
+        // Create DB record (side leaders go in the p1/p2 columns; monsters have no row)
+        const first = battle.getCombatant(battle.turnCharId);
         const [result] = await db.query(
             `INSERT INTO game_battles (p1_char_id, p2_char_id, p1_user_id, p2_user_id, turn_char_id, status)
              VALUES (?,?,?,?,?,?)`,
-            [p1CharId, p2CharId, p1Stats.userId, p2Stats.userId,
-             p1Stats.speed >= p2Stats.speed ? p1CharId : p2CharId, 'ACTIVE']
+            // (ATB has no first actor yet, so the leader stands in)
+            [dbCharId(p1Stats), dbCharId(p2Stats), p1Stats.userId || null, p2Stats.userId || null,
+             dbCharId(first) || dbCharId(p1Stats), 'ACTIVE']
         );
         const battleId = result.insertId;
-
-        // Create in-memory state
-        const battle = new BattleState(battleId, p1Stats, p2Stats, type);
+        battle.id = battleId;
+        battle.mapId = setup.mapId != null ? Number(setup.mapId) : null;
+        battle.arenaId = setup.arenaId != null ? Number(setup.arenaId) : null;
+        battle.ranked = !!setup.ranked; // Matchmade arena bout: rated, no running away
+        battle.tournament = setup.tournament || null; // { id, matchId } — reported back in endBattle
+        battle.duel = setup.duel || null; // { escrowId, gold, stakes } — no-loss, wager settled in endBattle
+        battle.rewardMultiplier = arena && arena.reward_multiplier != null ? Number(arena.reward_multiplier) || 1 : 1;
         activeBattles[battleId] = battle;
 
-        // Get available commands for each player
-        const p1Cmds = await getAvailableCommands(db, p1Stats);
-        const p2Cmds = await getAvailableCommands(db, p2Stats);
-
-        // Notify both players
-        if (p1Socket) {
-            p1Socket.emit('battle_start', {
-                ...battle.toClientState(p1CharId),
-                commands: p1Cmds
-            });
+        // Replay record: seed + starting snapshot now, the action list at the end
+        battle.setup = { type, turnMode: battle.turnMode, seed: battle.seed, sides: snapshot };
+        try {
+            await db.query("UPDATE game_battles SET rng_seed=?, setup_json=? WHERE id=?",
+                [battle.seed, JSON.stringify(battle.setup), battleId]);
+        } catch (e) {
+            console.warn('Battle replay columns missing (run mysql_battle_engine_SAFE.sql):', e.message);
         }
-        if (p2Socket) {
-            p2Socket.emit('battle_start', {
-                ...battle.toClientState(p2CharId),
-                commands: p2Cmds
-            });
+
+        // Join battle room, tag sockets with the charId they control, send each
+        // player their own view + command menu
+        const room = `battle_${battleId}`;
+        for (const members of setup.sides) {
+            for (const m of members || []) {
+                const c = battle.getCombatant(parseInt(m.charId, 10));
+                if (!m.socket || !c) continue;
+                if (m.socket._watchingBattleId) await stopSpectating(io, m.socket);
+                m.socket.join(room);
+                m.socket._battleCharId = c.charId;
+                m.socket._battleId = battleId;
+                m.socket.emit('battle_start', {
+                    ...battle.toClientState(c.charId),
+                    commands: await getAvailableCommands(db, c)
+                });
+            }
         }
 
-        battle.addLog({ actor: 'system', text: `Battle begins! ${p1Stats.name} vs ${p2Stats.name}!` });
+        logBattleStart(battle);
+        battle.afk = await loadAfkRules(db);
+        await saveBattleState(db, battle);
+        await BattleEvents.emit('battle_started', { db, io, battle });
 
-        // If P2 is AI and it's AI's turn, auto-act
-        if (type === 'PVE' && battle.turnCharId === p2CharId) {
-            setTimeout(() => BattleManager.aiTurn(db, io, battleId), 1500);
-        }
+        // ATB: gauges start filling now. Otherwise, if the first actor is AI, auto-act
+        if (battle.turnMode === 'ATB') startAtbClock(db, io, battle);
+        else beginTurn(db, io, battle, 1500);
 
         return battleId;
     },
@@ -360,118 +1110,537 @@ const BattleManager = {
             return;
         }
 
-        // Find which combatant this socket controls.
-        // IMPORTANT: In PvP, *both* combatants are human, so we must use the
-        // charId the server attached to the socket when the battle started.
-        // In PvE, we can safely fall back to "the non-AI combatant".
-        let charId = socket._battleCharId;
-        if (!charId || !battle.combatants[charId]) {
-            charId = Object.keys(battle.combatants).map(Number)
-                .find(id => !battle.combatants[id].isAI);
+        // Find which combatant this socket controls: the charId the server
+        // attached to the socket when it joined (createBattle / rejoinBattle).
+        // No guessing — with several humans in a fight, an unbound socket
+        // must not get to act as one of them.
+        if (socket._watchingBattleId === battle.id) {
+            socket.emit('battle_error', 'Spectators cannot act.');
+            return;
+        }
+        const charId = Number(socket._battleCharId);
+        const me = charId ? battle.combatants[charId] : null;
+        if (!me || me.isAI || me.defeated) {
+            socket.emit('battle_error', 'You are not fighting in this battle.');
+            return;
         }
 
-        if (!charId || battle.turnCharId !== charId) {
+        if (battle.turnCharId !== charId) {
             socket.emit('battle_error', 'Not your turn.');
             return;
         }
 
         const actor = battle.getCombatant(charId);
-        const target = battle.getOpponent(charId);
-
-        // Execute the action
-        const result = await executeBattleAction(db, battle, actor, target, { commandId, skillId, itemId, limitId });
-
-        // Send result to both players
-        await broadcastBattleUpdate(io, battle, result);
-
-        // Check for battle end
-        if (battle.status !== 'ACTIVE') {
-            await endBattle(db, io, battle);
+        if (actor.casting) {
+            socket.emit('battle_error', `Still casting ${actor.casting.name}...`);
             return;
         }
-
-        // Process turn-end status effects, then next turn
-        await processStatusEffects(db, battle);
-
-        // Check deaths from status effects
-        checkDeaths(battle);
-        if (battle.status !== 'ACTIVE') {
-            await broadcastBattleUpdate(io, battle, { text: 'Battle Over!' });
-            await endBattle(db, io, battle);
+        if (!claimTurn(battle)) {
+            socket.emit('battle_error', 'Action already in progress.');
             return;
         }
+        actor.afkStrikes = 0;
 
-        battle.nextTurn();
-        await broadcastBattleUpdate(io, battle, null);
+        // Explicit target (enemy or ally); default to the first enemy standing
+        let target = targetId ? battle.getCombatant(parseInt(targetId, 10)) : null;
+        if (!target || target.defeated) target = battle.getOpponent(charId);
 
-        // AI turn
-        const nextActor = battle.getCombatant(battle.turnCharId);
-        if (nextActor.isAI) {
-            setTimeout(() => BattleManager.aiTurn(db, io, battleId), 1200);
+        // Execute the action. If it blows up, hand the turn back so the
+        // AFK clock can still move the battle on
+        let result;
+        try {
+            result = await executeBattleAction(db, battle, actor, target, { commandId, skillId, itemId, limitId });
+        } catch (e) {
+            battle._actingTurn = null;
+            armTurnTimer(db, io, battle);
+            throw e;
         }
+
+        await finishTurn(db, io, battle, result);
     },
 
     // --- AI TURN ---
     aiTurn: async (db, io, battleId) => {
         const battle = activeBattles[battleId];
         if (!battle || battle.status !== 'ACTIVE') return;
+        battle._aiTimer = null;
+
+        const ai = battle.getCombatant(battle.turnCharId);
+        if (!ai || !(ai.isAI || ai.casting) || !claimTurn(battle)) return;
+
+        if (ai.casting) {
+            const result = await executeBattleAction(db, battle, ai, null, {});
+            await finishTurn(db, io, battle, result);
+            return;
+        }
+
+        // The AI's profile (see battle_ai.js) picks the move and the target
+        const { target, action } = await BattleAI.chooseAction(db, battle, ai,
+            { getAvailableCommands, buildFormulaVars });
+
+        const result = await executeBattleAction(db, battle, ai, target, action);
+        await finishTurn(db, io, battle, result);
+    },
+
+    // --- REPLAY ---
+    replayBattle,
+
+    // --- FORMULA SIMULATOR (routes/admin.js) ---
+    simulateAction,
+
+    // --- RECOVERY (server.js: boot, join_game, disconnect) ---
+    restoreBattles,
+    rejoinBattle,
+    markDisconnected,
+
+    // --- SPECTATORS (server.js: battle_list / battle_spectate) ---
+    listBattles,
+    describeBattle,
+    spectateBattle,
+    stopSpectating,
+
+    // Expose for server.js / arena_ladder.js
+    querySetting,
+    queryArenaRow,
+    activeBattles,
+    getEffectiveStats
+};
+
+// =================================================================
+// TURN FLOW — shared by players and AI
+// =================================================================
+// 1. Broadcast the action  2. Tick the actor's statuses  3. Check deaths
+// 4. Advance turn  5. Broadcast, and hand off to the AI if it's their go
+async function finishTurn(db, io, battle, result) {
+    clearTurnTimer(battle);
+
+    // Tell subscribers what just happened (and who it knocked out)
+    const record = battle.actions[battle.actions.length - 1] || null;
+    await BattleEvents.emit('action_resolved', {
+        db, io, battle, record, result, actor: record ? battle.combatants[record.charId] || null : null
+    });
+    await emitDefeats(db, io, battle);
+
+    // Battle over? endBattle sends the final update once rewards are rolled
+    if (battle.status !== 'ACTIVE') {
+        await endBattle(db, io, battle, result);
+        return;
+    }
+
+    // Send result to everyone in the room
+    await broadcastBattleUpdate(io, battle, result);
+
+    // Tick the actor's statuses, check deaths, advance the turn
+    if (!await settleTurn(db, battle)) {
+        await endBattle(db, io, battle, { text: 'Battle Over!' });
+        return;
+    }
+
+    await emitDefeats(db, io, battle); // Status ticks can knock people out too
+    await saveBattleState(db, battle);
+    await broadcastBattleUpdate(io, battle, null, db);
+
+    // AI turn (or start the human's clock)
+    beginTurn(db, io, battle, 1200);
+}
+
+// Steps 2-4 with no sockets involved, so replays walk the exact same path.
+// Returns false if a status tick ended the battle.
+async function settleTurn(db, battle) {
+    // Process turn-end status effects for whoever just acted
+    await processStatusEffects(db, battle, battle.turnCharId);
+    const actor = battle.getCombatant(battle.turnCharId);
+    if (actor) tickCooldowns(actor);
+
+    // Check deaths from status effects
+    checkDeaths(battle);
+    if (battle.status !== 'ACTIVE') return false;
+
+    // Bosses change phase on HP / turn / round thresholds
+    await checkBossPhases(db, battle);
+
+    battle.nextTurn();
+    return true;
+}
+
+function logBattleStart(battle) {
+    const sides = [];
+    for (const c of Object.values(battle.combatants)) (sides[c.side] = sides[c.side] || []).push(c.name);
+    battle.addLog({ actor: 'system', text: `Battle begins! ${sides.map(n => n.join(' & ')).join(' vs ')}!` });
+}
+
+// Queue the AI if it's an AI's turn. Only one pending AI move per battle,
+// so the ATB clock and finishTurn can't both fire the same turn.
+// A player who is charging a skill is also auto-played (nothing to pick).
+function scheduleAiTurn(db, io, battle, delay) {
+    const actor = battle.getCombatant(battle.turnCharId);
+    if (!actor || !(actor.isAI || actor.casting) || battle._aiTimer) return;
+    battle._aiTimer = setTimeout(() => BattleManager.aiTurn(db, io, battle.id), delay);
+}
+
+// =================================================================
+// RECOVERY — Snapshots, restarts, reconnects & AFK
+// =================================================================
+// Teaching: activeBattles only lives in memory, so after every turn the
+// whole BattleState goes into game_battles.state_json. On boot,
+// restoreBattles() brings every ACTIVE battle back (its players count as
+// disconnected until they rejoin). A player who rejoins via join_game is
+// put back into the battle room by rejoinBattle().
+//
+// Nobody can stall a fight forever: each human turn has a timer.
+//   battle_turn_timeout       seconds before an idle player auto-acts (60, 0 = off)
+//   battle_disconnect_timeout same, for a player who has dropped (20)
+//   battle_afk_command        command used on their behalf (2 = Defend)
+//   battle_afk_forfeit_after  that many auto-turns in a row = forfeit (3)
+const AFK_DEFAULTS = { turnTimeout: 60, disconnectTimeout: 20, commandId: 2, forfeitAfter: 3 };
+
+// Everything a battle needs to pick up where it left off (timers are rebuilt)
+const RESUME_KEYS = ['rngDraws', 'actions', 'turnNumber', 'round', 'turnCharId', 'status', 'winner',
+    'winningSide', 'log', 'combatants', 'turnOrder', 'turnIndex', 'readyQueue', 'clock', 'setup', 'afk',
+    'mapId', 'arenaId', 'ranked', 'rewardMultiplier', 'tournament', 'duel'];
+
+async function loadAfkRules(db) {
+    const num = async (key, fallback) => {
+        const v = await querySetting(db, key);
+        return v === null || v === '' || isNaN(v) ? fallback : Number(v);
+    };
+    return {
+        turnTimeout: await num('battle_turn_timeout', AFK_DEFAULTS.turnTimeout),
+        disconnectTimeout: await num('battle_disconnect_timeout', AFK_DEFAULTS.disconnectTimeout),
+        commandId: await num('battle_afk_command', AFK_DEFAULTS.commandId),
+        forfeitAfter: await num('battle_afk_forfeit_after', AFK_DEFAULTS.forfeitAfter)
+    };
+}
+
+async function saveBattleState(db, battle) {
+    if (battle.replay) return;
+    const snap = { type: battle.type, turnMode: battle.turnMode, seed: battle.seed };
+    for (const k of RESUME_KEYS) snap[k] = battle[k];
+    try {
+        await db.query("UPDATE game_battles SET state_json=? WHERE id=?", [JSON.stringify(snap), battle.id]);
+    } catch (e) { /* state_json not migrated — battles just won't survive a restart */ }
+}
+
+// Called once from server.js after the DB is up
+async function restoreBattles(db, io) {
+    let rows;
+    try {
+        [rows] = await db.query("SELECT id, state_json FROM game_battles WHERE status='ACTIVE' AND state_json IS NOT NULL");
+    } catch (e) {
+        return 0; // Not migrated
+    }
+
+    for (const row of rows) {
+        const snap = jp(row.state_json, null);
+        if (!snap || activeBattles[row.id]) continue;
+        const battle = BattleState.restore(row.id, snap);
+        battle.afk = await loadAfkRules(db);
+        for (const c of Object.values(battle.combatants)) if (!c.isAI) c.disconnected = true;
+        battle.addLog({ actor: 'system', text: 'The battle resumes after a server restart.' });
+        activeBattles[battle.id] = battle;
+
+        if (battle.turnMode === 'ATB') startAtbClock(db, io, battle);
+        beginTurn(db, io, battle, 1500);
+    }
+    if (rows.length) console.log(`⚔️ Restored ${rows.length} active battle(s)`);
+    return rows.length;
+}
+
+// join_game: put a returning player back into their fight
+async function rejoinBattle(db, io, socket, charId) {
+    const battle = Object.values(activeBattles).find(b => b.status === 'ACTIVE'
+        && b.combatants[charId] && !b.combatants[charId].isAI);
+    if (!battle) return false;
+
+    const c = battle.combatants[charId];
+    const room = `battle_${battle.id}`;
+    socket.join(room);
+    socket._battleCharId = charId;
+    socket._battleId = battle.id;
+
+    const wasAway = c.disconnected;
+    c.disconnected = false;
+    if (wasAway) battle.addLog({ actor: 'system', text: `${c.name} reconnected.` });
+
+    // Back in time for their own turn: give them the full timer again
+    if (battle.turnCharId === charId) armTurnTimer(db, io, battle);
+
+    socket.emit('battle_start', {
+        ...battle.toClientState(charId),
+        commands: await getAvailableCommands(db, c),
+        resumed: true
+    });
+    await broadcastBattleUpdate(io, battle, null);
+    return true;
+}
+
+// disconnect: keep the fight going, just shorten their clock
+async function markDisconnected(db, io, socket) {
+    const battle = activeBattles[socket._battleId];
+    const c = battle && battle.combatants[socket._battleCharId];
+    if (!c || battle.status !== 'ACTIVE') return;
+
+    c.disconnected = true;
+    battle.addLog({ actor: 'system', text: `${c.name} lost connection.` });
+    if (battle.turnCharId === c.charId) armTurnTimer(db, io, battle);
+    await broadcastBattleUpdate(io, battle, null);
+}
+
+// A new turn has started: AI acts, humans get a countdown
+function beginTurn(db, io, battle, aiDelay) {
+    scheduleAiTurn(db, io, battle, aiDelay);
+    armTurnTimer(db, io, battle);
+}
+
+function armTurnTimer(db, io, battle) {
+    clearTurnTimer(battle);
+    const actor = battle.getCombatant(battle.turnCharId);
+    if (!actor || actor.isAI || actor.casting || battle.status !== 'ACTIVE') return;
+
+    const rules = battle.afk || AFK_DEFAULTS;
+    const secs = actor.disconnected ? rules.disconnectTimeout : rules.turnTimeout;
+    if (!secs) return;
+
+    const turn = battle.turnNumber;
+    battle.turnDeadline = Date.now() + secs * 1000;
+    battle._turnTimer = setTimeout(() => {
+        autoTurn(db, io, battle.id, actor.charId, turn).catch(e => console.error('AFK turn error:', e));
+    }, secs * 1000);
+}
+
+function clearTurnTimer(battle) {
+    if (battle._turnTimer) clearTimeout(battle._turnTimer);
+    battle._turnTimer = null;
+    battle.turnDeadline = null;
+}
+
+// One action per turn. Resolving takes a few awaits, and finishTurn only
+// moves the turn on at the end — so the player, their AFK timer or a
+// double-click could all pass the "whose turn is it" check meanwhile.
+// Whoever claims the turn first acts; the rest are turned away.
+function claimTurn(battle) {
+    if (battle._actingTurn === battle.turnNumber) return false;
+    battle._actingTurn = battle.turnNumber;
+    clearTurnTimer(battle);
+    return true;
+}
+
+// Time's up: act for them, or forfeit after too many in a row
+async function autoTurn(db, io, battleId, charId, turn) {
+    const battle = activeBattles[battleId];
+    if (!battle || battle.status !== 'ACTIVE' || battle.turnCharId !== charId || battle.turnNumber !== turn) return;
+    if (!claimTurn(battle)) return;
+
+    const actor = battle.getCombatant(charId);
+    const rules = battle.afk || AFK_DEFAULTS;
+    actor.afkStrikes = (actor.afkStrikes || 0) + 1;
+
+    const forfeit = actor.afkStrikes >= rules.forfeitAfter;
+    const result = await executeBattleAction(db, battle, actor, battle.getOpponent(charId),
+        forfeit ? { forfeit: true } : { commandId: rules.commandId });
+    result.log.unshift(`⏰ ${actor.name} ran out of time!`);
+    await finishTurn(db, io, battle, result);
+}
+
+// =================================================================
+// SPECTATORS — Read-only seats in the battle room
+// =================================================================
+// Teaching: spectators join the same battle_N room as the fighters.
+// broadcastBattleUpdate already sends the public state (toClientState(null))
+// to any socket without a _battleCharId, so watching needs no extra
+// broadcast path — only bookkeeping for the "N watching" count. Who may
+// watch what (same map, guildmates, arena crowd) is server.js's call.
+function describeBattle(battleId) {
+    const battle = activeBattles[battleId];
+    if (!battle || battle.status !== 'ACTIVE') return null;
+    const sides = [];
+    for (const c of Object.values(battle.combatants)) {
+        (sides[c.side] = sides[c.side] || []).push({ id: c.charId, name: c.name, isAI: c.isAI, defeated: c.defeated });
+    }
+    return {
+        battleId: battle.id, type: battle.type, turnMode: battle.turnMode,
+        mapId: battle.mapId, arenaId: battle.arenaId,
+        tournamentId: battle.tournament ? battle.tournament.id : null,
+        turn: battle.turnNumber, round: battle.round,
+        sides, spectators: battle._watchers.size
+    };
+}
 
-        const ai = battle.getCombatant(battle.turnCharId);
-        const player = battle.getOpponent(battle.turnCharId);
+// filter = { mapId, arenaId, type } — any left out matches everything
+function listBattles(filter = {}) {
+    const out = [];
+    for (const id of Object.keys(activeBattles)) {
+        const info = describeBattle(id);
+        if (!info) continue;
+        if (filter.mapId != null && info.mapId !== Number(filter.mapId)) continue;
+        if (filter.arenaId != null && info.arenaId !== Number(filter.arenaId)) continue;
+        if (filter.type && info.type !== filter.type) continue;
+        out.push(info);
+    }
+    return out;
+}
 
-        // Simple AI: Attack command (ID 1) or heal if low HP
-        let commandId = 1; // Attack
-        let skillId = null;
+async function spectateBattle(io, socket, battleId) {
+    const battle = activeBattles[battleId];
+    if (!battle || battle.status !== 'ACTIVE') return { error: 'That battle is over.' };
+    if (socket._battleId) return { error: 'You are in a battle yourself.' };
 
-        // If HP below 30%, try to heal (if AI has healing skill — future)
-        // For now: just attack with randomness
-        if (Math.random() < 0.2) commandId = 2; // Sometimes defend
+    // One fight at a time
+    if (socket._watchingBattleId && socket._watchingBattleId !== battle.id) await stopSpectating(io, socket);
 
-        const result = await executeBattleAction(db, battle, ai, player, { commandId });
-        await broadcastBattleUpdate(io, battle, result);
+    socket.join(`battle_${battle.id}`);
+    socket._watchingBattleId = battle.id;
+    battle._watchers.add(socket.id);
 
-        if (battle.status !== 'ACTIVE') {
-            await endBattle(db, io, battle);
-            return;
+    socket.emit('battle_start', { ...battle.toClientState(null), spectator: true });
+    // Fighters see the crowd grow
+    await broadcastBattleUpdate(io, battle, null);
+    return { success: true };
+}
+
+async function stopSpectating(io, socket) {
+    const battle = activeBattles[socket._watchingBattleId];
+    socket._watchingBattleId = null;
+    if (!battle) return;
+    socket.leave(`battle_${battle.id}`);
+    if (battle._watchers.delete(socket.id) && battle.status === 'ACTIVE') {
+        await broadcastBattleUpdate(io, battle, null);
+    }
+}
+
+// =================================================================
+// ATB CLOCK — Real-time gauges (turnMode 'ATB' only)
+// =================================================================
+// Every tick, each living fighter's gauge grows in proportion to their
+// speed. Full gauges join the ready queue; when nobody is acting, the
+// head of the queue gets the turn. Gauges keep filling while someone
+// picks a command ("active" ATB), so dawdling lets enemies catch up.
+function startAtbClock(db, io, battle) {
+    battle._atbTimer = setInterval(() => {
+        if (battle.status !== 'ACTIVE') return stopAtbClock(battle);
+
+        const secs = ATB_TICK_MS / 1000;
+        battle.clock += secs * (TURN_READY / ATB_BASE_SECONDS) / battle.avgSpeed;
+        battle.round = Math.floor(battle.clock / battle.roundLength) + 1;
+
+        const gauges = {};
+        for (const c of Object.values(battle.combatants)) {
+            if (c.defeated) continue;
+            const waiting = c.charId === battle.turnCharId || battle.readyQueue.includes(c.charId);
+            if (!waiting) {
+                const fillTime = ATB_BASE_SECONDS * battle.avgSpeed / turnSpeed(c);
+                c.gauge = Math.min(TURN_READY, c.gauge + TURN_READY * secs / fillTime);
+                if (c.gauge >= TURN_READY) battle.readyQueue.push(c.charId);
+            }
+            gauges[c.charId] = Math.floor(c.gauge);
         }
+        io.to(`battle_${battle.id}`).emit('battle_atb', { battleId: battle.id, gauges, ready: battle.readyQueue });
 
-        await processStatusEffects(db, battle);
-        checkDeaths(battle);
-        if (battle.status !== 'ACTIVE') {
-            await broadcastBattleUpdate(io, battle, { text: 'Battle Over!' });
-            await endBattle(db, io, battle);
-            return;
+        // Idle battle + someone ready → hand them the turn
+        if (!battle.turnCharId && battle.readyQueue.length) {
+            battle.nextTurn();
+            beginTurn(db, io, battle, 600);
+            broadcastBattleUpdate(io, battle, null, db).catch(() => {});
         }
+    }, ATB_TICK_MS);
+}
 
-        battle.nextTurn();
-        await broadcastBattleUpdate(io, battle, null);
-    },
+function stopAtbClock(battle) {
+    if (battle._atbTimer) clearInterval(battle._atbTimer);
+    battle._atbTimer = null;
+}
 
-    // Expose for server.js
-    activeBattles,
-    getEffectiveStats
-};
+// =================================================================
+// TARGETING — turn a target_type into the list of combatants hit
+// =================================================================
+// Teaching: skills, commands and limits all carry a target_type column.
+// The client only ever sends ONE picked target; area types ignore the
+// pick and fan out to a whole side. Every list returned here holds
+// living combatants only, so resolvers never hit a corpse.
+//   ENEMY / SELF_OR_ENEMY  → the picked target (or first enemy standing)
+//   ALLY                   → the picked ally (falls back to self)
+//   SELF                   → the actor
+//   ALL_ENEMIES            → every living enemy
+//   ALL_ALLIES             → every living ally, actor included
+//   RANDOM_ENEMY           → one enemy chosen at random
+//   ALL                    → everyone still standing, actor included
+function resolveTargets(battle, actor, target, targetType) {
+    const type = String(targetType || 'ENEMY').toUpperCase();
+    const picked = target && !target.defeated ? target : null;
+
+    switch (type) {
+        case 'SELF':
+            return [actor];
+        case 'ALLY':
+            return [picked && battle.isAlly(actor, picked) ? picked : actor];
+        case 'ALL_ALLIES':
+            return battle.getAllies(actor.charId);
+        case 'ALL_ENEMIES':
+            return battle.getEnemies(actor.charId);
+        case 'RANDOM_ENEMY': {
+            const enemies = battle.getEnemies(actor.charId);
+            return enemies.length ? [enemies[Math.floor(battle.random() * enemies.length)]] : [];
+        }
+        case 'ALL':
+            return Object.values(battle.combatants).filter(c => !c.defeated);
+        case 'SELF_OR_ENEMY':
+            return [picked || battle.getOpponent(actor.charId)].filter(Boolean);
+        default: {
+            // ENEMY (and anything unknown): never let a single-target attack land on a friend
+            const foe = picked && !battle.isAlly(actor, picked) ? picked : battle.getOpponent(actor.charId);
+            return foe ? [foe] : [];
+        }
+    }
+}
 
 // =================================================================
 // EXECUTE BATTLE ACTION — The core resolver
 // =================================================================
-async function executeBattleAction(db, battle, actor, target, { commandId, skillId, itemId, limitId }) {
+async function executeBattleAction(db, battle, actor, target, { commandId, skillId, itemId, limitId, forfeit }) {
     const result = { actor: actor.name, actions: [], log: [] };
 
+    // Record the action exactly as resolved (target after any fallback)
+    const record = {
+        turn: battle.turnNumber, round: battle.round, charId: actor.charId,
+        targetId: target ? target.charId : null,
+        commandId: commandId || null, skillId: skillId || null, itemId: itemId || null, limitId: limitId || null
+    };
+    if (forfeit) record.forfeit = true;
+    battle.actions.push(record);
+
+    // AFK too long (see RECOVERY) — out of the fight
+    if (forfeit) {
+        const text = `🏳️ ${actor.name} forfeits!`;
+        result.log.push(text);
+        battle.addLog({ actor: actor.name, action: 'FORFEIT', text });
+        markDefeated(battle, actor, null, result);
+        return result;
+    }
+
     // Check if actor is stunned
     for (const s of actor.statuses) {
-        const [sRows] = await db.query("SELECT * FROM game_statuses WHERE id=?", [s.id]);
-        if (sRows.length) {
-            const fx = jp(sRows[0].effects, {});
+        const row = await BattleContent.status(db, s.id);
+        if (row) {
+            const fx = jp(row.effects, {});
             if (fx.skip_turn) {
                 const logText = (fx.log || '{name} cannot act!').replace('{name}', actor.name);
                 result.log.push(logText);
                 battle.addLog({ actor: actor.name, action: 'STUNNED', text: logText });
+                if (actor.casting) {
+                    result.log.push(`${actor.name}'s ${actor.casting.name} is interrupted!`);
+                    result.actions.push({ type: 'cast_interrupted', skill: actor.casting.name });
+                    actor.casting = null;
+                }
                 return result;
             }
         }
     }
 
+    // Mid-cast: whatever was sent, this turn belongs to the charging skill
+    if (actor.casting) {
+        return await continueCast(db, battle, actor, result);
+    }
+
     // --- SKILL ---
     if (skillId) {
         return await resolveSkill(db, battle, actor, target, skillId, result);
@@ -488,13 +1657,12 @@ async function executeBattleAction(db, battle, actor, target, { commandId, skill
 
 
     // --- COMMAND ---
-    const [cmdRows] = await db.query("SELECT * FROM game_battle_commands WHERE id=?", [commandId || 1]);
-    if (!cmdRows.length) {
+    const cmd = await BattleContent.command(db, commandId || 1);
+    if (!cmd) {
         result.log.push(`${actor.name} hesitates...`);
         return result;
     }
 
-    const cmd = cmdRows[0];
     const effects = jp(cmd.effects, {});
 
     // OPEN MENU commands (Skills, Items) — client handles these, shouldn't reach here
@@ -508,14 +1676,16 @@ async function executeBattleAction(db, battle, actor, target, { commandId, skill
         return resolveFlee(battle, actor, target, effects.flee, result);
     }
 
+    const targets = resolveTargets(battle, actor, target, cmd.target_type);
+
     // DEFEND
     if (effects.set_status) {
-        return resolveSetStatus(db, battle, actor, target, effects, cmd.name, result);
+        return resolveSetStatus(db, battle, actor, targets, effects, cmd.name, result);
     }
 
     // ATTACK (damage command)
     if (effects.damage) {
-        return await resolveDamage(db, battle, actor, target, effects, cmd.name, result);
+        return await resolveDamage(db, battle, actor, targets, effects, cmd.name, result);
     }
 
     result.log.push(`${actor.name} does nothing.`);
@@ -523,7 +1693,22 @@ async function executeBattleAction(db, battle, actor, target, { commandId, skill
 }
 
 // --- RESOLVE DAMAGE ---
-async function resolveDamage(db, battle, actor, target, effects, actionName, result) {
+// One announce line, then an independent roll per target so an area
+// attack can crit one foe and graze the next.
+async function resolveDamage(db, battle, actor, targets, effects, actionName, result) {
+    const logText = (effects.log || `{name} attacks!`).replace('{name}', actor.name);
+    result.log.push(logText);
+
+    for (const target of targets) {
+        if (actor.defeated) break; // Felled by a counter or thorns mid-sweep
+        await hitWithDamage(db, battle, actor, target, effects, actionName, result);
+    }
+    return result;
+}
+
+async function hitWithDamage(db, battle, actor, target, effects, actionName, result) {
+    if (!await rollToHit(db, battle, actor, target, effects, actionName, result)) return;
+
     const dmgDef = effects.damage;
     const vars = buildFormulaVars(actor, target);
 
@@ -532,13 +1717,13 @@ async function resolveDamage(db, battle, actor, target, effects, actionName, res
 
     // Randomize
     if (dmgDef.randomize) {
-        const rand = 1 + (Math.random() * 2 - 1) * dmgDef.randomize;
+        const rand = 1 + (battle.random() * 2 - 1) * dmgDef.randomize;
         damage = Math.floor(damage * rand);
     }
 
     // Critical hit check (luck-based)
     let crit = false;
-    if (Math.random() * 100 < (actor.luck || 5)) {
+    if (battle.random() * 100 < (actor.luck || 5)) {
         damage = Math.floor(damage * 1.5);
         crit = true;
     }
@@ -552,44 +1737,37 @@ async function resolveDamage(db, battle, actor, target, effects, actionName, res
         elements = [...elements, ...effects.elements];
     }
 
-    // Element weakness bonus
-    if (elements.length > 0) {
-        const [allElems] = await db.query("SELECT * FROM game_elements");
-        for (const elemName of elements) {
-            const elem = allElems.find(e => e.name.toLowerCase() === elemName.toLowerCase());
-            if (elem && elem.opposite_id) {
-                // Check if target has weakness (via equipment elements with 'defense' role or race)
-                // For now: flat bonus from element table
-                damage = Math.floor(damage * (1 + (elem.bonus_damage_pct || 0) / 100));
-            }
-        }
-    }
+    // Target's weakness / resistance to those elements
+    const elem = await resolveElements(db, target, elements, damage, result);
+    damage = elem.damage;
 
-    // Defending status halves damage
-    const defendingStatus = target.statuses.find(s => s.id === 2 || s.name === 'Defending');
-    if (defendingStatus) {
-        damage = Math.floor(damage * 0.5);
-    }
+    if (elem.absorbed) {
+        absorbHit(battle, actor, target, damage, actionName, result);
+    } else {
+        // Defending status halves damage
+        const defendingStatus = target.statuses.find(s => s.id === 2 || s.name === 'Defending');
+        if (defendingStatus) {
+            damage = Math.floor(damage * 0.5);
+        }
 
-    // Minimum 1 damage
-    damage = Math.max(1, damage);
+        // Minimum 1 damage (unless immune)
+        damage = elem.immune ? 0 : Math.max(1, damage);
 
-    // Apply damage
-    target.currentHp = Math.max(0, target.currentHp - damage);
+        // Apply damage
+        target.currentHp = Math.max(0, target.currentHp - damage);
 
-    // Log
-    const logText = (effects.log || `{name} attacks!`).replace('{name}', actor.name);
-    result.log.push(logText);
-    result.log.push(`${crit ? '💥 CRITICAL! ' : ''}${target.name} takes ${damage} damage!`);
-    result.actions.push({ type: 'damage', target: target.name, amount: damage, crit, elements });
+        // Log
+        result.log.push(`${crit ? '💥 CRITICAL! ' : ''}${target.name} takes ${damage} damage!`);
+        result.actions.push({ type: 'damage', target: target.name, targetId: target.charId, amount: damage, crit, elements });
 
-    battle.addLog({ actor: actor.name, action: actionName, damage, crit, target: target.name });
+        battle.addLog({ actor: actor.name, action: actionName, damage, crit, target: target.name });
+    }
 
     // Weapon status effects (chance to inflict)
     if (effects.apply_weapon_status && Object.keys(actor.weaponStatuses).length) {
         for (const [statusName, duration] of Object.entries(actor.weaponStatuses)) {
-            if (Math.random() < 0.25) { // 25% chance
-                await applyStatus(db, target, statusName, duration, result);
+            if (battle.random() < 0.25) { // 25% chance
+                await applyStatus(db, battle, target, statusName, duration, result, actor);
             }
         }
     }
@@ -600,107 +1778,206 @@ async function resolveDamage(db, battle, actor, target, effects, actionName, res
     }
 
     // Limit break fill (defender gains limit from taking damage)
-    const fillRate = (damage / target.maxHp) * 100 * 0.5; // Taking damage fills bar
-    target.limitbreak = Math.min(100, target.limitbreak + fillRate);
+    if (!elem.absorbed) {
+        const fillRate = (damage / target.maxHp) * 100 * 0.5; // Taking damage fills bar
+        target.limitbreak = Math.min(100, target.limitbreak + fillRate);
+    }
 
     // Check death
-    if (target.currentHp <= 0) {
-        battle.status = 'FINISHED';
-        battle.winner = actor.charId;
-        result.log.push(`${target.name} has been defeated!`);
+    if (target.currentHp <= 0) markDefeated(battle, target, actor, result);
+
+    // Counter / thorns (physical hits only)
+    if (!elem.absorbed && !isMagic(effects, false)) {
+        await resolveReactions(db, battle, actor, target, damage, result);
     }
+}
 
-    return result;
+// An absorbed elemental hit heals instead — no limit fill, can't kill
+function absorbHit(battle, actor, target, amount, actionName, result) {
+    target.currentHp = Math.min(target.maxHp, target.currentHp + amount);
+    result.log.push(`${target.name} recovers ${amount} HP!`);
+    result.actions.push({ type: 'absorb', target: target.name, targetId: target.charId, amount });
+    battle.addLog({ actor: actor.name, action: actionName, absorbed: amount, target: target.name });
 }
 
 // --- RESOLVE SKILL ---
-async function resolveSkill(db, battle, actor, target, skillId, result) {
+// --- SKILL TIMING ---
+// Optional game_skills columns:
+//   cooldown  — own turns before it can be used again (0 = none)
+//   charges   — uses per battle (0 = unlimited)
+//   cast_time — own turns spent charging; it goes off at the start of the
+//               caster's turn after that. A stun while charging cancels it.
+// Per-combatant state: cooldowns { skillId: turns }, skillUses { skillId: n },
+// casting { skillId, name, targetId, turnsLeft }.
+function skillCooldownLeft(c, skillId) {
+    return (c.cooldowns && c.cooldowns[skillId]) || 0;
+}
+
+function skillChargesLeft(c, skill) {
+    if (!skill.charges) return null;
+    return Math.max(0, skill.charges - ((c.skillUses && c.skillUses[skill.id]) || 0));
+}
+
+function skillBlockedReason(c, skill, name) {
+    const cd = skillCooldownLeft(c, skill.id);
+    if (cd > 0) return `${name} is on cooldown! (${cd} turn${cd === 1 ? '' : 's'})`;
+    if (skillChargesLeft(c, skill) === 0) return `${name} has no charges left!`;
+    return null;
+}
+
+function spendSkillUse(c, skill) {
+    c.skillUses = c.skillUses || {};
+    c.skillUses[skill.id] = (c.skillUses[skill.id] || 0) + 1;
+    // +1 because the end of this very turn ticks it down once
+    if (skill.cooldown > 0) (c.cooldowns = c.cooldowns || {})[skill.id] = skill.cooldown + 1;
+}
+
+// End of the combatant's own turn
+function tickCooldowns(c) {
+    for (const id of Object.keys(c.cooldowns || {})) {
+        if (--c.cooldowns[id] <= 0) delete c.cooldowns[id];
+    }
+}
+
+// A charging combatant's turn: count down, then let the skill go
+async function continueCast(db, battle, actor, result) {
+    const cast = actor.casting;
+    cast.turnsLeft--;
+    if (cast.turnsLeft > 0) {
+        result.log.push(`${actor.name} is still casting ${cast.name}...`);
+        result.actions.push({ type: 'casting', skill: cast.name, turns: cast.turnsLeft });
+        return result;
+    }
+    actor.casting = null;
+    let target = cast.targetId ? battle.getCombatant(cast.targetId) : null;
+    if (!target || target.defeated) target = battle.getOpponent(actor.charId);
+    return await resolveSkill(db, battle, actor, target, cast.skillId, result, { charged: true });
+}
+
+// The actor's own { mp_cost, alt_name } for a skill: their class's
+// game_class_skills row (monsters carry their own list). null = free.
+async function ownSkillEntry(db, actor, skillId) {
+    if (actor.monsterId) return (actor.monsterSkills || []).find(s => s.skill_id === Number(skillId)) || null;
+    const [rows] = await db.query("SELECT * FROM game_class_skills WHERE class_id=? AND skill_id=?", [actor.classId, skillId]);
+    return rows[0] || null;
+}
+
+// opts.charged = releasing a cast_time skill started on an earlier turn
+// (MP, cooldown and charge were already paid when the cast began)
+async function resolveSkill(db, battle, actor, target, skillId, result, opts = {}) {
     // Get skill definition
-    const [skillRows] = await db.query("SELECT * FROM game_skills WHERE id=?", [skillId]);
-    if (!skillRows.length) {
+    const skill = await BattleContent.skill(db, skillId);
+    if (!skill) {
         result.log.push(`${actor.name} tries to cast... nothing.`);
         return result;
     }
-    const skill = skillRows[0];
 
     // Get class-specific MP cost
-    const [csRows] = await db.query("SELECT * FROM game_class_skills WHERE class_id=? AND skill_id=?",
-        [actor.classId, skillId]);
-    const mpCost = csRows.length ? csRows[0].mp_cost : 0;
+    const own = await ownSkillEntry(db, actor, skillId);
+    const mpCost = own ? own.mp_cost : 0;
 
-    // Check MP
-    if (actor.currentMp < mpCost) {
-        result.log.push(`${actor.name} doesn't have enough MP! (Need ${mpCost})`);
-        return result;
-    }
+    const skillName = own && own.alt_name ? own.alt_name : skill.name;
+
+    if (!opts.charged) {
+        // Cooldown / charges
+        const blocked = skillBlockedReason(actor, skill, skillName);
+        if (blocked) {
+            result.log.push(blocked);
+            return result;
+        }
+
+        // Check MP
+        if (actor.currentMp < mpCost) {
+            result.log.push(`${actor.name} doesn't have enough MP! (Need ${mpCost})`);
+            return result;
+        }
+
+        // Deduct MP (once, however many targets it hits)
+        actor.currentMp -= mpCost;
+        spendSkillUse(actor, skill);
 
-    // Deduct MP
-    actor.currentMp -= mpCost;
+        // Charge-up skills stop here and go off on a later turn
+        if (skill.cast_time > 0) {
+            actor.casting = { skillId: skill.id, name: skillName, targetId: target ? target.charId : null, turnsLeft: skill.cast_time };
+            result.log.push(`${actor.name} begins casting ${skillName}!`);
+            result.actions.push({ type: 'cast_start', skill: skillName, turns: skill.cast_time });
+            return result;
+        }
+    }
 
     // Battle text
     const battleText = (skill.battle_text || '{name} uses {skill}!')
         .replace('{name}', actor.name)
-        .replace('{skill}', csRows.length && csRows[0].alt_name ? csRows[0].alt_name : skill.name);
+        .replace('{skill}', skillName);
     result.log.push(battleText);
 
     const effects = jp(skill.effects, {});
-    const vars = buildFormulaVars(actor, target);
+    const skillElems = jp(skill.elements, []);
+    const healStatus = jp(skill.heal_status, []);
 
-    // OFFENSIVE
-    if (effects.damage) {
-        let damage = Math.floor(safeEval(effects.damage.formula || 'MO*2-MD', vars));
-        if (effects.damage.randomize) {
-            damage = Math.floor(damage * (1 + (Math.random() * 2 - 1) * effects.damage.randomize));
-        }
-
-        // Skill elements
-        const skillElems = jp(skill.elements, []);
-        if (skillElems.length) {
-            const [allElems] = await db.query("SELECT * FROM game_elements");
-            for (const en of skillElems) {
-                const elem = allElems.find(e => e.name.toLowerCase() === en.toLowerCase());
-                if (elem) damage = Math.floor(damage * (1 + (elem.bonus_damage_pct || 0) / 100));
-            }
+    const magic = isMagic(effects, String(skill.type || '').toUpperCase() !== 'PHYSICAL');
+
+    for (const picked of resolveTargets(battle, actor, target, skill.target_type)) {
+        if (actor.defeated) break;
+        // Hostile magic may bounce back onto the caster (a bounced spell can't miss)
+        let t = picked;
+        if (magic && (effects.damage || effects.set_status) && await rollReflect(db, battle, actor, picked, result)) {
+            t = actor;
+        } else if (effects.damage && !await rollToHit(db, battle, actor, t, effects, skill.name, result)) {
+            continue;
         }
+        const vars = buildFormulaVars(actor, t);
+        let dealt = 0;
+
+        // OFFENSIVE
+        if (effects.damage) {
+            let damage = Math.floor(safeEval(effects.damage.formula || 'MO*2-MD', vars));
+            if (effects.damage.randomize) {
+                damage = Math.floor(damage * (1 + (battle.random() * 2 - 1) * effects.damage.randomize));
+            }
 
-        damage = Math.max(1, damage);
-        target.currentHp = Math.max(0, target.currentHp - damage);
-        result.log.push(`${target.name} takes ${damage} damage!`);
-        result.actions.push({ type: 'skill_damage', skill: skill.name, target: target.name, amount: damage, elements: skillElems });
-        battle.addLog({ actor: actor.name, action: skill.name, damage, target: target.name });
+            // Skill elements vs the target's affinities
+            const elem = await resolveElements(db, t, skillElems, damage, result);
+            if (elem.absorbed) {
+                absorbHit(battle, actor, t, elem.damage, skill.name, result);
+            } else {
+                damage = elem.immune ? 0 : Math.max(1, elem.damage);
+                dealt = damage;
+                t.currentHp = Math.max(0, t.currentHp - damage);
+                result.log.push(`${t.name} takes ${damage} damage!`);
+                result.actions.push({ type: 'skill_damage', skill: skill.name, target: t.name, targetId: t.charId, amount: damage, elements: skillElems });
+                battle.addLog({ actor: actor.name, action: skill.name, damage, target: t.name });
+
+                // Limit fill for defender
+                t.limitbreak = Math.min(100, t.limitbreak + (damage / t.maxHp) * 100 * 0.5);
+            }
+        }
 
-        // Limit fill for defender
-        target.limitbreak = Math.min(100, target.limitbreak + (damage / target.maxHp) * 100 * 0.5);
-    }
+        // HEALING — lands on whoever the target type picked (self, ally, whole party...)
+        if (effects.heal) {
+            const heal = Math.floor(safeEval(effects.heal.formula || 'MO*3+50', vars));
+            t.currentHp = Math.min(t.maxHp, t.currentHp + heal);
+            result.log.push(`${t.name} recovers ${heal} HP!`);
+            result.actions.push({ type: 'heal', target: t.name, targetId: t.charId, amount: heal });
+        }
 
-    // HEALING
-    if (effects.heal) {
-        let heal = Math.floor(safeEval(effects.heal.formula || 'MO*3+50', vars));
-        // Target self or ally
-        const healTarget = (skill.target_type === 'SELF' || skill.target_type === 'ALLY') ? actor : target;
-        healTarget.currentHp = Math.min(healTarget.maxHp, healTarget.currentHp + heal);
-        result.log.push(`${healTarget.name} recovers ${heal} HP!`);
-        result.actions.push({ type: 'heal', target: healTarget.name, amount: heal });
-    }
+        // STATUS EFFECTS
+        if (effects.set_status) {
+            await resolveStatusFromEffect(db, battle, actor, t, effects.set_status, result);
+        }
 
-    // STATUS EFFECTS
-    if (effects.set_status) {
-        await resolveStatusFromEffect(db, battle, actor, target, effects.set_status, result);
-    }
+        // CURE STATUSES
+        if (healStatus.length) {
+            t.statuses = t.statuses.filter(s => !healStatus.includes(s.id));
+            await recalcStats(db, t);
+            result.log.push(`${t.name}'s status ailments are cured!`);
+        }
 
-    // CURE STATUSES
-    const healStatus = jp(skill.heal_status, []);
-    if (healStatus.length) {
-        const cureTarget = skill.target_type === 'SELF' ? actor : target;
-        cureTarget.statuses = cureTarget.statuses.filter(s => !healStatus.includes(s.id));
-        result.log.push(`${cureTarget.name}'s status ailments are cured!`);
-    }
+        // Check death
+        if (t.currentHp <= 0) markDefeated(battle, t, actor, result);
 
-    // Check death
-    if (target.currentHp <= 0) {
-        battle.status = 'FINISHED';
-        battle.winner = actor.charId;
-        result.log.push(`${target.name} has been defeated!`);
+        // Physical skills can be countered / pricked by thorns
+        if (!magic && dealt > 0) await resolveReactions(db, battle, actor, t, dealt, result);
     }
 
     return result;
@@ -708,9 +1985,9 @@ async function resolveSkill(db, battle, actor, target, skillId, result) {
 
 // --- RESOLVE ITEM ---
 async function resolveItem(db, battle, actor, target, itemId, result) {
-    // Check inventory
-    const [inv] = await db.query("SELECT * FROM character_items WHERE character_id=? AND item_id=?",
-        [actor.charId, itemId]);
+    // Check inventory (a replay trusts the record — the bag has changed since)
+    const [inv] = battle.replay ? [[{ quantity: 1 }]] : await db.query(
+        "SELECT * FROM character_items WHERE character_id=? AND item_id=?", [actor.charId, itemId]);
     if (!inv.length || inv[0].quantity < 1) {
         result.log.push(`${actor.name} doesn't have that item!`);
         return result;
@@ -749,11 +2026,14 @@ async function resolveItem(db, battle, actor, target, itemId, result) {
     if (effects.cure_status) {
         const toCure = Array.isArray(effects.cure_status) ? effects.cure_status : [effects.cure_status];
         actor.statuses = actor.statuses.filter(s => !toCure.includes(s.id));
+        await recalcStats(db, actor);
         result.log.push(`Status cured!`);
     }
 
     // Consume the item
-    if (inv[0].quantity > 1) {
+    if (battle.replay) {
+        // Nothing to consume in a replay
+    } else if (inv[0].quantity > 1) {
         await db.query("UPDATE character_items SET quantity=quantity-1 WHERE id=?", [inv[0].id]);
     } else {
         await db.query("DELETE FROM character_items WHERE id=?", [inv[0].id]);
@@ -765,7 +2045,7 @@ async function resolveItem(db, battle, actor, target, itemId, result) {
 // --- RESOLVE LIMIT BREAK ---
 async function resolveLimitBreak(db, battle, actor, target, limitId, result) {
     // Get limit data
-    const [limRows] = await queryLimitBreakRow(db, limitId, actor.classId);
+    const limRows = await queryLimitBreakRow(db, limitId, actor.classId);
     if (!limRows.length) {
         result.log.push(`${actor.name} can't use that limit break!`);
         return result;
@@ -791,59 +2071,61 @@ async function resolveLimitBreak(db, battle, actor, target, limitId, result) {
     actor.limitbreak = 0;
 
     const effects = jp(limit.effects, {});
-    const vars = buildFormulaVars(actor, target);
 
     const logText = (effects.log || `{name} unleashes ${limit.name}!`).replace('{name}', actor.name);
     result.log.push(`💥 LIMIT BREAK: ${logText}`);
     result.actions.push({ type: 'limit_break', name: limit.name, icon: limit.icon });
 
-    // Damage
-    if (effects.damage) {
-        let damage = Math.floor(safeEval(effects.damage.formula || 'ATK*4', vars));
-        if (effects.damage.randomize) {
-            damage = Math.floor(damage * (1 + (Math.random() * 2 - 1) * effects.damage.randomize));
+    // Damage and status land on every target; each gets its own roll
+    for (const t of resolveTargets(battle, actor, target, limit.target_type)) {
+        const vars = buildFormulaVars(actor, t);
+
+        if (effects.damage) {
+            let damage = Math.floor(safeEval(effects.damage.formula || 'ATK*4', vars));
+            if (effects.damage.randomize) {
+                damage = Math.floor(damage * (1 + (battle.random() * 2 - 1) * effects.damage.randomize));
+            }
+            // effects.elements: ["fire"] — same affinity rules as skills
+            const elem = await resolveElements(db, t, effects.elements, damage, result);
+            if (elem.absorbed) {
+                absorbHit(battle, actor, t, elem.damage, limit.name, result);
+            } else {
+                damage = elem.immune ? 0 : Math.max(1, elem.damage);
+                t.currentHp = Math.max(0, t.currentHp - damage);
+                result.log.push(`${t.name} takes ${damage} damage!`);
+                result.actions.push({ type: 'limit_damage', target: t.name, targetId: t.charId, amount: damage });
+                battle.addLog({ actor: actor.name, action: limit.name, damage, target: t.name });
+            }
         }
-        damage = Math.max(1, damage);
 
-        // Apply to target(s)
-        if (limit.target_type === 'ALL_ENEMIES' || limit.target_type === 'ALL') {
-            // In 1v1, this is the same as ENEMY
-            target.currentHp = Math.max(0, target.currentHp - damage);
-        } else {
-            target.currentHp = Math.max(0, target.currentHp - damage);
+        if (effects.set_status) {
+            await resolveStatusFromEffect(db, battle, actor, t, effects.set_status, result);
         }
-        result.log.push(`${target.name} takes ${damage} damage!`);
-        result.actions.push({ type: 'limit_damage', target: target.name, amount: damage });
+
+        if (t.currentHp <= 0) markDefeated(battle, t, actor, result);
     }
 
-    // Heal
-    if (effects.heal) {
-        const heal = Math.floor(safeEval(effects.heal.formula || 'MAXHP*0.3', vars));
+    // Heal (always the user)
+    if (effects.heal && !actor.defeated) {
+        const heal = Math.floor(safeEval(effects.heal.formula || 'MAXHP*0.3', buildFormulaVars(actor, target || actor)));
         actor.currentHp = Math.min(actor.maxHp, actor.currentHp + heal);
         result.log.push(`${actor.name} recovers ${heal} HP!`);
     }
 
-    // Status
-    if (effects.set_status) {
-        await resolveStatusFromEffect(db, battle, actor, target, effects.set_status, result);
-    }
-
-    // Check death
-    if (target.currentHp <= 0) {
-        battle.status = 'FINISHED';
-        battle.winner = actor.charId;
-        result.log.push(`${target.name} has been defeated!`);
-    }
-
     return result;
 }
 
 // --- RESOLVE FLEE ---
 function resolveFlee(battle, actor, target, fleeDef, result) {
+    if (battle.ranked || battle.tournament || battle.duel) {
+        const what = battle.ranked ? 'a ranked match' : battle.tournament ? 'a tournament match' : 'a duel';
+        result.log.push(`There's no running from ${what}!`);
+        return result;
+    }
     const vars = buildFormulaVars(actor, target);
     const check = safeEval(fleeDef.formula || 'SPEED+LUCK*0.5-ENEMY_SPEED', vars);
 
-    if (check > 0 || Math.random() < 0.3) { // Speed advantage or 30% base chance
+    if (check > 0 || battle.random() < 0.3) { // Speed advantage or 30% base chance
         battle.status = 'FLED';
         battle.winner = null; // No winner on flee
         const logText = (fleeDef.log_success || '{name} escapes!').replace('{name}', actor.name);
@@ -856,12 +2138,16 @@ function resolveFlee(battle, actor, target, fleeDef, result) {
 }
 
 // --- RESOLVE SET STATUS (from commands like Defend) ---
-async function resolveSetStatus(db, battle, actor, target, effects, actionName, result) {
+async function resolveSetStatus(db, battle, actor, targets, effects, actionName, result) {
     const logText = (effects.log || `{name} uses ${actionName}!`).replace('{name}', actor.name);
     result.log.push(logText);
 
     if (effects.set_status) {
-        await resolveStatusFromEffect(db, battle, actor, target, effects.set_status, result);
+        // A "self" status only needs applying once, not once per target
+        const list = effects.set_status.target === 'self' ? [actor] : targets;
+        for (const t of list) {
+            await resolveStatusFromEffect(db, battle, actor, t, effects.set_status, result);
+        }
     }
     return result;
 }
@@ -874,67 +2160,159 @@ async function resolveStatusFromEffect(db, battle, actor, target, statusEffect,
 
     for (const [statusName, duration] of Object.entries(statuses)) {
         // Chance check
-        if (Math.random() * 100 > chance) continue;
+        if (battle.random() * 100 > chance) continue;
 
         // Check if armor blocks this status
         if (setTarget.armorBlockStatuses.length) {
-            const [sRow] = await db.query("SELECT id FROM game_statuses WHERE name=?", [statusName]);
-            if (sRow.length && setTarget.armorBlockStatuses.includes(sRow[0].id)) {
+            const blocked = await BattleContent.statusByName(db, statusName);
+            if (blocked && setTarget.armorBlockStatuses.includes(blocked.id)) {
                 result.log.push(`${setTarget.name}'s armor blocks ${statusName}!`);
                 continue;
             }
         }
 
-        await applyStatus(db, setTarget, statusName, duration, result);
+        await applyStatus(db, battle, setTarget, statusName, duration, result, actor);
     }
 }
 
 // --- APPLY A SINGLE STATUS ---
-async function applyStatus(db, target, statusName, duration, result) {
+// Stacking rules (game_statuses.effects):
+//   stacking: "refresh" (default, reset turns) | "stack" (+1 stack, reset
+//             turns, up to max_stacks) | "extend" (add turns) | "ignore"
+//   unique_per_caster: true — each caster keeps their own copy
+//             (two Poisoners = two Poisons ticking)
+//   immunity_turns: N — after it wears off, can't be re-applied for N of
+//             the target's turns
+//   on_apply / on_expire: { damage|heal: { formula }, set_status, log }
+async function applyStatus(db, battle, target, statusName, duration, result, caster = null) {
     // Look up by name (case insensitive)
-    const [sRows] = await db.query("SELECT * FROM game_statuses WHERE LOWER(name)=LOWER(?)", [statusName]);
-    if (!sRows.length) return;
+    const status = await BattleContent.statusByName(db, statusName);
+    if (!status) return;
+
+    const effects = jp(status.effects, {});
+    const turns = duration || status.default_duration;
+    const casterId = caster ? caster.charId : null;
+
+    if (target.immunities && target.immunities[status.id] > 0) {
+        result.log.push(`${target.name} is immune to ${status.icon} ${status.name} for now.`);
+        return;
+    }
+
+    // Check if already has this status (from this caster, if per-caster)
+    const existing = target.statuses.find(s => s.id === status.id
+        && (!effects.unique_per_caster || s.casterId === casterId));
+    if (existing) {
+        switch (effects.stacking) {
+            case 'ignore':
+                return;
+            case 'extend':
+                existing.turns += turns;
+                return;
+            case 'stack': {
+                existing.turns = turns;
+                const max = effects.max_stacks || Infinity;
+                if ((existing.stacks || 1) >= max) return;
+                existing.stacks = (existing.stacks || 1) + 1;
+                result.log.push(`${target.name}'s ${status.icon} ${status.name} stacks to ×${existing.stacks}!`);
+                await recalcStats(db, target);
+                return;
+            }
+            default:
+                // Refresh duration
+                existing.turns = turns;
+                return;
+        }
+    }
 
-    const status = sRows[0];
+    const entry = {
+        id: status.id,
+        name: status.name,
+        icon: status.icon,
+        turns,
+        stacks: 1,
+        casterId,
+        fresh: true
+    };
+    target.statuses.push(entry);
+    result.log.push(`${target.name} is afflicted with ${status.icon} ${status.name}!`);
+    await recalcStats(db, target);
+    await runStatusHook(db, battle, target, entry, effects.on_apply, result);
+}
 
-    // Check if already has this status
-    const existing = target.statuses.findIndex(s => s.id === status.id);
-    if (existing >= 0) {
-        // Refresh duration
-        target.statuses[existing].turns = duration || status.default_duration;
-    } else {
-        target.statuses.push({
-            id: status.id,
-            name: status.name,
-            icon: status.icon,
-            turns: duration || status.default_duration
-        });
-        result.log.push(`${target.name} is afflicted with ${status.icon} ${status.name}!`);
-    }
+// Formula vars for ticks and hooks: the afflicted's own stats, plus the
+// caster's offense (a strong mage's Burn hurts more) and the stack count
+function statusVars(battle, c, s) {
+    const caster = (s.casterId && battle.combatants[s.casterId]) || c;
+    return {
+        ...buildFormulaVars(c, c),
+        MLVL: c.level,
+        HP: c.currentHp,
+        MP: c.currentMp,
+        STACKS: s.stacks || 1,
+        TURNS: s.turns,
+        CASTER_ATK: caster.atk,
+        CASTER_MO: caster.mo,
+        CASTER_LVL: caster.level
+    };
+}
+
+// on_apply / on_expire. With no action result (end-of-turn expiry) the
+// lines go straight into the battle log.
+async function runStatusHook(db, battle, c, s, hook, result) {
+    if (!hook || c.defeated) return;
+    const out = result || { log: [], actions: [] };
+    const vars = statusVars(battle, c, s);
+    const say = (fallback) => out.log.push((hook.log || fallback).replace('{name}', c.name));
+
+    if (hook.damage) {
+        const dmg = Math.max(1, Math.floor(safeEval(hook.damage.formula || '10', vars)));
+        c.currentHp = Math.max(0, c.currentHp - dmg);
+        say(`${s.icon} {name} takes ${dmg} damage!`);
+    } else if (hook.heal) {
+        const heal = Math.floor(safeEval(hook.heal.formula || '20', vars));
+        c.currentHp = Math.min(c.maxHp, c.currentHp + heal);
+        say(`${s.icon} {name} recovers ${heal} HP!`);
+    } else if (hook.log) {
+        say('');
+    }
+    if (hook.set_status) await resolveStatusFromEffect(db, battle, c, c, hook.set_status, out);
+
+    if (!result) for (const text of out.log) battle.addLog({ actor: 'status', text });
+    if (c.currentHp <= 0) markDefeated(battle, c, battle.combatants[s.casterId] || null, result);
 }
 
 // =================================================================
 // STATUS EFFECTS — End-of-turn processing
 // =================================================================
-async function processStatusEffects(db, battle) {
-    // Process for BOTH combatants at end of each full round
-    for (const charId of Object.keys(battle.combatants)) {
-        const c = battle.combatants[charId];
-        const toRemove = [];
+// Statuses tick at the end of the afflicted combatant's OWN turn, so a
+// 3-turn Poison lasts 3 of their turns no matter how many fighters there are.
+// A status applied during that same turn (e.g. Defend) skips its first tick.
+// Pass charId to process one combatant, or omit it to process everyone.
+// Tick formulas get statusVars (HP, STACKS, CASTER_MO...).
+async function processStatusEffects(db, battle, charId = null) {
+    const ids = (charId ? [charId] : Object.keys(battle.combatants)).map(Number);
+    for (const id of ids) {
+        const c = battle.combatants[id];
+        if (!c || c.defeated) continue;
+        const expired = [];
+
+        // Immunity windows count down on the combatant's own turns too
+        c.immunities = c.immunities || {};
+        for (const sid of Object.keys(c.immunities)) {
+            if (--c.immunities[sid] <= 0) delete c.immunities[sid];
+        }
 
-        // Sort by priority (higher first)
-        const sortedStatuses = [...c.statuses];
+        for (const s of [...c.statuses]) {
+            if (s.fresh) { delete s.fresh; continue; }
 
-        for (let i = 0; i < sortedStatuses.length; i++) {
-            const s = sortedStatuses[i];
-            const [sRows] = await db.query("SELECT * FROM game_statuses WHERE id=?", [s.id]);
-            if (!sRows.length) { toRemove.push(i); continue; }
+            const row = await BattleContent.status(db, s.id);
+            if (!row) { expired.push({ s, effects: null }); continue; }
 
-            const effects = jp(sRows[0].effects, {});
+            const effects = jp(row.effects, {});
+            const vars = statusVars(battle, c, s);
 
             // Damage per turn (Poison, Burn)
             if (effects.damage_per_turn) {
-                const vars = { MAXHP: c.maxHp, MO: c.mo, LVL: c.level, ATK: c.atk };
                 const dmg = Math.max(1, Math.floor(safeEval(effects.damage_per_turn.formula || '10', vars)));
                 c.currentHp = Math.max(0, c.currentHp - dmg);
                 const logText = (effects.log || `{name} takes ${dmg} status damage!`).replace('{name}', c.name);
@@ -943,7 +2321,6 @@ async function processStatusEffects(db, battle) {
 
             // Heal per turn (Regen)
             if (effects.heal_per_turn) {
-                const vars = { MAXHP: c.maxHp, MO: c.mo, LVL: c.level, MLVL: c.level };
                 const heal = Math.floor(safeEval(effects.heal_per_turn.formula || '20', vars));
                 c.currentHp = Math.min(c.maxHp, c.currentHp + heal);
                 const logText = (effects.log || `{name} regenerates.`).replace('{name}', c.name);
@@ -952,122 +2329,238 @@ async function processStatusEffects(db, battle) {
 
             // Decrement duration
             s.turns--;
-            if (s.turns <= 0 && !sRows[0].permanent) {
-                toRemove.push(i);
-                battle.addLog({ actor: 'status', text: `${s.icon} ${s.name} wears off ${c.name}.` });
-            }
+            if (s.turns <= 0 && !row.permanent) expired.push({ s, effects });
         }
+        if (!expired.length) continue;
+
+        // Remove expired statuses, then let their on_expire hooks fire
+        c.statuses = c.statuses.filter(s => !expired.some(e => e.s === s));
+        await recalcStats(db, c);
+        for (const { s, effects } of expired) {
+            if (!effects) continue;
+            battle.addLog({ actor: 'status', text: `${s.icon} ${s.name} wears off ${c.name}.` });
+            if (effects.immunity_turns) c.immunities[s.id] = effects.immunity_turns;
+            await runStatusHook(db, battle, c, s, effects.on_expire, null);
+        }
+    }
 
-        // Remove expired statuses
-        c.statuses = c.statuses.filter((_, i) => !toRemove.includes(i));
+    // Anything landed on the others this turn ticks normally on their own turn
+    for (const c of Object.values(battle.combatants)) {
+        if (ids.includes(c.charId)) continue;
+        for (const s of c.statuses) delete s.fresh;
     }
 }
 
+// --- DEATH HANDLING ---
+// A combatant at 0 HP is knocked out (stays in the battle, skips turns).
+// The battle ends when only one side has anyone left standing.
+function markDefeated(battle, target, killer, result) {
+    if (target.defeated) return;
+    target.defeated = true;
+    target.defeatedBy = killer ? killer.charId : null;
+    battle._defeats.push({ charId: target.charId, killerId: target.defeatedBy });
+    const text = `${target.name} has been defeated!`;
+    if (result) result.log.push(text);
+    else battle.addLog({ actor: 'system', text });
+    checkBattleOver(battle, killer);
+}
+
+function checkBattleOver(battle, lastHitter = null) {
+    const standing = new Set(Object.values(battle.combatants).filter(c => !c.defeated).map(c => c.side));
+    if (standing.size > 1) return;
+
+    battle.status = 'FINISHED';
+    if (!standing.size) return; // Everyone down at once — no winner
+    battle.winningSide = [...standing][0];
+    battle.winner = (lastHitter && lastHitter.side === battle.winningSide && !lastHitter.defeated)
+        ? lastHitter.charId
+        : Object.values(battle.combatants).find(c => c.side === battle.winningSide && !c.defeated).charId;
+}
+
 function checkDeaths(battle) {
-    for (const [charId, c] of Object.entries(battle.combatants)) {
-        if (c.currentHp <= 0) {
-            battle.status = 'FINISHED';
-            const oppId = Object.keys(battle.combatants).find(id => id !== charId);
-            battle.winner = parseInt(oppId);
+    for (const c of Object.values(battle.combatants)) {
+        if (c.currentHp <= 0 && !c.defeated) markDefeated(battle, c, null, null);
+    }
+}
+
+// markDefeated is sync, so knock-outs queue up and go out from here
+async function emitDefeats(db, io, battle) {
+    while (battle._defeats.length) {
+        const { charId, killerId } = battle._defeats.shift();
+        await BattleEvents.emit('combatant_defeated', {
+            db, io, battle,
+            combatant: battle.combatants[charId],
+            killer: killerId != null ? battle.combatants[killerId] || null : null
+        });
+    }
+}
+
+// =================================================================
+// LOOT TABLES — What beaten AI enemies drop
+// =================================================================
+// Teaching: an enemy's loot table comes from its NPC (game_npcs.loot_table_id)
+// or its own character row. entries_json is a list of drops:
+//   { "item_id": 4, "guaranteed": true }              always drops
+//   { "item_id": 7, "weight": 50, "min": 1, "max": 3 } weighted pick
+//   { "item_id": 12, "weight": 2, "rare": true }      weight grows with luck
+//   { "item_id": null, "weight": 40 }                 "nothing" slot
+// Each human winner rolls the table on their own: guaranteed drops plus
+// `rolls` weighted picks. Rare weights are multiplied by
+// 1 + luck * battle_loot_luck_scale (default 0.02, so 50 luck doubles them).
+const DEFAULT_LOOT_LUCK_SCALE = 0.02;
+
+async function loadLootTable(db, tableId, cache) {
+    if (!tableId) return null;
+    if (cache[tableId] !== undefined) return cache[tableId];
+    let table = null;
+    try {
+        const [rows] = await db.query("SELECT * FROM game_loot_tables WHERE id=?", [tableId]);
+        if (rows.length) table = { ...rows[0], entries: jp(rows[0].entries_json, []) };
+    } catch (e) { /* game_loot_tables not migrated — no drops */ }
+    cache[tableId] = table;
+    return table;
+}
+
+// -> [{ itemId, quantity }] from one roll of the table
+function rollLoot(battle, table, luck, luckScale) {
+    const drops = [];
+    const qty = (e) => {
+        const min = Math.max(1, parseInt(e.min, 10) || 1);
+        const max = Math.max(min, parseInt(e.max, 10) || min);
+        return min + Math.floor(battle.random() * (max - min + 1));
+    };
+
+    for (const e of table.entries) {
+        if (e.guaranteed && e.item_id) drops.push({ itemId: Number(e.item_id), quantity: qty(e) });
+    }
+
+    const pool = table.entries.filter(e => !e.guaranteed && Number(e.weight) > 0).map(e => ({
+        entry: e,
+        weight: Number(e.weight) * (e.rare ? 1 + Math.max(0, luck || 0) * luckScale : 1)
+    }));
+    const total = pool.reduce((sum, p) => sum + p.weight, 0);
+    const rolls = table.rolls != null ? Number(table.rolls) : 1;
+    for (let i = 0; i < rolls && total > 0; i++) {
+        let pick = battle.random() * total;
+        const hit = pool.find(p => (pick -= p.weight) < 0) || pool[pool.length - 1];
+        if (hit.entry.item_id) drops.push({ itemId: Number(hit.entry.item_id), quantity: qty(hit.entry) });
+    }
+    return drops;
+}
+
+// Roll every beaten enemy's table for one winner and put the items in their bag.
+// -> [{ id, name, icon, quantity }] for the victory screen
+async function grantLoot(db, battle, winner, losers, cache, luckScale) {
+    const totals = new Map();
+    for (const loser of losers) {
+        if (!loser.isAI) continue; // Players never drop items
+        const table = await loadLootTable(db, loser.lootTableId, cache);
+        if (!table) continue;
+        for (const d of rollLoot(battle, table, winner.luck, luckScale)) {
+            totals.set(d.itemId, (totals.get(d.itemId) || 0) + d.quantity);
+        }
+    }
+
+    const items = [];
+    for (const [itemId, quantity] of totals) {
+        const [itemRows] = await db.query("SELECT id, name, icon FROM game_items WHERE id=?", [itemId]);
+        if (!itemRows.length) continue; // Table points at a deleted item
+        const [existing] = await db.query("SELECT id FROM character_items WHERE character_id=? AND item_id=?",
+            [winner.charId, itemId]);
+        if (existing.length) {
+            await db.query("UPDATE character_items SET quantity=quantity+? WHERE id=?", [quantity, existing[0].id]);
+        } else {
+            await db.query("INSERT INTO character_items(character_id,item_id,quantity)VALUES(?,?,?)",
+                [winner.charId, itemId, quantity]);
         }
+        items.push({ id: itemId, name: itemRows[0].name, icon: itemRows[0].icon || '📦', quantity });
     }
+    return items;
 }
 
 // =================================================================
 // END BATTLE — Save results, give rewards
 // =================================================================
-async function endBattle(db, io, battle) {
+// finalResult is the action that ended the fight; it goes out with the
+// final state (rewards included) before the room is released.
+async function endBattle(db, io, battle, finalResult = null) {
+    // Stop the clocks first so nothing acts on a finished battle
+    stopAtbClock(battle);
+    if (battle._aiTimer) clearTimeout(battle._aiTimer);
+    battle._aiTimer = null;
+    clearTurnTimer(battle);
+    await emitDefeats(db, io, battle); // Anyone still waiting to be announced
+
     // Update DB record
     await db.query("UPDATE game_battles SET status=?, winner_char_id=?, battle_log=? WHERE id=?",
-        [battle.status, battle.winner, JSON.stringify(battle.log), battle.id]);
+        [battle.status, dbCharId(battle.getCombatant(battle.winner)), JSON.stringify(battle.log), battle.id]);
+    try {
+        await db.query("UPDATE game_battles SET actions_json=? WHERE id=?", [JSON.stringify(battle.actions), battle.id]);
+    } catch (e) { /* replay columns not migrated — replays just won't be available */ }
 
-    // Sync HP/MP/Limit/Statuses back to characters table
+    // Sync HP/MP/Limit/Statuses back to characters table.
+    // Duels skip this: everyone walks away exactly as they came in.
     for (const [charId, c] of Object.entries(battle.combatants)) {
+        if (c.monsterId || battle.duel) continue; // Monsters were spawned for this fight only
         await db.query(
             `UPDATE characters SET current_hp=?, current_mp=?, limitbreak=?, status_effects=? WHERE id=?`,
             [Math.max(0, c.currentHp), Math.max(0, c.currentMp), c.limitbreak,
-             JSON.stringify(c.statuses), charId]
+             JSON.stringify(c.statuses.map(({ fresh, ...s }) => s)), charId]
         );
     }
 
-    // =============================================================
-    // LEGENDARY ARTIFACTS HOOK (OPTIONAL)
-    // =============================================================
-    // If you have routes/artifactRoutes.js with onPvpKill(), this makes
-    // artifacts "come alive" automatically when a PvP kill happens.
-    // It is wrapped in try/catch so missing modules never break battles.
-    if (
-        battle.type === 'PVP' &&
-        battle.status === 'FINISHED' &&
-        battle.winner &&
-        artifactRoutes &&
-        typeof artifactRoutes.onPvpKill === 'function'
-    ) {
-        const loserId = Object.keys(battle.combatants).map(Number)
-            .find(id => id !== battle.winner);
-
-        if (loserId) {
-            try {
-                // Pull a tiny bit of context (location) for logging / future features.
-                const [posRows] = await db.query(
-                    "SELECT id, map_id, x, y FROM characters WHERE id IN (?,?)",
-                    [battle.winner, loserId]
-                );
-                const posById = {};
-                for (const r of posRows) posById[r.id] = r;
-
-                const hookRes = await artifactRoutes.onPvpKill(
-                    battle.winner,
-                    loserId,
-                    {
-                        location: {
-                            mapId: posById[battle.winner]?.map_id ?? null,
-                            x: posById[battle.winner]?.x ?? null,
-                            y: posById[battle.winner]?.y ?? null
-                        },
-                        timestamp: Date.now(),
-                        // Your PvP challenges are basically "duels" right now.
-                        // Set to false so artifacts can transfer in normal PvP.
-                        // If you later add a duel ladder, you can set this true there.
-                        isDuel: false
-                    }
-                );
-
-                // Optional broadcast: clients may listen for this to show global announcements.
-                if (hookRes && hookRes.transferred && io && typeof io.emit === 'function') {
-                    io.emit('artifact_transfer', hookRes);
-                }
-            } catch (e) {
-                console.error('Artifact onPvpKill hook failed:', e);
+    const finished = battle.status === 'FINISHED' && battle.winningSide !== null;
+    const winners = finished ? Object.values(battle.combatants).filter(c => c.side === battle.winningSide) : [];
+    const losers  = finished ? Object.values(battle.combatants).filter(c => c.side !== battle.winningSide) : [];
+
+    // Give rewards to the winning side
+    battle.rewards = {};
+    if (finished) {
+        // Rewards come from the level table, once per defeated enemy
+        let xpReward = 0;
+        let goldReward = 0;
+        for (const loser of losers) {
+            if (loser.monsterId) {
+                xpReward += loser.xpReward || 0;
+                goldReward += loser.goldReward || 0;
+                continue;
+            }
+            const [lvlRows] = await queryLevelRow(db, loser.level);
+            if (lvlRows.length) {
+                xpReward += lvlRows[0].xp_for_win || 0;
+                goldReward += lvlRows[0].gold_for_win || 0;
             }
         }
-    }
 
-    // Give rewards to winner
-    if (battle.winner && battle.status === 'FINISHED') {
-        const winner = battle.combatants[battle.winner];
-        const loser = battle.getOpponent(battle.winner);
+        // Arena bouts pay out at the arena's reward multiplier
+        if (battle.rewardMultiplier && battle.rewardMultiplier !== 1) {
+            xpReward = Math.floor(xpReward * battle.rewardMultiplier);
+            goldReward = Math.floor(goldReward * battle.rewardMultiplier);
+        }
+        // A duel's only prize is the wager (paid out below)
+        if (battle.duel) xpReward = goldReward = 0;
+
+        const lootCache = {};
+        const scaleSetting = await querySetting(db, 'battle_loot_luck_scale');
+        const luckScale = scaleSetting === null || scaleSetting === '' || isNaN(scaleSetting)
+            ? DEFAULT_LOOT_LUCK_SCALE : Number(scaleSetting);
 
-        // Look up level table for loser's level
-        const [lvlRows] = await queryLevelRow(db, loser.level);
-        if (lvlRows.length) {
-            const lv = lvlRows[0];
-            const xpReward = lv.xp_for_win || 0;
-            const goldReward = lv.gold_for_win || 0;
+        for (const winner of winners) {
+            if (winner.isAI) continue;
 
             // Give XP — write to BOTH stores so they stay in sync:
             //   characters.experience = cumulative historical total (display/reference)
             //   state_json.xp         = XP within current level (progression system source of truth)
             if (xpReward) {
-                await db.query('UPDATE characters SET experience = experience + ? WHERE id = ?', [xpReward, battle.winner]);
+                await db.query('UPDATE characters SET experience = experience + ? WHERE id = ?', [xpReward, winner.charId]);
                 // Sync state_json.xp using MySQL JSON_SET
                 await db.query(
                     `UPDATE characters SET state_json = JSON_SET(COALESCE(state_json,'{}'),'$.xp',
                      COALESCE(CAST(JSON_EXTRACT(state_json,'$.xp') AS DECIMAL(20,0)),0)+?) WHERE id=?`,
-                    [xpReward, battle.winner]
+                    [xpReward, winner.charId]
                 );
                 // Use state_json-aware level-up (not the broken cumulative comparison)
-                await checkLevelUpStateJson(db, battle.winner);
+                await checkLevelUpStateJson(db, winner.charId);
             }
 
             // Give Gold
@@ -1076,15 +2569,79 @@ async function endBattle(db, io, battle) {
                     [goldReward, winner.userId]);
             }
 
-            // Update battle record
-            await db.query(`UPDATE characters SET battle_record=JSON_SET(battle_record,'$.W',CAST(JSON_EXTRACT(battle_record,'$.W')+1 AS UNSIGNED)) WHERE id=?`, [battle.winner]);
-            const loserId = Object.keys(battle.combatants).find(id => parseInt(id) !== battle.winner);
-            await db.query(`UPDATE characters SET battle_record=JSON_SET(battle_record,'$.L',CAST(JSON_EXTRACT(battle_record,'$.L')+1 AS UNSIGNED)) WHERE id=?`, [loserId]);
+            const items = await grantLoot(db, battle, winner, losers, lootCache, luckScale);
+            battle.rewards[winner.charId] = { xp: xpReward, gold: goldReward, items };
+            for (const it of items) {
+                battle.addLog({ actor: 'system', text: `${winner.name} obtained ${it.icon} ${it.name}${it.quantity > 1 ? ` x${it.quantity}` : ''}!` });
+            }
+        }
+
+        // Update battle records
+        for (const winner of winners) {
+            if (winner.monsterId) continue;
+            await db.query(`UPDATE characters SET battle_record=JSON_SET(battle_record,'$.W',CAST(JSON_EXTRACT(battle_record,'$.W')+1 AS UNSIGNED)) WHERE id=?`, [winner.charId]);
+        }
+        for (const loser of losers) {
+            if (loser.monsterId) continue;
+            await db.query(`UPDATE characters SET battle_record=JSON_SET(battle_record,'$.L',CAST(JSON_EXTRACT(battle_record,'$.L')+1 AS UNSIGNED)) WHERE id=?`, [loser.charId]);
+        }
+
+        // Ranked arena match: move both sides' ladder ratings
+        const ratings = await ArenaLadder.recordResult(db, battle, winners, losers);
+        for (const [charId, r] of Object.entries(ratings)) {
+            battle.rewards[charId] = { xp: 0, gold: 0, items: [], ...battle.rewards[charId], rating: r.rating, ratingDelta: r.delta };
+        }
+    }
+
+    // Duel: the whole pot to the winner, or every stake back if nobody won
+    if (battle.duel) {
+        try {
+            const won = await DuelWagers.settle(db, battle, winners);
+            const winner = winners.find(c => !c.isAI);
+            if (winner && won.gold !== undefined) {
+                battle.rewards[winner.charId] = { xp: 0, ...battle.rewards[winner.charId], gold: won.gold, items: won.items, wager: true };
+                const prize = [won.gold ? `${won.gold} gold` : '', ...won.items.map(it => `${it.icon} ${it.name}${it.quantity > 1 ? ` x${it.quantity}` : ''}`)]
+                    .filter(Boolean).join(', ');
+                if (prize) battle.addLog({ actor: 'system', text: `${winner.name} wins the wager: ${prize}!` });
+            } else if (!winner) {
+                battle.addLog({ actor: 'system', text: 'No winner — every stake has been returned.' });
+            }
+        } catch (e) {
+            // The escrow row stays HELD; refundOrphans() returns it on the next boot
+            console.error('Duel payout error:', e);
+        }
+    }
+
+    // Quests, artifacts, stats... (battle_events.js subscribers)
+    await BattleEvents.emit('battle_ended', { db, io, battle, finished, winners, losers });
+
+    // Final state goes out while everyone is still in the room
+    await broadcastBattleUpdate(io, battle, finalResult);
+
+    // Release sockets so their players can start another fight
+    const room = `battle_${battle.id}`;
+    try {
+        const sockets = await io.in(room).fetchSockets();
+        for (const s of sockets) {
+            if (s._battleId === battle.id) s._battleId = null;
+            if (s._watchingBattleId === battle.id) s._watchingBattleId = null;
+            s.leave(room);
         }
+    } catch (e) {
+        // Room cleanup is best-effort.
     }
 
     // Clean up memory
     delete activeBattles[battle.id];
+
+    // Tournament match: advance the bracket now that both players are free
+    if (battle.tournament) {
+        try {
+            await ArenaTournaments.reportResult(db, battle);
+        } catch (e) {
+            console.error('Tournament result error:', e);
+        }
+    }
 }
 
 // =================================================================
@@ -1149,26 +2706,29 @@ async function checkLevelUp(db, charId) {
 // HELPERS
 // =================================================================
 async function getAvailableCommands(db, stats) {
+    const byOrder = (a, b) => (a.display_order || 0) - (b.display_order || 0);
+    const allCmds = await BattleContent.commands(db);
+
     // Get default commands
-    const [defaults] = await db.query("SELECT * FROM game_battle_commands WHERE is_default=1 ORDER BY display_order");
+    const defaults = allCmds.filter(c => c.is_default).sort(byOrder);
 
     // Get class-specific commands
     const [classRow] = await db.query("SELECT battle_cmds FROM game_classes WHERE id=?", [stats.classId]);
     let extraCmds = [];
     if (classRow.length) {
-        const extraIds = jp(classRow[0].battle_cmds, []);
-        if (extraIds.length) {
-            const [extras] = await db.query("SELECT * FROM game_battle_commands WHERE id IN (?) ORDER BY display_order", [extraIds]);
-            extraCmds = extras;
-        }
+        const extraIds = jp(classRow[0].battle_cmds, []).map(Number);
+        extraCmds = allCmds.filter(c => extraIds.includes(c.id)).sort(byOrder);
     }
 
+    // Monsters: their template's skill list, no limit breaks, no bag
+    if (stats.monsterId) return getMonsterCommands(db, stats, [...defaults, ...extraCmds]);
+
     // Get available skills for this class at this level
-    const [skills] = await db.query(`
-        SELECT gs.*, gcs.mp_cost, gcs.alt_name FROM game_class_skills gcs
-        JOIN game_skills gs ON gcs.skill_id = gs.id
-        WHERE gcs.class_id = ? AND gcs.learn_level <= ?
-        ORDER BY gcs.learn_level`, [stats.classId, stats.level]);
+    const [learned] = await db.query(`
+        SELECT skill_id, mp_cost, alt_name FROM game_class_skills
+        WHERE class_id = ? AND learn_level <= ?
+        ORDER BY learn_level`, [stats.classId, stats.level]);
+    const skills = await withSkillRows(db, learned);
 
     // Get available limit breaks
     const limits = await queryLimitBreaksList(db, stats.classId, stats.level, stats.breaklevel);
@@ -1180,18 +2740,38 @@ async function getAvailableCommands(db, stats) {
         WHERE ci.character_id = ? AND gi.type = 'CONSUMABLE'`,
         [stats.charId]);
 
+    return buildCommandMenu(db, stats, [...defaults, ...extraCmds], skills, limits, items);
+}
+
+async function getMonsterCommands(db, stats, cmds) {
+    const skills = await withSkillRows(db, stats.monsterSkills || []);
+    return buildCommandMenu(db, stats, cmds, skills, [], []);
+}
+
+// [{ skill_id, mp_cost, alt_name }] -> full skill rows carrying that cost/name
+async function withSkillRows(db, list) {
+    const out = [];
+    for (const s of list) {
+        const row = await BattleContent.skill(db, s.skill_id);
+        if (row) out.push({ ...row, mp_cost: s.mp_cost, alt_name: s.alt_name });
+    }
+    return out;
+}
+
+// Shared tail: status-disabled commands, cooldowns/charges, client shape
+async function buildCommandMenu(db, stats, baseCmds, skills, limits, items) {
     // Filter out disabled commands (from status effects)
     let disabledCmds = [];
     for (const s of stats.statuses) {
-        const [sRows] = await db.query("SELECT disabled_commands FROM game_statuses WHERE id=?", [s.id]);
-        if (sRows.length) {
-            const disabled = jp(sRows[0].disabled_commands, []);
+        const row = await BattleContent.status(db, s.id);
+        if (row) {
+            const disabled = jp(row.disabled_commands, []);
             if (disabled.includes(-1)) disabledCmds = [-1]; // -1 = all disabled
             else disabledCmds.push(...disabled);
         }
     }
 
-    const cmds = [...defaults, ...extraCmds].map(c => ({
+    const cmds = baseCmds.map(c => ({
         id: c.id,
         name: c.name,
         icon: c.icon,
@@ -1202,15 +2782,25 @@ async function getAvailableCommands(db, stats) {
 
     return {
         commands: cmds,
-        skills: skills.map(s => ({
-            id: s.id,
-            name: s.alt_name || s.name,
-            icon: s.icon,
-            mpCost: s.mp_cost,
-            type: s.type,
-            targetType: s.target_type,
-            description: s.description
-        })),
+        skills: skills.map(s => {
+            const cooldownLeft = skillCooldownLeft(stats, s.id);
+            const chargesLeft = skillChargesLeft(stats, s);
+            return {
+                id: s.id,
+                name: s.alt_name || s.name,
+                icon: s.icon,
+                mpCost: s.mp_cost,
+                type: s.type,
+                targetType: s.target_type,
+                description: s.description,
+                cooldown: s.cooldown || 0,
+                cooldownLeft,
+                charges: s.charges || null,
+                chargesLeft,
+                castTime: s.cast_time || 0,
+                disabled: cooldownLeft > 0 || chargesLeft === 0
+            };
+        }),
         limits: limits.map(l => ({
             id: l.id,
             name: l.name,
@@ -1228,12 +2818,269 @@ async function getAvailableCommands(db, stats) {
     };
 }
 
+// =================================================================
+// REPLAY — Re-simulate a finished battle from its saved record
+// =================================================================
+// Rebuilds the battle from setup_json (starting snapshot + seed) and feeds
+// actions_json back through the same resolvers, one action per frame.
+// Same seed + same actions = same rolls, so the rebuilt log should match
+// the stored one; `matches` says whether it did (content edits made since
+// the fight — a skill's formula, say — are the usual reason it won't).
+async function replayBattle(db, battleId) {
+    const [rows] = await db.query("SELECT * FROM game_battles WHERE id=?", [battleId]);
+    if (!rows.length) return { error: 'Battle not found.' };
+    const row = rows[0];
+    const setup = jp(row.setup_json, null);
+    const actions = jp(row.actions_json, null);
+    if (!setup || !Array.isArray(actions)) return { error: 'No replay recorded for this battle.' };
+
+    const battle = new BattleState(row.id, setup.sides, setup.type, setup.turnMode, setup.seed);
+    battle.replay = true;
+    logBattleStart(battle);
+
+    const frames = [{ action: null, state: battle.toClientState(null) }];
+    for (const a of actions) {
+        if (battle.status !== 'ACTIVE') break;
+        const actor = battle.getCombatant(a.charId);
+        if (!actor) break;
+
+        // ATB hands out turns in real time, so trust the record for who/when
+        battle.turnCharId = a.charId;
+        battle.turnNumber = a.turn;
+        battle.round = a.round;
+
+        const target = a.targetId ? battle.getCombatant(a.targetId) : null;
+        const result = await executeBattleAction(db, battle, actor, target, a);
+        if (battle.status === 'ACTIVE') await settleTurn(db, battle);
+        frames.push({ action: result, state: battle.toClientState(null) });
+    }
+
+    const strip = log => (log || []).map(({ time, ...entry }) => entry);
+    const storedLog = jp(row.battle_log, []);
+    return {
+        battleId: row.id,
+        seed: setup.seed,
+        type: setup.type,
+        turnMode: setup.turnMode,
+        status: battle.status,
+        winningSide: battle.winningSide,
+        frames,
+        log: battle.log,
+        matches: JSON.stringify(strip(storedLog)) === JSON.stringify(strip(battle.log))
+    };
+}
+
+// =================================================================
+// FORMULA SIMULATOR — Try an action out before shipping it (AdminSauce)
+// =================================================================
+// Teaching: designers tune damage.formula strings by feel. simulateAction
+// runs the real resolvers on throwaway battles flagged `replay`, so it only
+// ever reads: no HP written back, no items used up, no game_battles row,
+// no battle events.
+//   attacker / defender: { charId } | { monsterId, level } | a stat block
+//       { name, level, classId, maxHp, maxMp, atk, def, mo, md, speed, luck,
+//         acc, eva, elements: ["fire"], affinity: { ice: "weak" } }
+//   action: { commandId } | { skillId } | { limitId }
+// Every run gets its own seed (seed, seed+1, ...). Three measurements:
+//   hit  — one use: damage to the defender (min/avg/max), crit & miss rate
+//   kill — the attacker keeps using it on a defender who just stands there:
+//          turns needed to knock them out, within maxTurns
+//   duel — a real fight: the attacker keeps using it (plain Attack when it
+//          can't: no MP, cooldown, out of charges) and the defender plays
+//          its AI profile. Win / loss / draw rates. (battle_ai.js rolls
+//          Math.random, so these wobble a little even with a fixed seed.)
+// Everyone starts at full HP/MP with no statuses. A limit break is always
+// charged, and the attacker borrows its class and break level.
+const SIM_MAX_RUNS = 500;
+const SIM_MAX_TURNS = 50;
+const SIM_DAMAGE = ['damage', 'skill_damage', 'limit_damage'];
+
+function simStatBlock(spec) {
+    const num = (v, d) => (v === '' || v == null || isNaN(v)) ? d : Number(v);
+    return {
+        name: spec.name || 'Dummy',
+        level: num(spec.level, 1),
+        classId: spec.classId ? Number(spec.classId) : null,
+        raceId: null,
+        maxHp: Math.max(1, num(spec.maxHp, 100)),
+        maxMp: num(spec.maxMp, 50),
+        atk: num(spec.atk, 10), def: num(spec.def, 10),
+        mo: num(spec.mo, 10), md: num(spec.md, 10),
+        speed: num(spec.speed, 10), luck: num(spec.luck, 0),
+        acc: num(spec.acc, 95), eva: num(spec.eva, 5),
+        limitbreak: 0,
+        breaklevel: 1,
+        weaponElements: (Array.isArray(spec.elements) ? spec.elements : []).map(e => String(e).toLowerCase()),
+        weaponStatuses: {},
+        armorBlockStatuses: [],
+        baseElementAffinity: mergeAffinity({}, spec.affinity),
+        elementAffinity: {},
+        baseReactions: { counter: 0, reflect: 0, thorns: 0 },
+        experience: 0,
+        aiProfileId: spec.aiProfileId || null,
+        lootTableId: null
+    };
+}
+
+// Fresh, full-health fighter from a spec (null if the char/monster is missing)
+async function simCombatant(db, spec, id) {
+    let stats;
+    if (spec.charId) stats = await getEffectiveStats(db, parseInt(spec.charId, 10));
+    else if (spec.monsterId) stats = await getMonsterStats(db, spec.monsterId, spec.level, id);
+    else stats = simStatBlock(spec);
+    if (!stats) return null;
+
+    // Negative id like a monster: no character_items behind it, no collisions
+    const c = { ...stats, charId: id, userId: null, isAI: true, statuses: [], cooldowns: {}, skillUses: {} };
+    c.baseStats = Object.fromEntries(MOD_STATS.map(k => [k, (stats.baseStats || stats)[k]]));
+    await recalcStats(db, c);
+    c.currentHp = c.maxHp;
+    c.currentMp = c.maxMp;
+    c.limitbreak = 0;
+    return c;
+}
+
+// What the attacker does this turn: the action under test, or a plain
+// Attack when it can't be used right now
+async function simMove(db, actor, action) {
+    if (action.limitId) actor.limitbreak = 100;
+    if (!action.skillId || actor.casting) return action;
+    const skill = await BattleContent.skill(db, action.skillId);
+    const own = await ownSkillEntry(db, actor, action.skillId);
+    if (skillBlockedReason(actor, skill, skill.name) || actor.currentMp < (own ? own.mp_cost : 0)) return { commandId: 1 };
+    return action;
+}
+
+function simSpread(list) {
+    if (!list.length) return null;
+    const avg = list.reduce((s, v) => s + v, 0) / list.length;
+    return { min: Math.min(...list), avg: Math.round(avg * 10) / 10, max: Math.max(...list) };
+}
+
+function simPct(n, of) {
+    return of ? Math.round(n / of * 1000) / 10 : 0;
+}
+
+async function simulateAction(db, opts = {}) {
+    const runs = Math.min(SIM_MAX_RUNS, Math.max(1, parseInt(opts.runs, 10) || 100));
+    const maxTurns = Math.min(SIM_MAX_TURNS, Math.max(1, parseInt(opts.maxTurns, 10) || 20));
+    const seed = Number.isFinite(parseInt(opts.seed, 10)) ? parseInt(opts.seed, 10) >>> 0 : newSeed();
+    const act = opts.action || {};
+    const action = act.skillId ? { skillId: Number(act.skillId) }
+        : act.limitId ? { limitId: Number(act.limitId) }
+        : { commandId: Number(act.commandId) || 1 };
+
+    const attacker = await simCombatant(db, opts.attacker || {}, -1);
+    const defender = await simCombatant(db, opts.defender || {}, -2);
+    if (!attacker) return { error: 'Attacker not found.' };
+    if (!defender) return { error: 'Defender not found.' };
+
+    let actionName;
+    if (action.skillId) {
+        const skill = await BattleContent.skill(db, action.skillId);
+        if (!skill) return { error: 'Skill not found.' };
+        actionName = skill.name;
+    } else if (action.limitId) {
+        const limit = (await BattleContent.limits(db)).find(l => l.id === action.limitId);
+        if (!limit) return { error: 'Limit break not found.' };
+        if (limit.char_level_req > attacker.level) return { error: `${limit.name} needs level ${limit.char_level_req}.` };
+        attacker.classId = limit.class_id;
+        attacker.breaklevel = Math.max(attacker.breaklevel || 1, limit.break_level || 1);
+        actionName = limit.name;
+    } else {
+        const cmd = await BattleContent.command(db, action.commandId);
+        if (!cmd) return { error: 'Command not found.' };
+        actionName = cmd.name;
+    }
+
+    // Speed-based like the real thing; ATB runs on the wall clock, so it's
+    // played as INITIATIVE (the same speed math, turn by turn)
+    let turnMode = String(opts.turnMode || await querySetting(db, 'battle_turn_mode') || 'CLASSIC').toUpperCase();
+    if (turnMode === 'ATB') turnMode = 'INITIATIVE';
+
+    const fresh = (i) => {
+        const battle = new BattleState(null, [[structuredClone(attacker)], [structuredClone(defender)]], 'PVP', turnMode, seed + i);
+        battle.replay = true;
+        return { battle, a: battle.getCombatant(-1), d: battle.getCombatant(-2) };
+    };
+
+    // HIT — one use (a cast_time skill is held until it goes off). No
+    // Attack fallback here: if it can't be used, the sample log says why.
+    const damage = [];
+    let hits = 0, crits = 0, misses = 0;
+    const sample = [];
+    for (let i = 0; i < runs; i++) {
+        const { battle, a, d } = fresh(i);
+        if (action.limitId) a.limitbreak = 100;
+        let dealt = 0;
+        for (let t = 0; t < SIM_MAX_TURNS; t++) {
+            battle.turnCharId = a.charId;
+            const result = await executeBattleAction(db, battle, a, d, action);
+            if (i === 0) sample.push(...result.log);
+            for (const x of result.actions) {
+                if (x.targetId !== d.charId) continue;
+                if (SIM_DAMAGE.includes(x.type)) { dealt += x.amount; hits++; if (x.crit) crits++; }
+                if (x.type === 'miss') misses++;
+            }
+            if (!a.casting) break;
+        }
+        damage.push(dealt);
+    }
+
+    // KILL — the defender passes every turn (its statuses still tick)
+    const killTurns = [];
+    for (let i = 0; i < runs; i++) {
+        const { battle, a, d } = fresh(i);
+        for (let turn = 1; turn <= maxTurns && battle.status === 'ACTIVE'; turn++) {
+            battle.turnCharId = a.charId;
+            await executeBattleAction(db, battle, a, d, await simMove(db, a, action));
+            if (d.defeated) { killTurns.push(turn); break; }
+            if (battle.status !== 'ACTIVE' || !await settleTurn(db, battle)) break;
+            battle.turnCharId = d.charId;
+            if (!await settleTurn(db, battle)) break;
+        }
+    }
+
+    // DUEL — both sides fight until someone drops or maxTurns rounds pass
+    let wins = 0, losses = 0;
+    const duelTurns = [];
+    for (let i = 0; i < runs; i++) {
+        const { battle, a, d } = fresh(i);
+        while (battle.status === 'ACTIVE' && battle.round <= maxTurns) {
+            const actor = battle.getCombatant(battle.turnCharId);
+            if (!actor) break;
+            const { target, action: move } = actor === a
+                ? { target: d, action: await simMove(db, a, action) }
+                : await BattleAI.chooseAction(db, battle, d, { getAvailableCommands, buildFormulaVars });
+            await executeBattleAction(db, battle, actor, target, move);
+            if (battle.status !== 'ACTIVE' || !await settleTurn(db, battle)) break;
+        }
+        if (battle.status !== 'ACTIVE') duelTurns.push(battle.turnNumber);
+        if (battle.winningSide === 0) wins++;
+        else if (battle.winningSide === 1) losses++;
+    }
+
+    const card = c => ({ name: c.name, level: c.level, ...Object.fromEntries(MOD_STATS.map(k => [k, c[k]])) });
+    return {
+        seed, runs, maxTurns, turnMode,
+        action: { ...action, name: actionName },
+        attacker: card(attacker),
+        defender: card(defender),
+        hit: { damage: simSpread(damage), critRate: simPct(crits, hits), missRate: simPct(misses, hits + misses) },
+        kill: { turns: simSpread(killTurns), rate: simPct(killTurns.length, runs) },
+        duel: { winRate: simPct(wins, runs), lossRate: simPct(losses, runs), drawRate: simPct(runs - wins - losses, runs), turns: simSpread(duelTurns) },
+        sample
+    };
+}
+
 // In battle_engine.js
 
 // -----------------------------------------------------------------
 // BROADCAST UPDATE (Fixed)
 // -----------------------------------------------------------------
-async function broadcastBattleUpdate(io, battle, actionResult) {
+// Pass db on a new turn to refresh the menu (cooldowns, charges, items)
+// of whoever's turn it now is.
+async function broadcastBattleUpdate(io, battle, actionResult, db = null) {
     const room = `battle_${battle.id}`;
 
     // Best UX: each player gets a personalized state (me/opponent/isMyTurn).
@@ -1244,7 +3091,11 @@ async function broadcastBattleUpdate(io, battle, actionResult) {
             for (const s of sockets) {
                 const viewerCharId = s._battleCharId;
                 const state = battle.toClientState(viewerCharId);
-                s.emit('battle_update', { state, action: actionResult || null });
+                const update = { state, action: actionResult || null };
+                if (db && viewerCharId && viewerCharId === battle.turnCharId) {
+                    update.commands = await getAvailableCommands(db, battle.combatants[viewerCharId]);
+                }
+                s.emit('battle_update', update);
             }
             return;
         }
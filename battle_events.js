@@ -0,0 +1,49 @@
+// =================================================================
+// BATTLE EVENTS — A small bus other modules subscribe to
+// =================================================================
+// Teaching: battle_engine.js announces what happens in a fight; quests,
+// artifacts, achievements, guild stats... listen here instead of being
+// wired into the engine one by one. Subscribing is one line:
+//
+//   const BattleEvents = require('./battle_events');
+//   BattleEvents.on('combatant_defeated', async ({ db, battle, combatant, killer }) => { ... });
+//
+// Every payload carries { db, io, battle } plus:
+//   battle_started      —                              once everyone is in the room
+//   action_resolved     { actor, record, result }      after an action lands, before the turn moves on
+//   combatant_defeated  { combatant, killer }          killer is null for status ticks / forfeits
+//   battle_ended        { finished, winners, losers }  after rewards, before the final update goes out
+//
+// Handlers run one at a time, in the order they subscribed, and are
+// awaited. One that throws is logged and skipped — a broken listener
+// never breaks a battle. Handlers should treat `battle` as read-only;
+// replays re-simulate fights without firing any events.
+
+const EVENTS = ['battle_started', 'action_resolved', 'combatant_defeated', 'battle_ended'];
+const handlers = Object.fromEntries(EVENTS.map(e => [e, []]));
+
+// -> a function that unsubscribes again
+function on(event, handler) {
+    if (!handlers[event]) throw new Error(`Unknown battle event: ${event}`);
+    if (!handlers[event].includes(handler)) handlers[event].push(handler);
+    return () => off(event, handler);
+}
+
+function off(event, handler) {
+    const list = handlers[event];
+    if (!list) return;
+    const i = list.indexOf(handler);
+    if (i >= 0) list.splice(i, 1);
+}
+
+async function emit(event, payload) {
+    for (const handler of [...(handlers[event] || [])]) {
+        try {
+            await handler(payload);
+        } catch (e) {
+            console.error(`Battle event ${event} handler failed:`, e);
+        }
+    }
+}
+
+module.exports = { EVENTS, on, off, emit };
@@ -0,0 +1,186 @@
+// =================================================================
+// DUEL WAGERS — Stakes, escrow & payout for duel challenges
+// =================================================================
+// Teaching: a duel is a PvP challenge with something riding on it.
+// The challenger names a gold stake (both players put that much in) and
+// may add items of their own; whoever accepts may add items too. The
+// terms wait here (in RAM, like trades) until the challenge is accepted.
+//
+// On accept, both stakes move into escrow in ONE transaction: gold leaves
+// users.currency, items leave character_items, and a duel_escrow row
+// records what was taken. If either player can't cover their stake,
+// nothing moves. endBattle then calls settle(), which — again in one
+// transaction — hands the whole pot to the winner, or gives everyone
+// their own stake back if there was no winner.
+//
+// Duels are no-loss otherwise: battle_engine.js skips the HP/MP/status
+// sync and the XP/gold rewards, blocks fleeing, and tells the artifact
+// hook isDuel so nothing transfers.
+//
+// A server restart mid-duel is safe: refundOrphans() (run at boot)
+// returns every stake whose battle didn't come back.
+
+const CHALLENGE_TTL_MS = 60000;
+const MAX_STAKE_ITEMS = 8;
+
+const pending = {}; // "challengerCharId:targetCharId" -> { terms, at }
+
+function stakeError(message) {
+    return Object.assign(new Error(message), { stake: true });
+}
+
+// wager = { gold, items: [{ itemId, quantity }] } -> { gold, items } or { error }
+// Checks the player can cover it right now; escrow() checks again for real.
+async function normalizeStake(d, player, wager, gold) {
+    gold = Math.max(0, parseInt(gold, 10) || 0);
+    const wanted = new Map();
+    for (const it of (wager && Array.isArray(wager.items) ? wager.items : []).slice(0, MAX_STAKE_ITEMS)) {
+        const itemId = parseInt(it.itemId, 10), quantity = Math.max(1, parseInt(it.quantity, 10) || 1);
+        if (itemId) wanted.set(itemId, (wanted.get(itemId) || 0) + quantity);
+    }
+
+    if (gold) {
+        const [u] = await d.query("SELECT currency FROM users WHERE id=?", [player.userId]);
+        if (!u.length || u[0].currency < gold) return { error: `${player.name} doesn't have ${gold} gold to stake.` };
+    }
+    const items = [];
+    for (const [itemId, quantity] of wanted) {
+        const [inv] = await d.query(
+            `SELECT ci.quantity, gi.name, gi.icon FROM character_items ci JOIN game_items gi ON gi.id = ci.item_id
+             WHERE ci.character_id=? AND ci.item_id=?`, [player.charId, itemId]);
+        if (!inv.length || inv[0].quantity < quantity) return { error: `${player.name} doesn't have enough of that item to stake.` };
+        items.push({ id: itemId, name: inv[0].name, icon: inv[0].icon || '📦', quantity });
+    }
+    return { gold, items };
+}
+
+// =================================================================
+// CHALLENGES
+// =================================================================
+// challenger / target = onlinePlayers entries
+async function propose(d, challenger, target, wager) {
+    const stake = await normalizeStake(d, challenger, wager, wager && wager.gold);
+    if (stake.error) return stake;
+    if (!stake.gold && !stake.items.length) return { error: 'A duel needs a gold or item stake.' };
+    pending[`${challenger.charId}:${target.charId}`] = { terms: stake, at: Date.now() };
+    return stake;
+}
+
+// The open duel challenge between these two (removed once taken)
+function take(challengerCharId, targetCharId) {
+    const key = `${challengerCharId}:${targetCharId}`;
+    const entry = pending[key];
+    delete pending[key];
+    if (!entry || Date.now() - entry.at > CHALLENGE_TTL_MS) return null;
+    return entry.terms;
+}
+
+// =================================================================
+// ESCROW
+// =================================================================
+// -> { escrowId, gold, stakes: { [charId]: { userId, name, gold, items } } } or { error }
+async function escrow(d, challenger, acceptor, terms, acceptorWager) {
+    const mine = await normalizeStake(d, acceptor, acceptorWager, terms.gold);
+    if (mine.error) return mine;
+    const stakes = {
+        [challenger.charId]: { userId: challenger.userId, name: challenger.name, gold: terms.gold, items: terms.items },
+        [acceptor.charId]: { userId: acceptor.userId, name: acceptor.name, gold: mine.gold, items: mine.items }
+    };
+
+    const conn = await d.getConnection();
+    try {
+        await conn.beginTransaction();
+        for (const [charId, s] of Object.entries(stakes)) {
+            if (s.gold) {
+                const [r] = await conn.query("UPDATE users SET currency=currency-? WHERE id=? AND currency>=?", [s.gold, s.userId, s.gold]);
+                if (!r.affectedRows) throw stakeError(`${s.name} can't cover the ${s.gold} gold stake.`);
+            }
+            for (const it of s.items) {
+                const [inv] = await conn.query(
+                    "SELECT id, quantity FROM character_items WHERE character_id=? AND item_id=? FOR UPDATE", [charId, it.id]);
+                if (!inv.length || inv[0].quantity < it.quantity) throw stakeError(`${s.name} no longer has the staked ${it.name}.`);
+                if (inv[0].quantity > it.quantity) await conn.query("UPDATE character_items SET quantity=quantity-? WHERE id=?", [it.quantity, inv[0].id]);
+                else await conn.query("DELETE FROM character_items WHERE id=?", [inv[0].id]);
+            }
+        }
+        const [ins] = await conn.query(
+            "INSERT INTO duel_escrow (challenger_char_id, target_char_id, stakes_json, status) VALUES (?,?,?,'HELD')",
+            [challenger.charId, acceptor.charId, JSON.stringify(stakes)]);
+        await conn.commit();
+        return { escrowId: ins.insertId, gold: terms.gold, stakes };
+    } catch (e) {
+        await conn.rollback();
+        if (e.stake) return { error: e.message };
+        throw e;
+    } finally {
+        conn.release();
+    }
+}
+
+async function attach(d, escrowId, battleId) {
+    await d.query("UPDATE duel_escrow SET battle_id=? WHERE id=?", [battleId, escrowId]);
+}
+
+// Pay the pot to winnerCharId, or return each stake to its owner (winner null).
+// -> { gold, items } the winner took from the others ({} if nothing was paid)
+async function payOut(d, escrowId, winnerCharId) {
+    const conn = await d.getConnection();
+    try {
+        await conn.beginTransaction();
+        const [rows] = await conn.query("SELECT * FROM duel_escrow WHERE id=? FOR UPDATE", [escrowId]);
+        if (!rows.length || rows[0].status !== 'HELD') { await conn.rollback(); return {}; }
+        const stakes = typeof rows[0].stakes_json === 'string' ? JSON.parse(rows[0].stakes_json) : rows[0].stakes_json;
+        const winner = winnerCharId && stakes[winnerCharId] ? String(winnerCharId) : null;
+        const won = { gold: 0, items: [] };
+
+        for (const [charId, s] of Object.entries(stakes)) {
+            const toChar = winner || charId;
+            if (s.gold) await conn.query("UPDATE users SET currency=currency+? WHERE id=?", [s.gold, stakes[toChar].userId]);
+            for (const it of s.items) {
+                const [ex] = await conn.query("SELECT id FROM character_items WHERE character_id=? AND item_id=?", [toChar, it.id]);
+                if (ex.length) await conn.query("UPDATE character_items SET quantity=quantity+? WHERE id=?", [it.quantity, ex[0].id]);
+                else await conn.query("INSERT INTO character_items (character_id,item_id,quantity) VALUES (?,?,?)", [toChar, it.id, it.quantity]);
+            }
+            if (winner && charId !== winner) {
+                won.gold += s.gold;
+                won.items.push(...s.items);
+            }
+        }
+        await conn.query("UPDATE duel_escrow SET status=?, winner_char_id=?, settled_at=NOW() WHERE id=?",
+            [winner ? 'PAID' : 'REFUNDED', winner, escrowId]);
+        await conn.commit();
+        return winner ? won : {};
+    } catch (e) {
+        await conn.rollback();
+        throw e;
+    } finally {
+        conn.release();
+    }
+}
+
+// Called by endBattle. winners = the winning side's combatants (empty = no winner)
+async function settle(d, battle, winners) {
+    if (!battle.duel) return {};
+    const winner = winners.find(c => !c.isAI);
+    return payOut(d, battle.duel.escrowId, winner ? winner.charId : null);
+}
+
+async function refund(d, escrowId) {
+    return payOut(d, escrowId, null);
+}
+
+// Boot: give back every stake whose battle isn't running any more
+async function refundOrphans(d, activeBattles) {
+    let rows;
+    try {
+        [rows] = await d.query("SELECT id, battle_id FROM duel_escrow WHERE status='HELD'");
+    } catch (e) {
+        return; // duel_escrow not migrated
+    }
+    for (const r of rows) {
+        if (r.battle_id && activeBattles[r.battle_id]) continue;
+        await refund(d, r.id);
+    }
+}
+
+module.exports = { propose, take, escrow, attach, settle, refund, refundOrphans };
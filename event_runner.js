@@ -40,6 +40,8 @@
 //   }
 // =================================================================
 
+const BattleEvents = require('./battle_events');
+
 // --- SAFE FORMULA EVALUATOR ---
 // Replaces VRDE's dangerous eval() with a whitelist-only math parser.
 // Only allows: numbers, +, -, *, /, (), and stat names like ATK, DEF, MO, MD.
@@ -71,76 +73,249 @@ function safeEval(formula, vars = {}) {
     }
 }
 
+// safeEval that can also read flags: "LVL*25 + flag:streak*5".
+// A list flag counts as its length, true as 1, anything else non-numeric as 0.
+function evalExpression(expr, vars = {}, state = {}) {
+    if (typeof expr !== 'string') return safeEval(expr, vars);
+    const withFlags = expr.replace(/flag:(\w+)/gi, (_, key) => `(${flagNumber(state[key])})`);
+    return safeEval(withFlags, vars);
+}
+
+function flagNumber(v) {
+    if (Array.isArray(v)) return v.length;
+    if (v === true) return 1;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : 0;
+}
+
+// Does this expression mention stats (and so need the character row)?
+function usesStats(expr) {
+    return typeof expr === 'string' && /[a-z_]/i.test(expr.replace(/flag:\w+/gi, ''));
+}
+
 // --- CONDITION CHECKER ---
 // Evaluates whether an event should fire based on player state.
-// Returns true if ALL conditions pass (AND logic).
-function checkConditions(conditions, state, context) {
+// A plain list means ALL of them must pass. For OR logic, nest groups:
+//   { type: "ANY",  conditions: [...] }   at least one passes
+//   { type: "ALL",  conditions: [...] }   every one passes
+//   { type: "NONE", conditions: [...] }   not a single one passes
+// Anything beyond state_json (gold, guild, equipment...) is read from
+// `context` — see loadConditionContext() below.
+// Unknown types FAIL: a typo in the editor should lock the door, not open it.
+function checkConditions(conditions, state, context = {}) {
     if (!conditions || !Array.isArray(conditions) || conditions.length === 0) return true;
+    return checkCondition({ type: 'ALL', conditions }, state || {}, context) === true;
+}
 
-    for (const cond of conditions) {
-        let result = false;
+// -> true / false, or null if something unknown is inside. null travels
+// up through every group (and past "not"), so NONE/not can't flip a typo
+// into a pass.
+function checkCondition(cond, state, context) {
+    if (!cond || typeof cond !== 'object') return null;
+    const result = evalCondition(cond, state, context);
+    if (result === null) return null;
+    // If inverted (NOT), flip the result
+    return cond.not ? !result : !!result;
+}
 
-        switch (cond.type) {
-            // FLAG: Check a value in the player's state_json
-            // { type: "FLAG", key: "talked_to_guard", op: "==", value: true }
-            case 'FLAG': {
-                const actual = state[cond.key];
-                result = compareValues(actual, cond.op || '==', cond.value);
-                break;
-            }
+function checkGroup(type, list, state, context) {
+    if (!Array.isArray(list)) return null;
+    const results = list.map(c => checkCondition(c, state, context));
+    if (results.includes(null)) return null;
+    if (type === 'ANY') return results.some(Boolean);
+    if (type === 'NONE') return !results.some(Boolean);
+    return results.every(Boolean);
+}
 
-            // LEVEL: Check player level
-            // { type: "LEVEL", op: ">=", value: 5 }
-            case 'LEVEL': {
-                result = compareValues(context.level || 1, cond.op || '>=', cond.value);
-                break;
-            }
+function evalCondition(cond, state, context) {
+    switch (cond.type) {
+        // ALL / ANY / NONE: a nested group (see above)
+        case 'ALL':
+        case 'ANY':
+        case 'NONE':
+            return checkGroup(cond.type, cond.conditions, state, context);
 
-            // HAS_ITEM: Check if player has an item (by item_id)
-            // { type: "HAS_ITEM", itemId: 3, quantity: 1 }
-            case 'HAS_ITEM': {
-                const inv = context.inventory || [];
-                const item = inv.find(i => i.item_id === cond.itemId);
-                result = item && item.quantity >= (cond.quantity || 1);
-                break;
-            }
+        // FLAG: Check a value in the player's state_json
+        // { type: "FLAG", key: "talked_to_guard", op: "==", value: true }
+        case 'FLAG':
+            return compareValues(state[cond.key], cond.op || '==', cond.value);
 
-            // QUEST_STEP: Check quest progress
-            // { type: "QUEST_STEP", questId: 1, step: 2, op: ">=" }
-            case 'QUEST_STEP': {
-                const qState = (state.quests || {})[cond.questId];
-                const step = qState ? (qState.step || 0) : 0;
-                result = compareValues(step, cond.op || '>=', cond.step);
-                break;
-            }
+        // LEVEL: Check player level
+        // { type: "LEVEL", op: ">=", value: 5 }
+        case 'LEVEL':
+            return compareValues(context.level || 1, cond.op || '>=', cond.value);
 
-            // CLASS: Check if player is a specific class
-            // { type: "CLASS", classId: 2 }
-            case 'CLASS': {
-                result = context.classId === cond.classId;
-                break;
-            }
+        // HAS_ITEM: Check if player has an item (by item_id)
+        // { type: "HAS_ITEM", itemId: 3, quantity: 1 }
+        case 'HAS_ITEM': {
+            const item = (context.inventory || []).find(i => Number(i.item_id) === Number(cond.itemId));
+            return !!item && item.quantity >= (cond.quantity || 1);
+        }
 
-            // RANDOM: Random chance (0-100)
-            // { type: "RANDOM", chance: 50 }
-            case 'RANDOM': {
-                result = Math.random() * 100 < (cond.chance || 50);
-                break;
-            }
+        // QUEST_STEP: Check quest progress (QUEST_START/QUEST_ADVANCE actions)
+        // { type: "QUEST_STEP", questId: 1, step: 2, op: ">=" }
+        case 'QUEST_STEP': {
+            const qState = (state.quests || {})[cond.questId];
+            const step = qState ? (qState.step || 0) : 0;
+            return compareValues(step, cond.op || '>=', cond.step);
+        }
+
+        // QUEST_ACTIVE / QUEST_DONE: The quest log kept by /api/quests
+        // { type: "QUEST_ACTIVE", questId: "wolf_hunt" }
+        case 'QUEST_ACTIVE':
+            return !!((state.quests || {}).active || {})[cond.questId];
+        case 'QUEST_DONE':
+            return !!((state.quests || {}).completed || {})[cond.questId];
+
+        // CLASS / RACE: Check what the character is
+        // { type: "CLASS", classId: 2 }   { type: "RACE", raceId: 1 }
+        case 'CLASS':
+            return Number(context.classId) === Number(cond.classId);
+        case 'RACE':
+            return Number(context.raceId) === Number(cond.raceId);
+
+        // GOLD: Check the account's currency
+        // { type: "GOLD", op: ">=", value: 100 }
+        case 'GOLD':
+            return compareValues(context.gold || 0, cond.op || '>=', cond.value);
+
+        // EQUIPPED: Item worn in any slot, or in one slot
+        // { type: "EQUIPPED", itemId: 12, slot: "weapon" }
+        case 'EQUIPPED':
+            return (context.equipment || []).some(e =>
+                Number(e.item_id) === Number(cond.itemId) && (!cond.slot || e.slot_key === cond.slot));
+
+        // GUILD: In a guild — optionally a given one, at a given rank or higher
+        // { type: "GUILD", guildId: 4, rank: "OFFICER" }
+        case 'GUILD': {
+            const g = context.guild;
+            if (!g) return false;
+            if (cond.guildId && Number(g.guildId) !== Number(cond.guildId)) return false;
+            if (cond.rank) return GUILD_RANKS.indexOf(g.rank) >= GUILD_RANKS.indexOf(String(cond.rank).toUpperCase());
+            return true;
+        }
+
+        // PARTY: Party size including the player (0 = not in a party)
+        // { type: "PARTY", op: ">=", value: 2 }
+        case 'PARTY':
+            return compareValues(context.partySize || 0, cond.op || '>=', cond.value);
+
+        // MAP: Which map the player is on
+        // { type: "MAP", mapId: 3 }
+        case 'MAP':
+            return Number(context.mapId) === Number(cond.mapId);
+
+        // TIME: Server clock hour, from (inclusive) to (exclusive).
+        // Wraps past midnight: { type: "TIME", from: 20, to: 6 } = night
+        case 'TIME': {
+            const hour = context.hour !== undefined ? context.hour : new Date().getHours();
+            const from = Number(cond.from) || 0, to = Number(cond.to) || 0;
+            return from <= to ? (hour >= from && hour < to) : (hour >= from || hour < to);
+        }
 
-            default:
-                console.warn('Unknown condition type:', cond.type);
-                result = true; // Unknown conditions pass by default
+        // FORMULA: Compare two expressions over stats and flags
+        // { type: "FORMULA", formula: "ATK + flag:bonus", op: ">=", value: "LVL * 4" }
+        case 'FORMULA': {
+            const vars = context.vars || {};
+            return compareValues(evalExpression(cond.formula, vars, state), cond.op || '>=', evalExpression(cond.value, vars, state));
         }
 
-        // If inverted (NOT), flip the result
-        if (cond.not) result = !result;
+        // RANDOM: Random chance (0-100)
+        // { type: "RANDOM", chance: 50 }
+        case 'RANDOM':
+            return Math.random() * 100 < (cond.chance || 50);
 
-        // ALL conditions must pass (AND logic)
-        if (!result) return false;
+        default:
+            console.warn('Unknown condition type:', cond.type);
+            return null;
     }
+}
 
-    return true;
+// Lowest first; a GUILD rank condition passes for that rank or above
+const GUILD_RANKS = ['MEMBER', 'OFFICER', 'LEADER'];
+
+// --- CONDITION CONTEXT ---
+// checkConditions() is synchronous, so everything it reads is gathered
+// first. Only the tables the conditions actually mention are queried:
+// a FLAG-only event costs nothing extra.
+async function loadConditionContext(db, player, conditions) {
+    const context = {
+        level: player.level, classId: player.classId, mapId: player.mapId,
+        inventory: player.inventory || [], hour: new Date().getHours()
+    };
+    const types = conditionTypes(conditions);
+    if (!db || !player.charId || !types.size) return context;
+    const needs = (...t) => t.some(x => types.has(x));
+    const charId = player.charId;
+
+    if (needs('HAS_ITEM')) {
+        context.inventory = await optionalRows(db, "SELECT item_id, quantity FROM character_items WHERE character_id=?", [charId]);
+    }
+    if (needs('GOLD', 'FORMULA') && player.userId) {
+        const rows = await optionalRows(db, "SELECT currency FROM users WHERE id=?", [player.userId]);
+        context.gold = rows.length ? Number(rows[0].currency) || 0 : 0;
+    }
+    if (needs('RACE', 'FORMULA')) {
+        const [c = {}] = await optionalRows(db, "SELECT * FROM characters WHERE id=?", [charId]);
+        context.raceId = c.race_id;
+        context.vars = statVars(c, context.gold);
+    }
+    if (needs('EQUIPPED')) {
+        context.equipment = await optionalRows(db, "SELECT slot_key, item_id FROM character_equipment WHERE character_id=?", [charId]);
+    }
+    if (needs('GUILD')) {
+        const [g] = await optionalRows(db, "SELECT guild_id, `rank` FROM guild_members WHERE character_id=? AND is_active=1", [charId]);
+        context.guild = g ? { guildId: g.guild_id, rank: g.rank } : null;
+    }
+    if (needs('PARTY')) {
+        const [row] = await optionalRows(db,
+            `SELECT COUNT(*) AS n FROM character_party_members me
+             JOIN character_party_members m ON m.party_id=me.party_id AND m.is_active=1
+             WHERE me.character_id=? AND me.is_active=1`, [charId]);
+        context.partySize = row ? Number(row.n) || 0 : 0;
+    }
+    return context;
+}
+
+// --- STAT VARIABLES ---
+// The names formulas, FORMULA conditions and {player.x} templates share.
+// Both spellings work where older scripts used one (LVL/LEVEL, MAXHP/MAX_HP).
+function statVars(c, gold = 0) {
+    return {
+        LVL: c.level, LEVEL: c.level, XP: c.experience, GOLD: Number(gold) || 0,
+        HP: c.current_hp, MAXHP: c.max_hp, MAX_HP: c.max_hp,
+        MP: c.current_mp, MAXMP: c.max_mp, MAX_MP: c.max_mp,
+        ATK: c.atk, DEF: c.def, MO: c.mo, MD: c.md, SPEED: c.speed, LUCK: c.luck
+    };
+}
+
+async function loadPlayerVars(db, player) {
+    if (!db || !player.charId) return { LVL: player.level || 1, LEVEL: player.level || 1 };
+    const [c] = await optionalRows(db, "SELECT * FROM characters WHERE id=?", [player.charId]);
+    const [u] = player.userId ? await optionalRows(db, "SELECT currency FROM users WHERE id=?", [player.userId]) : [];
+    return statVars(c || { level: player.level }, u ? u.currency : 0);
+}
+
+// Every condition type used anywhere in a (nested) list
+function conditionTypes(conditions, out = new Set()) {
+    if (!Array.isArray(conditions)) return out;
+    for (const c of conditions) {
+        if (!c || typeof c !== 'object') continue;
+        out.add(c.type);
+        conditionTypes(c.conditions, out);
+    }
+    return out;
+}
+
+// Guild/party tables come from optional migrations — no table, no rows
+async function optionalRows(db, sql, params) {
+    try {
+        const [rows] = await db.query(sql, params);
+        return rows;
+    } catch (e) {
+        if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) return [];
+        throw e;
+    }
 }
 
 function compareValues(actual, op, expected) {
@@ -151,6 +326,9 @@ function compareValues(actual, op, expected) {
         case '<':   return actual < expected;
         case '>=':  return actual >= expected;
         case '<=':  return actual <= expected;
+        case 'has': return Array.isArray(actual)             // List flag contains / text contains
+            ? actual.some(v => v == expected)
+            : String(actual ?? '').includes(String(expected));
         default:    return actual == expected;
     }
 }
@@ -167,396 +345,776 @@ function compareValues(actual, op, expected) {
 //
 // TEACHING: Think of this like a script interpreter. Each action is
 // a "line of code" that the engine reads and executes.
+//
+// Nested lists (an IF branch, a CHOICE option, quest rewards) don't
+// recurse — they're pushed onto a stack of frames, { actions, i },
+// where i is the next line to run in that list. The top frame runs
+// until it's used up, then the one below carries on:
+//
+//   [ { actions: event.actions, i: 3 },      <- after the IF
+//     { actions: ifAction.then, i: 1 } ]     <- inside the IF
+//
+// When a CHOICE pauses the script, the whole stack is parked under
+// `_event` (see PENDING_KEY) in server memory, one per character.
+// resumeChoice() pushes the picked option on top and carries on — so
+// whatever came after the CHOICE still runs, choices can nest, and a
+// reconnect doesn't lose the player's place. It is never written to
+// state_json: the client can overwrite that (/api/game/save-state), and
+// a parked stack is runnable actions. A server restart forgets it, so
+// the event just ends. Starting another event drops a parked one.
+//
+// BATTLE parks the script the same way until the fight is over; the
+// battle_ended listener at the bottom of this file records how it went
+// and runs onWin / onLose / onFlee, then whatever followed the BATTLE.
+//
+// CALL_SCRIPT is a subroutine: the stored script (game_scripts) is
+// pushed as one more frame, tagged { script: key }, so it can pause on
+// a CHOICE or BATTLE like anything else. Counting tagged frames gives
+// the call depth (MAX_SCRIPT_DEPTH stops a script calling itself forever).
 // =================================================================
 
+// Key a paused script sits under in a running script's state —
+// withPlayerState() moves it in from `parked` and back out. Waiting on a CHOICE:
+//   { choice: <the 'choice' cmd the client was sent>,
+//     options: [ actions of option 0, actions of option 1, ... ],
+//     stack:   [ { actions, i }, ... ] }
+// Waiting on a BATTLE:
+//   { battleId, outcome: null | 'WIN' | 'LOSE' | 'FLEE',
+//     branches: { WIN: [...], LOSE: [...], FLEE: [...] }, stack }
+const PENDING_KEY = '_event';
+
+// Give the client's result screen (battle_ui.js closes it after 2s)
+// time to clear before the script carries on
+const BATTLE_RESUME_DELAY_MS = 2500;
+
+// Set by init(): battle_engine.js requires this file for safeEval, so
+// server.js hands the battle starter in rather than us requiring it back
+let io = null;
+let players = {};        // server.js onlinePlayers
+let battleStarter = null; // (socket, player, spec) -> battleId | null
+const busy = new Set();   // charIds with a script running (see withPlayerState)
+const parked = new Map(); // charId -> paused script (see PENDING_KEY); memory only
+
+const MAX_SCRIPT_DEPTH = 8;
+
 async function executeActions({ actions, socket, player, state, db }) {
     if (!actions || !Array.isArray(actions)) return;
 
-    // The response queue — messages to send to the client in order
-    const responses = [];
-
-    // Mutable state copy — actions can modify flags during execution
-    const localState = { ...state };
-
-    for (const action of actions) {
-        switch (action.type) {
-
-            // ---------------------------------------------------------
-            // DIALOGUE: Show text in the dialogue box
-            // { type: "DIALOGUE", speaker: "Guard", text: "Halt!" }
-            // ---------------------------------------------------------
-            case 'DIALOGUE': {
-                const text = resolveTemplate(action.text, { player, state: localState });
-                responses.push({
-                    cmd: 'dialogue',
-                    speaker: action.speaker || 'NPC',
-                    text: text,
-                    portrait: action.portrait || null
-                });
-                break;
-            }
+    const fresh = { ...state };
+    delete fresh[PENDING_KEY];
+    return runScript({ stack: [{ actions, i: 0 }], socket, player, state: fresh, db });
+}
 
-            // ---------------------------------------------------------
-            // CHOICE: Present options to the player
-            // { type: "CHOICE", prompt: "What say?", options: [{label, actions}] }
-            // ---------------------------------------------------------
-            case 'CHOICE': {
-                responses.push({
-                    cmd: 'choice',
-                    prompt: action.prompt || '',
-                    options: (action.options || []).map((opt, i) => ({
-                        id: i,
-                        label: opt.label
-                        // NOTE: The nested actions are NOT sent to client.
-                        // Client sends back the chosen option ID.
-                        // Server then runs the corresponding actions.
-                    }))
-                });
-                // IMPORTANT: Stop processing here. The client will send
-                // back 'event_choice' with the selected option index.
-                // The server then calls executeActions() again with
-                // the chosen option's actions array.
-                socket._pendingChoices = action.options;
-                socket.emit('event_queue', responses);
-                return { state: localState, halted: true, reason: 'CHOICE' };
-            }
+// Player picked option `optionId` of the parked CHOICE.
+// Returns null if nothing is waiting (or the pick isn't one of the options).
+async function resumeChoice({ optionId, socket, player, state, db }) {
+    const pending = state && state[PENDING_KEY];
+    const id = Number(optionId);
+    if (!pending || !Array.isArray(pending.options) || !Number.isInteger(id)) return null;
+    const chosen = pending.options[id];
+    if (!Array.isArray(chosen)) return null;
 
-            // ---------------------------------------------------------
-            // SET_FLAG: Store a value in the player's state_json
-            // { type: "SET_FLAG", key: "talked_to_guard", value: true }
-            // ---------------------------------------------------------
-            case 'SET_FLAG': {
-                localState[action.key] = action.value;
-                break;
-            }
+    const rest = { ...state };
+    delete rest[PENDING_KEY];
+    const stack = Array.isArray(pending.stack) ? pending.stack : [];
+    stack.push({ actions: chosen, i: 0 });
+    return runScript({ stack, socket, player, state: rest, db });
+}
 
-            // ---------------------------------------------------------
-            // INC_FLAG: Increment a numeric flag
-            // { type: "INC_FLAG", key: "kill_count", amount: 1 }
-            // ---------------------------------------------------------
-            case 'INC_FLAG': {
-                const current = Number(localState[action.key]) || 0;
-                localState[action.key] = current + (action.amount || 1);
-                break;
-            }
+// The 'choice' cmd to show this character again after a reconnect, or null
+function pendingChoice(charId) {
+    const pending = parked.get(Number(charId));
+    return (pending && pending.choice) || null;
+}
 
-            // ---------------------------------------------------------
-            // TELEPORT: Move player to a new location
-            // { type: "TELEPORT", mapId: 2, x: 10, y: 10 }
-            // ---------------------------------------------------------
-            case 'TELEPORT': {
-                responses.push({
-                    cmd: 'teleport',
-                    mapId: action.mapId,
-                    x: action.x || 10,
-                    y: action.y || 10
-                });
-                break;
-            }
+// Load a player's state, let fn run a script against it, save the result.
+// Every script run goes through here — server.js's step-on, interact and
+// event_choice handlers as well as battle endings and item/quest hooks —
+// so `busy` keeps it to one per character: a second one arriving while
+// the first runs is dropped, and two resumes can never both take the same
+// parked _event. It is also the only place `parked` is read or written,
+// and any _event that turns up in state_json is thrown away. Needs them
+// online — the script's output goes to their socket. -> fn's result, or null.
+async function withPlayerState(db, charId, fn) {
+    charId = Number(charId);
+    const entry = Object.values(players).find(p => p.charId === charId);
+    const socket = entry && io ? io.sockets.sockets.get(entry.socketId) : null;
+    if (!socket || busy.has(charId)) return null;
 
-            // ---------------------------------------------------------
-            // GIVE_ITEM: Add item to player's inventory
-            // { type: "GIVE_ITEM", itemId: 3, quantity: 1 }
-            // ---------------------------------------------------------
-            case 'GIVE_ITEM': {
-                if (db && player.charId) {
-                    const qty = action.quantity || 1;
-                    const [existing] = await db.query(
-                        "SELECT * FROM character_items WHERE character_id=? AND item_id=?",
-                        [player.charId, action.itemId]
-                    );
-                    if (existing.length) {
-                        await db.query("UPDATE character_items SET quantity=quantity+? WHERE id=?",
-                            [qty, existing[0].id]);
-                    } else {
-                        await db.query("INSERT INTO character_items(character_id,item_id,quantity)VALUES(?,?,?)",
-                            [player.charId, action.itemId, qty]);
-                    }
-                    // Look up item name for the client message
-                    const [itemRow] = await db.query("SELECT name,icon FROM game_items WHERE id=?", [action.itemId]);
-                    const iName = itemRow.length ? itemRow[0].name : 'Unknown Item';
-                    const iIcon = itemRow.length ? itemRow[0].icon : '📦';
-                    responses.push({ cmd: 'notification', text: `${iIcon} Received ${qty}x ${iName}!`, type: 'item' });
+    busy.add(charId);
+    try {
+        const [rows] = await db.query("SELECT state_json, level, class_id FROM characters WHERE id=?", [charId]);
+        if (!rows.length) return null;
+        const state = safeJsonParse(rows[0].state_json, {}) || {};
+        delete state[PENDING_KEY];
+        if (parked.has(charId)) state[PENDING_KEY] = parked.get(charId);
+        const player = { ...entry, level: rows[0].level || 1, classId: rows[0].class_id || 1 };
+        const result = await fn({ socket, player, state });
+        if (result && result.state) {
+            const { [PENDING_KEY]: pending, ...saved } = result.state;
+            if (pending) parked.set(charId, pending);
+            else parked.delete(charId);
+            await db.query("UPDATE characters SET state_json=? WHERE id=?", [JSON.stringify(saved), charId]);
+        }
+        return result;
+    } finally {
+        busy.delete(charId);
+    }
+}
+
+// A parked BATTLE whose outcome is known: run its branch and save.
+// Called by the battle_ended timer and by join_game (the player may
+// have been offline when the fight ended). Quietly does nothing if the
+// player isn't online, nothing is waiting, or the fight isn't over yet.
+function resumeAfterBattle(db, charId) {
+    return withPlayerState(db, charId, async ({ socket, player, state }) => {
+        const pending = state[PENDING_KEY];
+        if (!pending || !pending.outcome || !pending.branches) return null;
+
+        const rest = { ...state };
+        delete rest[PENDING_KEY];
+        const stack = Array.isArray(pending.stack) ? pending.stack : [];
+        stack.push({ actions: pending.branches[pending.outcome] || [], i: 0 });
+        return runScript({ stack, socket, player, state: rest, db });
+    });
+}
+
+// Run a stored script for a player from outside a map event — an item
+// or quest that names a script_key. Like any new event, it replaces a
+// script that was paused. A broken script is logged, never thrown: the
+// item was still used, the quest still turned in.
+async function runStoredScript(db, charId, key, params = {}) {
+    if (!key) return null;
+    try {
+        return await withPlayerState(db, charId, ({ socket, player, state }) =>
+            executeActions({ actions: [{ type: 'CALL_SCRIPT', script: key, params }], socket, player, state, db }));
+    } catch (e) {
+        console.error(`Stored script ${key} failed:`, e);
+        return null;
+    }
+}
+
+// =================================================================
+// STORED SCRIPTS — game_scripts, loaded once and kept in RAM
+// =================================================================
+// One row per reusable script, edited in AdminSauce (type `script`):
+//   script_key    'fountain_heal'                       (primary key)
+//   params_json   { "amount": 50, "who": "The fountain" } defaults
+//   actions_json  [ { "type": "DIALOGUE", "speaker": "$who",
+//                     "text": "You feel {param:amount} HP better." },
+//                   { "type": "HEAL", "hp": "$amount" } ]
+// { type: "CALL_SCRIPT", script: "fountain_heal", params: { amount: 80 } }
+// fills the parameters in before it runs: a value that is exactly "$name"
+// becomes the parameter itself (number, list, whatever it is), and
+// "{param:name}" inside longer text is swapped for it.
+const SCRIPT_TABLES = ['game_scripts', 'scripts'];
+let scriptsLoaded = null; // Promise<Map key -> { params, actions }>
+
+async function fetchScripts(db) {
+    for (const tbl of SCRIPT_TABLES) {
+        try {
+            const [rows] = await db.query(`SELECT * FROM \`${tbl}\``);
+            return new Map(rows.map(r => [String(r.script_key), {
+                params: jsonField(r.params_json, {}),
+                actions: jsonField(r.actions_json, [])
+            }]));
+        } catch (e) {
+            if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) continue;
+            throw e;
+        }
+    }
+    return new Map();
+}
+
+// Concurrent first lookups share one query; a failed load isn't kept
+async function loadScript(db, key) {
+    if (!scriptsLoaded) {
+        const p = fetchScripts(db);
+        scriptsLoaded = p;
+        p.catch(() => { if (scriptsLoaded === p) scriptsLoaded = null; });
+    }
+    return (await scriptsLoaded).get(String(key)) || null;
+}
+
+// Forget the cached scripts (routes/admin.js, after a save/delete).
+// A table name that isn't a script table is ignored; none = always forget.
+function invalidateScripts(table = null) {
+    if (!table || SCRIPT_TABLES.includes(table)) scriptsLoaded = null;
+}
+
+// mysql2 hands JSON columns back parsed, TEXT columns as strings
+function jsonField(v, fallback) {
+    if (v === null || v === undefined || v === '') return fallback;
+    return typeof v === 'string' ? safeJsonParse(v, fallback) : v;
+}
+
+function bindParams(value, params) {
+    const has = key => Object.prototype.hasOwnProperty.call(params, key);
+    if (typeof value === 'string') {
+        const whole = /^\$(\w+)$/.exec(value);
+        if (whole && has(whole[1])) return params[whole[1]];
+        return value.replace(/\{param:(\w+)\}/gi, (m, key) => has(key) ? String(params[key]) : m);
+    }
+    if (Array.isArray(value)) return value.map(v => bindParams(v, params));
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = bindParams(v, params);
+        return out;
+    }
+    return value;
+}
+
+async function runScript({ stack, socket, player, state, db }) {
+    // The response queue — messages to send to the client in order.
+    // Mutable state copy — actions can modify flags during execution.
+    const ctx = { stack, player, db, state: { ...state }, responses: [] };
+
+    let halted = null;
+    while (stack.length && !halted) {
+        const frame = stack[stack.length - 1];
+        if (!Array.isArray(frame.actions) || frame.i >= frame.actions.length) { stack.pop(); continue; }
+        halted = await runAction(frame.actions[frame.i++], ctx);
+        if (halted === 'BATTLE') halted = await beginBattle(ctx, socket);
+    }
+
+    // Send all queued responses to the client
+    if (ctx.responses.length > 0) {
+        socket.emit('event_queue', ctx.responses);
+    }
+
+    // Return the modified state so the caller can save it
+    return halted
+        ? { state: ctx.state, halted: true, reason: halted }
+        : { state: ctx.state, halted: false };
+}
+
+// The BATTLE action parked the script; start the fight. Whatever was
+// queued before it goes out first so the lines play in order.
+// -> 'BATTLE' to stay paused, or null to carry on (no fight started)
+async function beginBattle(ctx, socket) {
+    const pending = ctx.state[PENDING_KEY];
+    if (ctx.responses.length > 0) {
+        socket.emit('event_queue', ctx.responses);
+        ctx.responses = [];
+    }
+    const battleId = battleStarter ? await battleStarter(socket, ctx.player, pending.battle) : null;
+    if (!battleId) {
+        console.warn('⚠️ BATTLE action could not start a fight:', pending.battle);
+        delete ctx.state[PENDING_KEY];
+        return null;
+    }
+    delete pending.battle;
+    pending.battleId = battleId;
+    return 'BATTLE';
+}
+
+// Runs one action. Returns a reason string ('CHOICE', 'BATTLE') to pause the script.
+async function runAction(action, ctx) {
+    const { stack, player, db, responses } = ctx;
+    const localState = ctx.state;
+
+    switch (action.type) {
+
+        // ---------------------------------------------------------
+        // DIALOGUE: Show text in the dialogue box
+        // { type: "DIALOGUE", speaker: "Guard", text: "Halt!" }
+        // ---------------------------------------------------------
+        case 'DIALOGUE': {
+            const text = await resolveTemplate(action.text, ctx);
+            responses.push({
+                cmd: 'dialogue',
+                speaker: action.speaker || 'NPC',
+                text: text,
+                portrait: action.portrait || null
+            });
+            break;
+        }
+
+        // ---------------------------------------------------------
+        // CHOICE: Present options to the player
+        // { type: "CHOICE", prompt: "What say?", options: [{label, actions}] }
+        // ---------------------------------------------------------
+        case 'CHOICE': {
+            const options = action.options || [];
+            const labels = [];
+            for (const opt of options) labels.push(await resolveTemplate(opt.label, ctx));
+            const choice = {
+                cmd: 'choice',
+                prompt: await resolveTemplate(action.prompt, ctx),
+                options: options.map((opt, i) => ({
+                    id: i,
+                    label: labels[i]
+                    // NOTE: The nested actions are NOT sent to client.
+                    // Client sends back the chosen option ID.
+                    // Server then runs the corresponding actions.
+                }))
+            };
+            responses.push(choice);
+            // IMPORTANT: Stop processing here. The stack already points
+            // past this CHOICE, so parking it keeps everything that's
+            // left; 'event_choice' -> resumeChoice() picks it back up.
+            localState[PENDING_KEY] = { choice, options: options.map(opt => opt.actions || []), stack };
+            return 'CHOICE';
+        }
+
+        // ---------------------------------------------------------
+        // SET_FLAG: Store a value in the player's state_json
+        // { type: "SET_FLAG", key: "talked_to_guard", value: true }
+        // { type: "SET_FLAG", key: "gold_reward", expr: "LVL*25 + flag:streak*5" }
+        // { type: "SET_FLAG", key: "title", value: "{player.name} the Bold", varType: "string" }
+        // varType: number (value is an expression) | string (a template)
+        //          | bool | list ("a, b" or JSON). No varType = stored as-is.
+        // ---------------------------------------------------------
+        case 'SET_FLAG': {
+            localState[action.key] = await flagValue(action, ctx);
+            break;
+        }
+
+        // ---------------------------------------------------------
+        // INC_FLAG: Increment a numeric flag (amount can be an expression)
+        // { type: "INC_FLAG", key: "kill_count", amount: 1 }
+        // ---------------------------------------------------------
+        case 'INC_FLAG': {
+            const current = Number(localState[action.key]) || 0;
+            const amount = action.amount === undefined || action.amount === '' ? 1 : await scriptNumber(action.amount, ctx);
+            localState[action.key] = current + amount;
+            break;
+        }
+
+        // ---------------------------------------------------------
+        // LIST_ADD / LIST_REMOVE: Keep a list flag (places seen, NPCs met...)
+        // { type: "LIST_ADD", key: "visited", value: "cave" }   (added once)
+        // Check it with { type: "FLAG", key: "visited", op: "has", value: "cave" }
+        // ---------------------------------------------------------
+        case 'LIST_ADD':
+        case 'LIST_REMOVE': {
+            const list = toList(localState[action.key]);
+            const value = typeof action.value === 'string' ? await resolveTemplate(action.value, ctx) : action.value;
+            if (action.type === 'LIST_REMOVE') localState[action.key] = list.filter(v => v != value);
+            else localState[action.key] = list.some(v => v == value) ? list : [...list, value];
+            break;
+        }
+
+        // ---------------------------------------------------------
+        // TELEPORT: Move player to a new location
+        // { type: "TELEPORT", mapId: 2, x: 10, y: 10 }
+        // ---------------------------------------------------------
+        case 'TELEPORT': {
+            responses.push({
+                cmd: 'teleport',
+                mapId: action.mapId,
+                x: action.x || 10,
+                y: action.y || 10
+            });
+            break;
+        }
+
+        // ---------------------------------------------------------
+        // GIVE_ITEM: Add item to player's inventory
+        // { type: "GIVE_ITEM", itemId: 3, quantity: 1 }
+        // ---------------------------------------------------------
+        case 'GIVE_ITEM': {
+            if (db && player.charId) {
+                const qty = action.quantity || 1;
+                const [existing] = await db.query(
+                    "SELECT * FROM character_items WHERE character_id=? AND item_id=?",
+                    [player.charId, action.itemId]
+                );
+                if (existing.length) {
+                    await db.query("UPDATE character_items SET quantity=quantity+? WHERE id=?",
+                        [qty, existing[0].id]);
+                } else {
+                    await db.query("INSERT INTO character_items(character_id,item_id,quantity)VALUES(?,?,?)",
+                        [player.charId, action.itemId, qty]);
                 }
-                break;
+                // Look up item name for the client message
+                const [itemRow] = await db.query("SELECT name,icon FROM game_items WHERE id=?", [action.itemId]);
+                const iName = itemRow.length ? itemRow[0].name : 'Unknown Item';
+                const iIcon = itemRow.length ? itemRow[0].icon : '📦';
+                responses.push({ cmd: 'notification', text: `${iIcon} Received ${qty}x ${iName}!`, type: 'item' });
             }
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // TAKE_ITEM: Remove item from inventory
-            // { type: "TAKE_ITEM", itemId: 3, quantity: 1 }
-            // ---------------------------------------------------------
-            case 'TAKE_ITEM': {
-                if (db && player.charId) {
-                    const qty = action.quantity || 1;
-                    const [inv] = await db.query(
-                        "SELECT * FROM character_items WHERE character_id=? AND item_id=?",
-                        [player.charId, action.itemId]
-                    );
-                    if (inv.length) {
-                        if (inv[0].quantity > qty) {
-                            await db.query("UPDATE character_items SET quantity=quantity-? WHERE id=?", [qty, inv[0].id]);
-                        } else {
-                            await db.query("DELETE FROM character_items WHERE id=?", [inv[0].id]);
-                        }
+        // ---------------------------------------------------------
+        // TAKE_ITEM: Remove item from inventory
+        // { type: "TAKE_ITEM", itemId: 3, quantity: 1 }
+        // ---------------------------------------------------------
+        case 'TAKE_ITEM': {
+            if (db && player.charId) {
+                const qty = action.quantity || 1;
+                const [inv] = await db.query(
+                    "SELECT * FROM character_items WHERE character_id=? AND item_id=?",
+                    [player.charId, action.itemId]
+                );
+                if (inv.length) {
+                    if (inv[0].quantity > qty) {
+                        await db.query("UPDATE character_items SET quantity=quantity-? WHERE id=?", [qty, inv[0].id]);
+                    } else {
+                        await db.query("DELETE FROM character_items WHERE id=?", [inv[0].id]);
                     }
                 }
-                break;
             }
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // GIVE_GOLD: Add currency to player's user account
-            // { type: "GIVE_GOLD", amount: 100 }
-            // ---------------------------------------------------------
-            case 'GIVE_GOLD': {
-                if (db && player.userId) {
-                    await db.query("UPDATE users SET currency=currency+? WHERE id=?", [action.amount || 0, player.userId]);
-                    responses.push({ cmd: 'notification', text: `💰 +${action.amount}g!`, type: 'gold' });
-                }
-                break;
+        // ---------------------------------------------------------
+        // GIVE_GOLD: Add currency to player's user account
+        // { type: "GIVE_GOLD", amount: 100 }
+        // ---------------------------------------------------------
+        case 'GIVE_GOLD': {
+            if (db && player.userId) {
+                await db.query("UPDATE users SET currency=currency+? WHERE id=?", [action.amount || 0, player.userId]);
+                responses.push({ cmd: 'notification', text: `💰 +${action.amount}g!`, type: 'gold' });
             }
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // GIVE_XP: Add experience (and auto-level if applicable)
-            // { type: "GIVE_XP", amount: 50 }
-            // ---------------------------------------------------------
-            case 'GIVE_XP': {
-                if (db && player.charId) {
-                    await db.query("UPDATE characters SET experience=experience+? WHERE id=?",
-                        [action.amount || 0, player.charId]);
-                    responses.push({ cmd: 'notification', text: `⭐ +${action.amount} XP!`, type: 'xp' });
-                    // TODO: Check level-up threshold from game_levels table
-                }
-                break;
+        // ---------------------------------------------------------
+        // GIVE_XP: Add experience (and auto-level if applicable)
+        // { type: "GIVE_XP", amount: 50 }
+        // ---------------------------------------------------------
+        case 'GIVE_XP': {
+            if (db && player.charId) {
+                await db.query("UPDATE characters SET experience=experience+? WHERE id=?",
+                    [action.amount || 0, player.charId]);
+                responses.push({ cmd: 'notification', text: `⭐ +${action.amount} XP!`, type: 'xp' });
+                // TODO: Check level-up threshold from game_levels table
             }
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // HEAL: Restore HP/MP
-            // { type: "HEAL", hp: "50", mp: "20" }  (can be formulas)
-            // ---------------------------------------------------------
-            case 'HEAL': {
-                if (db && player.charId) {
-                    const [charRow] = await db.query("SELECT * FROM characters WHERE id=?", [player.charId]);
-                    if (charRow.length) {
-                        const c = charRow[0];
-                        const vars = { ATK: c.atk, DEF: c.def, MO: c.mo, MD: c.md, MAXHP: c.max_hp, MAXMP: c.max_mp, LVL: c.level };
-                        const hpHeal = action.hp ? safeEval(String(action.hp), vars) : 0;
-                        const mpHeal = action.mp ? safeEval(String(action.mp), vars) : 0;
-                        const newHp = Math.min(c.max_hp, c.current_hp + Math.floor(hpHeal));
-                        const newMp = Math.min(c.max_mp, (c.current_mp || 0) + Math.floor(mpHeal));
-                        await db.query("UPDATE characters SET current_hp=?, current_mp=? WHERE id=?", [newHp, newMp, player.charId]);
-                        if (hpHeal) responses.push({ cmd: 'notification', text: `💚 +${Math.floor(hpHeal)} HP!`, type: 'heal' });
-                        if (mpHeal) responses.push({ cmd: 'notification', text: `💙 +${Math.floor(mpHeal)} MP!`, type: 'heal' });
-                    }
+        // ---------------------------------------------------------
+        // HEAL: Restore HP/MP
+        // { type: "HEAL", hp: "50", mp: "20" }  (can be formulas)
+        // ---------------------------------------------------------
+        case 'HEAL': {
+            if (db && player.charId) {
+                const [charRow] = await db.query("SELECT * FROM characters WHERE id=?", [player.charId]);
+                if (charRow.length) {
+                    const c = charRow[0];
+                    const vars = statVars(c);
+                    const hpHeal = action.hp ? evalExpression(String(action.hp), vars, localState) : 0;
+                    const mpHeal = action.mp ? evalExpression(String(action.mp), vars, localState) : 0;
+                    const newHp = Math.min(c.max_hp, c.current_hp + Math.floor(hpHeal));
+                    const newMp = Math.min(c.max_mp, (c.current_mp || 0) + Math.floor(mpHeal));
+                    await db.query("UPDATE characters SET current_hp=?, current_mp=? WHERE id=?", [newHp, newMp, player.charId]);
+                    if (hpHeal) responses.push({ cmd: 'notification', text: `💚 +${Math.floor(hpHeal)} HP!`, type: 'heal' });
+                    if (mpHeal) responses.push({ cmd: 'notification', text: `💙 +${Math.floor(mpHeal)} MP!`, type: 'heal' });
                 }
-                break;
             }
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // DAMAGE: Deal damage to the player
-            // { type: "DAMAGE", hp: "20+LVL*2" }
-            // ---------------------------------------------------------
-            case 'DAMAGE': {
-                if (db && player.charId) {
-                    const [charRow] = await db.query("SELECT * FROM characters WHERE id=?", [player.charId]);
-                    if (charRow.length) {
-                        const c = charRow[0];
-                        const vars = { ATK: c.atk, DEF: c.def, MO: c.mo, MD: c.md, MAXHP: c.max_hp, LVL: c.level };
-                        const dmg = Math.floor(safeEval(String(action.hp || action.amount || '0'), vars));
-                        const newHp = Math.max(0, c.current_hp - dmg);
-                        await db.query("UPDATE characters SET current_hp=? WHERE id=?", [newHp, player.charId]);
-                        responses.push({ cmd: 'notification', text: `💥 -${dmg} HP!`, type: 'damage' });
-                    }
+        // ---------------------------------------------------------
+        // DAMAGE: Deal damage to the player
+        // { type: "DAMAGE", hp: "20+LVL*2" }
+        // ---------------------------------------------------------
+        case 'DAMAGE': {
+            if (db && player.charId) {
+                const [charRow] = await db.query("SELECT * FROM characters WHERE id=?", [player.charId]);
+                if (charRow.length) {
+                    const c = charRow[0];
+                    const vars = statVars(c);
+                    const dmg = Math.floor(evalExpression(String(action.hp || action.amount || '0'), vars, localState));
+                    const newHp = Math.max(0, c.current_hp - dmg);
+                    await db.query("UPDATE characters SET current_hp=? WHERE id=?", [newHp, player.charId]);
+                    responses.push({ cmd: 'notification', text: `💥 -${dmg} HP!`, type: 'damage' });
                 }
-                break;
             }
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // OFFER_QUEST: Show the player a quest accept/decline popup
-            // { type: "OFFER_QUEST", questId: 5 }
-            // Teaching: Unlike QUEST_START (which silently begins a quest),
-            // OFFER_QUEST sends an offer_quest command to the client which
-            // displays a styled popup with title, description, and rewards.
-            // The player chooses to accept or decline. On accept, the client
-            // calls /api/quests/accept. This models NPC quest givers.
-            // ---------------------------------------------------------
-            case 'OFFER_QUEST': {
-                if (db) {
-                    const [qr] = await db.query('SELECT * FROM game_quests WHERE id=?', [action.questId]);
-                    if (qr.length) {
-                        const q = qr[0];
-                        let rewardStr = '';
-                        try {
-                            const rw = JSON.parse(q.rewards_json || '{}');
-                            const parts = [];
-                            if (rw.xp)   parts.push(`${rw.xp} XP`);
-                            if (rw.gold) parts.push(`${rw.gold} Gold`);
-                            rewardStr = parts.join(', ');
-                        } catch {}
-                        responses.push({
-                            cmd: 'offer_quest',
-                            questId:    q.id,
-                            questTitle: q.name || q.title,
-                            questDesc:  q.description || q.objective,
-                            rewards:    rewardStr,
-                        });
-                    }
+        // ---------------------------------------------------------
+        // OFFER_QUEST: Show the player a quest accept/decline popup
+        // { type: "OFFER_QUEST", questId: 5 }
+        // Teaching: Unlike QUEST_START (which silently begins a quest),
+        // OFFER_QUEST sends an offer_quest command to the client which
+        // displays a styled popup with title, description, and rewards.
+        // The player chooses to accept or decline. On accept, the client
+        // calls /api/quests/accept. This models NPC quest givers.
+        // ---------------------------------------------------------
+        case 'OFFER_QUEST': {
+            if (db) {
+                const [qr] = await db.query('SELECT * FROM game_quests WHERE id=?', [action.questId]);
+                if (qr.length) {
+                    const q = qr[0];
+                    let rewardStr = '';
+                    try {
+                        const rw = JSON.parse(q.rewards_json || '{}');
+                        const parts = [];
+                        if (rw.xp)   parts.push(`${rw.xp} XP`);
+                        if (rw.gold) parts.push(`${rw.gold} Gold`);
+                        rewardStr = parts.join(', ');
+                    } catch {}
+                    responses.push({
+                        cmd: 'offer_quest',
+                        questId:    q.id,
+                        questTitle: q.name || q.title,
+                        questDesc:  q.description || q.objective,
+                        rewards:    rewardStr,
+                    });
                 }
-                break;
             }
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // QUEST_START: Begin tracking a quest
-            // { type: "QUEST_START", questId: 1 }
-            // ---------------------------------------------------------
-            case 'QUEST_START': {
-                if (!localState.quests) localState.quests = {};
-                localState.quests[action.questId] = { step: 0, started: Date.now() };
-                if (db) {
-                    const [qr] = await db.query("SELECT name FROM game_quests WHERE id=?", [action.questId]);
-                    const qn = qr.length ? qr[0].name : 'Unknown Quest';
-                    responses.push({ cmd: 'notification', text: `📜 Quest Started: ${qn}`, type: 'quest' });
-                }
-                break;
+        // ---------------------------------------------------------
+        // QUEST_START: Begin tracking a quest
+        // { type: "QUEST_START", questId: 1 }
+        // ---------------------------------------------------------
+        case 'QUEST_START': {
+            if (!localState.quests) localState.quests = {};
+            localState.quests[action.questId] = { step: 0, started: Date.now() };
+            if (db) {
+                const [qr] = await db.query("SELECT name FROM game_quests WHERE id=?", [action.questId]);
+                const qn = qr.length ? qr[0].name : 'Unknown Quest';
+                responses.push({ cmd: 'notification', text: `📜 Quest Started: ${qn}`, type: 'quest' });
             }
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // QUEST_ADVANCE: Move quest to next step
-            // { type: "QUEST_ADVANCE", questId: 1 }
-            // ---------------------------------------------------------
-            case 'QUEST_ADVANCE': {
-                if (!localState.quests) localState.quests = {};
-                const q = localState.quests[action.questId];
-                if (q) {
-                    q.step = (q.step || 0) + 1;
-                    responses.push({ cmd: 'notification', text: '📜 Quest Updated!', type: 'quest' });
-                }
-                break;
+        // ---------------------------------------------------------
+        // QUEST_ADVANCE: Move quest to next step
+        // { type: "QUEST_ADVANCE", questId: 1 }
+        // ---------------------------------------------------------
+        case 'QUEST_ADVANCE': {
+            if (!localState.quests) localState.quests = {};
+            const q = localState.quests[action.questId];
+            if (q) {
+                q.step = (q.step || 0) + 1;
+                responses.push({ cmd: 'notification', text: '📜 Quest Updated!', type: 'quest' });
             }
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // QUEST_COMPLETE: Finish a quest and give rewards
-            // { type: "QUEST_COMPLETE", questId: 1 }
-            // ---------------------------------------------------------
-            case 'QUEST_COMPLETE': {
-                if (!localState.quests) localState.quests = {};
-                if (db) {
-                    const [qr] = await db.query("SELECT * FROM game_quests WHERE id=?", [action.questId]);
-                    if (qr.length) {
-                        const quest = qr[0];
-                        const rewards = safeJsonParse(quest.rewards_json, {});
-                        // Give rewards
-                        if (rewards.xp) await executeActions({ actions: [{ type: 'GIVE_XP', amount: rewards.xp }], socket, player, state: localState, db });
-                        if (rewards.gold) await executeActions({ actions: [{ type: 'GIVE_GOLD', amount: rewards.gold }], socket, player, state: localState, db });
-                        if (rewards.items) {
-                            for (const ri of rewards.items) {
-                                await executeActions({ actions: [{ type: 'GIVE_ITEM', itemId: ri.id, quantity: ri.qty || 1 }], socket, player, state: localState, db });
-                            }
-                        }
-                        localState.quests[action.questId] = { step: -1, completed: Date.now() };
-                        responses.push({ cmd: 'notification', text: `🏆 Quest Complete: ${quest.name}!`, type: 'quest_complete' });
+        // ---------------------------------------------------------
+        // QUEST_COMPLETE: Finish a quest and give rewards
+        // { type: "QUEST_COMPLETE", questId: 1 }
+        // ---------------------------------------------------------
+        case 'QUEST_COMPLETE': {
+            if (!localState.quests) localState.quests = {};
+            if (db) {
+                const [qr] = await db.query("SELECT * FROM game_quests WHERE id=?", [action.questId]);
+                if (qr.length) {
+                    const quest = qr[0];
+                    const rewards = safeJsonParse(quest.rewards_json, {});
+                    localState.quests[action.questId] = { step: -1, completed: Date.now() };
+                    responses.push({ cmd: 'notification', text: `🏆 Quest Complete: ${quest.name}!`, type: 'quest_complete' });
+                    // Give rewards — run next, as their own little action list
+                    const rewardActions = [];
+                    if (rewards.xp) rewardActions.push({ type: 'GIVE_XP', amount: rewards.xp });
+                    if (rewards.gold) rewardActions.push({ type: 'GIVE_GOLD', amount: rewards.gold });
+                    for (const ri of rewards.items || []) {
+                        rewardActions.push({ type: 'GIVE_ITEM', itemId: ri.id, quantity: ri.qty || 1 });
                     }
+                    if (rewardActions.length) stack.push({ actions: rewardActions, i: 0 });
                 }
-                break;
             }
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // BATTLE: Start a battle (PvE or PvP)
-            // { type: "BATTLE", enemyId: 5 }  (future: triggers battle engine)
-            // ---------------------------------------------------------
-            case 'BATTLE': {
-                responses.push({ cmd: 'start_battle', enemyId: action.enemyId });
-                // TODO: Hook into the battle engine when built
-                break;
-            }
+        // ---------------------------------------------------------
+        // BATTLE: Start a PvE fight and wait for it to end
+        // { type: "BATTLE", enemyId: 5 }                        NPC, like random encounters
+        // { type: "BATTLE", monsterId: 3, level: 8, count: 2 }  fresh monsters
+        //   + optional onWin / onLose / onFlee: [...actions]
+        // The player's party on the same map joins in. Once the fight
+        // is over the matching branch runs, then the rest of the script.
+        // If no fight can start (already in one, bad enemy) it's skipped.
+        // ---------------------------------------------------------
+        case 'BATTLE': {
+            localState[PENDING_KEY] = {
+                battle: { enemyId: action.enemyId, monsterId: action.monsterId, level: action.level, count: action.count },
+                outcome: null,
+                branches: { WIN: action.onWin || [], LOSE: action.onLose || [], FLEE: action.onFlee || [] },
+                stack
+            };
+            return 'BATTLE';
+        }
 
-            // ---------------------------------------------------------
-            // SOUND: Play a sound effect
-            // { type: "SOUND", file: "chest_open.mp3" }
-            // ---------------------------------------------------------
-            case 'SOUND': {
-                responses.push({ cmd: 'sound', file: action.file });
-                break;
-            }
+        // ---------------------------------------------------------
+        // SOUND: Play a sound effect
+        // { type: "SOUND", file: "chest_open.mp3" }
+        // ---------------------------------------------------------
+        case 'SOUND': {
+            responses.push({ cmd: 'sound', file: action.file });
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // SCREEN_EFFECT: Flash, fade, shake
-            // { type: "SCREEN_EFFECT", effect: "shake", duration: 500 }
-            // ---------------------------------------------------------
-            case 'SCREEN_EFFECT': {
-                responses.push({ cmd: 'screen_effect', effect: action.effect, duration: action.duration || 500 });
-                break;
-            }
+        // ---------------------------------------------------------
+        // SCREEN_EFFECT: Flash, fade, shake
+        // { type: "SCREEN_EFFECT", effect: "shake", duration: 500 }
+        // ---------------------------------------------------------
+        case 'SCREEN_EFFECT': {
+            responses.push({ cmd: 'screen_effect', effect: action.effect, duration: action.duration || 500 });
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // NPC_TALK: Trigger the LLM/rule-based NPC brain
-            // { type: "NPC_TALK", npcName: "Guard" }
-            // Falls through to existing npc_brain.js system
-            // ---------------------------------------------------------
-            case 'NPC_TALK': {
-                responses.push({ cmd: 'npc_talk_prompt', npcName: action.npcName });
-                break;
-            }
+        // ---------------------------------------------------------
+        // NPC_TALK: Trigger the LLM/rule-based NPC brain
+        // { type: "NPC_TALK", npcName: "Guard" }
+        // Falls through to existing npc_brain.js system
+        // ---------------------------------------------------------
+        case 'NPC_TALK': {
+            responses.push({ cmd: 'npc_talk_prompt', npcName: action.npcName });
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // SHOP: Open a shop interface
-            // { type: "SHOP", shopId: 1 }
-            // ---------------------------------------------------------
-            case 'SHOP': {
-                responses.push({ cmd: 'open_shop', shopId: action.shopId });
-                break;
-            }
+        // ---------------------------------------------------------
+        // SHOP: Open a shop interface
+        // { type: "SHOP", shopId: 1 }
+        // ---------------------------------------------------------
+        case 'SHOP': {
+            responses.push({ cmd: 'open_shop', shopId: action.shopId });
+            break;
+        }
 
-            // ---------------------------------------------------------
-            // CONDITIONAL: Run actions only if conditions met
-            // { type: "IF", conditions: [...], then: [...], else: [...] }
-            // ---------------------------------------------------------
-            case 'IF': {
-                const context = { level: player.level, classId: player.classId, inventory: player.inventory || [] };
-                const pass = checkConditions(action.conditions, localState, context);
-                const branch = pass ? action.then : (action.else || []);
-                if (branch && branch.length) {
-                    const sub = await executeActions({ actions: branch, socket, player, state: localState, db });
-                    if (sub) Object.assign(localState, sub.state);
-                    if (sub && sub.halted) {
-                        // Choice is pending in a branch — bubble up
-                        socket.emit('event_queue', responses);
-                        return { state: localState, halted: true, reason: sub.reason };
-                    }
-                }
+        // ---------------------------------------------------------
+        // CALL_SCRIPT: Run a stored script (game_scripts), then carry on
+        // { type: "CALL_SCRIPT", script: "fountain_heal", params: { amount: 80 } }
+        // ---------------------------------------------------------
+        case 'CALL_SCRIPT': {
+            const depth = stack.filter(f => f.script).length;
+            if (depth >= MAX_SCRIPT_DEPTH) {
+                console.warn(`⚠️ CALL_SCRIPT ${action.script}: over ${MAX_SCRIPT_DEPTH} scripts deep, skipped`);
                 break;
             }
-
-            // ---------------------------------------------------------
-            // WAIT: Pause between actions (client-side delay)
-            // { type: "WAIT", ms: 1000 }
-            // ---------------------------------------------------------
-            case 'WAIT': {
-                responses.push({ cmd: 'wait', ms: action.ms || 1000 });
+            const script = db ? await loadScript(db, action.script) : null;
+            if (!script) {
+                console.warn('⚠️ CALL_SCRIPT: no such script:', action.script);
                 break;
             }
+            const params = { ...script.params, ...(action.params || {}) };
+            const actions = bindParams(script.actions, params);
+            if (Array.isArray(actions) && actions.length) stack.push({ actions, i: 0, script: String(action.script) });
+            break;
+        }
 
-            default:
-                console.warn('⚠️ Unknown action type:', action.type);
+        // ---------------------------------------------------------
+        // CONDITIONAL: Run actions only if conditions met
+        // { type: "IF", conditions: [...], then: [...], else: [...] }
+        // ---------------------------------------------------------
+        case 'IF': {
+            const context = await loadConditionContext(db, player, action.conditions);
+            const pass = checkConditions(action.conditions, localState, context);
+            const branch = pass ? action.then : (action.else || []);
+            // The branch runs next; the rest of this list waits underneath
+            if (Array.isArray(branch) && branch.length) stack.push({ actions: branch, i: 0 });
+            break;
         }
-    }
 
-    // Send all queued responses to the client
-    if (responses.length > 0) {
-        socket.emit('event_queue', responses);
-    }
+        // ---------------------------------------------------------
+        // WAIT: Pause between actions (client-side delay)
+        // { type: "WAIT", ms: 1000 }
+        // ---------------------------------------------------------
+        case 'WAIT': {
+            responses.push({ cmd: 'wait', ms: action.ms || 1000 });
+            break;
+        }
 
-    // Return the modified state so the caller can save it
-    return { state: localState, halted: false };
+        default:
+            console.warn('⚠️ Unknown action type:', action.type);
+    }
 }
 
 // --- TEMPLATE RESOLVER ---
 // Replaces {player.name}, {flag:kill_count} etc in dialogue text.
-function resolveTemplate(text, { player, state }) {
-    if (!text) return '';
-    return text
-        .replace(/\{player\.name\}/gi, player.name || 'Traveler')
-        .replace(/\{player\.level\}/gi, player.level || 1)
-        .replace(/\{flag:(\w+)\}/gi, (_, key) => state[key] !== undefined ? state[key] : '???');
+// --- TEMPLATES ---
+// Text fields can pull in live values:
+//   {player.name}  {player.level}  {player.gold}  {player.atk} ...any stat
+//   {flag:streak}                  a flag (lists print as "a, b, c")
+//   {item:3.name}  {item:3.count}  any game_items field, or how many you hold
+//   {quest:wolf_hunt.title}        any quest_definitions field, or .status
+//   {expr:LVL*25 + flag:streak*5}  an expression, worked out now
+// Anything it can't find shows as ???.
+const TEMPLATE_RE = /\{(player\.|flag:|item:|quest:|expr:)([^{}]*)\}/gi;
+
+async function resolveTemplate(text, ctx) {
+    if (text === undefined || text === null || text === '') return '';
+    const source = String(text);
+    const tokens = [...source.matchAll(TEMPLATE_RE)];
+    if (!tokens.length) return source;
+
+    let vars = null; // the character row, loaded once if a token needs it
+    const stats = async () => vars || (vars = await loadPlayerVars(ctx.db, ctx.player));
+    const values = new Map();
+    for (const [token, kind, ref] of tokens) {
+        if (!values.has(token)) values.set(token, formatValue(await templateValue(kind.toLowerCase(), ref.trim(), ctx, stats)));
+    }
+    return source.replace(TEMPLATE_RE, token => values.get(token));
+}
+
+async function templateValue(kind, ref, { player, db, state }, stats) {
+    if (kind === 'flag:') return state[ref];
+    if (kind === 'expr:') return evalExpression(ref, usesStats(ref) ? await stats() : {}, state);
+    if (kind === 'player.') {
+        const field = ref.toLowerCase();
+        if (field === 'name') return player.name || 'Traveler';
+        const v = (await stats())[field.toUpperCase()];
+        return v === undefined && field === 'level' ? (player.level || 1) : v;
+    }
+
+    // item:ID.field / quest:ID.field (field defaults to the name/title)
+    const dot = ref.indexOf('.');
+    const id = dot < 0 ? ref : ref.slice(0, dot);
+    const field = dot < 0 ? '' : ref.slice(dot + 1);
+    if (kind === 'quest:') {
+        const quests = state.quests || {};
+        if (field === 'status') {
+            return (quests.active || {})[id] ? 'active' : (quests.completed || {})[id] ? 'completed' : 'not started';
+        }
+        if (!db) return undefined;
+        const [q] = await optionalRows(db, "SELECT * FROM quest_definitions WHERE quest_id=?", [id]);
+        return q ? q[field || 'title'] : undefined;
+    }
+    if (!db) return undefined;
+    if (field === 'count') {
+        if (!player.charId) return 0;
+        const [row] = await optionalRows(db, "SELECT quantity FROM character_items WHERE character_id=? AND item_id=?", [player.charId, id]);
+        return row ? row.quantity : 0;
+    }
+    const [item] = await optionalRows(db, "SELECT * FROM game_items WHERE id=?", [id]);
+    return item ? item[field || 'name'] : undefined;
+}
+
+function formatValue(v) {
+    if (v === undefined || v === null) return '???';
+    if (Array.isArray(v)) return v.join(', ');
+    if (typeof v === 'number' && !Number.isInteger(v)) return String(Math.round(v * 100) / 100);
+    return String(v);
+}
+
+// --- TYPED FLAGS ---
+// An expression -> number. Only loads the character row if stats are used.
+async function scriptNumber(expr, ctx) {
+    const vars = usesStats(expr) ? await loadPlayerVars(ctx.db, ctx.player) : {};
+    return evalExpression(expr, vars, ctx.state);
+}
+
+async function flagValue(action, ctx) {
+    if (action.expr !== undefined && action.expr !== '') return scriptNumber(action.expr, ctx);
+    const v = action.value;
+    switch (String(action.varType || '').toLowerCase()) {
+        case 'number': return scriptNumber(v, ctx);
+        case 'string': return resolveTemplate(v, ctx);
+        case 'bool':   return typeof v === 'number' ? v !== 0 : v === true || /^(true|yes|on|1)$/i.test(String(v ?? '').trim());
+        case 'list':   return toList(v);
+        default:       return v; // Untyped: stored exactly as written
+    }
+}
+
+// "a, b" / '["a","b"]' / an array -> a fresh array
+function toList(v) {
+    if (Array.isArray(v)) return [...v];
+    if (v === undefined || v === null || v === '') return [];
+    if (typeof v !== 'string') return [v];
+    const text = v.trim();
+    if (text.startsWith('[')) {
+        const parsed = safeJsonParse(text, null);
+        if (Array.isArray(parsed)) return parsed;
+    }
+    return text.split(',').map(x => x.trim()).filter(Boolean);
 }
 
 function safeJsonParse(str, fallback) {
@@ -593,9 +1151,13 @@ async function handleMapEvent({ triggerType, x, y, mapEvents, socket, player, st
     // --- LEGACY EVENT HANDLING ---
     // If the event has no "actions" array, convert old format to actions
     if (!event.actions) {
-        const legacyActions = convertLegacyEvent(event);
+        // An NPC with a script_key (game_npcs) runs that instead of chatting
+        const npcScript = event.type === 'NPC' && db ? await npcScriptKey(db, event.data) : null;
+        const legacyActions = npcScript
+            ? [{ type: 'CALL_SCRIPT', script: npcScript, params: { npc: event.data } }]
+            : convertLegacyEvent(event);
         if (legacyActions) {
-            const context = { level: player.level, classId: player.classId, inventory: [] };
+            const context = await loadConditionContext(db, player, event.conditions);
             if (checkConditions(event.conditions, state, context)) {
                 return executeActions({ actions: legacyActions, socket, player, state, db });
             }
@@ -604,12 +1166,17 @@ async function handleMapEvent({ triggerType, x, y, mapEvents, socket, player, st
     }
 
     // --- NEW EVENT HANDLING ---
-    const context = { level: player.level, classId: player.classId, inventory: [] };
+    const context = await loadConditionContext(db, player, event.conditions);
     if (!checkConditions(event.conditions, state, context)) return null;
 
     return executeActions({ actions: event.actions, socket, player, state, db });
 }
 
+async function npcScriptKey(db, npcName) {
+    const [rows] = await db.query("SELECT * FROM game_npcs WHERE name=?", [npcName]);
+    return (rows.length && rows[0].script_key) || null;
+}
+
 // --- LEGACY CONVERTER ---
 // Converts old-format events {type: "NPC", data: "Guard"} into action lists.
 // This means your existing maps keep working without changes!
@@ -632,4 +1199,53 @@ function convertLegacyEvent(event) {
     }
 }
 
-module.exports = { executeActions, handleMapEvent, checkConditions, safeEval };
+// =================================================================
+// BATTLE RESUME — Pick up scripts parked on a BATTLE action
+// =================================================================
+function battleOutcome(battle, c, winners) {
+    if (battle.status === 'FLED') return 'FLEE';
+    return winners.includes(c) ? 'WIN' : 'LOSE';
+}
+
+// The outcome is noted on the parked script straight away — in memory,
+// never in state_json, so there is nothing here for a concurrent script
+// run to overwrite. The branch itself runs a moment later, once the
+// fight has fully wrapped up, through resumeAfterBattle() and so under
+// withPlayerState's per-character lock like every other script run.
+async function onBattleEnded({ db, battle, winners }) {
+    if (battle.type !== 'PVE') return;
+    for (const c of Object.values(battle.combatants)) {
+        if (c.isAI || c.monsterId) continue;
+        const charId = Number(c.charId);
+        const pending = parked.get(charId);
+        if (!pending || pending.battleId !== battle.id) continue;
+
+        pending.outcome = battleOutcome(battle, c, winners);
+        resumeWhenFree(db, charId, BATTLE_RESUME_DELAY_MS);
+    }
+}
+
+// withPlayerState skips a character that's busy; a finished fight's
+// branch shouldn't be skipped, so wait for the other script to finish
+const BUSY_RETRY_MS = 500;
+const BUSY_RETRIES = 20;
+
+function resumeWhenFree(db, charId, delay, tries = 0) {
+    setTimeout(() => {
+        if (busy.has(charId) && tries < BUSY_RETRIES) return resumeWhenFree(db, charId, BUSY_RETRY_MS, tries + 1);
+        resumeAfterBattle(db, charId).catch(e => console.error('Event battle resume error:', e));
+    }, delay);
+}
+
+function init(socketServer, onlinePlayers, startBattle) {
+    io = socketServer;
+    players = onlinePlayers || {};
+    battleStarter = startBattle || null;
+    BattleEvents.on('battle_ended', onBattleEnded);
+}
+
+module.exports = {
+    init, executeActions, resumeChoice, resumeAfterBattle, pendingChoice, withPlayerState,
+    runStoredScript, invalidateScripts, handleMapEvent, checkConditions, loadConditionContext,
+    safeEval, evalExpression
+};
@@ -0,0 +1,329 @@
+-- =====================================================================
+-- BATTLE ENGINE (MySQL 8.x SAFE MIGRATION)
+-- =====================================================================
+-- SAFE to run multiple times:
+-- - No DROPs (other than re-creating the helper procedure)
+-- - Uses CREATE TABLE IF NOT EXISTS / INSERT IGNORE
+-- - Adds columns through sp_add_column_if_not_exists
+--
+-- Covers the optional columns/tables the battle engine reads.
+-- Every one of them has a sane default in code, so a missing piece
+-- just means "use the built-in behavior".
+
+SET FOREIGN_KEY_CHECKS=0;
+
+-- -------------------------------------
+-- 0) Safe helper: add a column if missing
+-- -------------------------------------
+-- (Same helper as mysql_quests_progression_SAFE.sql, re-declared so this
+-- file can run on its own.)
+DROP PROCEDURE IF EXISTS sp_add_column_if_not_exists;
+DELIMITER $$
+CREATE PROCEDURE sp_add_column_if_not_exists(
+  IN p_table VARCHAR(128),
+  IN p_column VARCHAR(128),
+  IN p_definition TEXT
+)
+BEGIN
+  DECLARE v_count INT DEFAULT 0;
+
+  SELECT COUNT(*) INTO v_count
+  FROM INFORMATION_SCHEMA.COLUMNS
+  WHERE TABLE_SCHEMA = DATABASE()
+    AND TABLE_NAME = p_table
+    AND COLUMN_NAME = p_column;
+
+  IF v_count = 0 THEN
+    SET @sql = CONCAT('ALTER TABLE `', p_table, '` ADD COLUMN `', p_column, '` ', p_definition);
+    PREPARE stmt FROM @sql;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END$$
+DELIMITER ;
+
+-- -------------------------------------
+-- 1) Turn modes
+-- -------------------------------------
+-- 'CLASSIC' | 'INITIATIVE' | 'ATB'. NULL = use the battle_turn_mode setting.
+CALL sp_add_column_if_not_exists('game_arenas', 'turn_mode', 'VARCHAR(16) NULL');
+
+-- Game-wide default. The engine reads game_settings, then system_settings;
+-- run whichever INSERT matches your install (or add it in AdminSauce → Settings).
+-- INSERT IGNORE INTO game_settings   (setting_key, setting_value) VALUES ('battle_turn_mode', 'CLASSIC');
+-- INSERT IGNORE INTO system_settings (setting_key, setting_value) VALUES ('battle_turn_mode', 'CLASSIC');
+
+-- -------------------------------------
+-- 2) AI behavior profiles
+-- -------------------------------------
+-- rules_json:    prioritized [{ "if": {...}, "do": {...}, "target": "..." }]
+-- fallback_json: weighted    [{ "command": 1, "weight": 80 }, ...]
+-- Full rule/condition reference lives at the top of battle_ai.js.
+CREATE TABLE IF NOT EXISTS game_ai_profiles (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(80) NOT NULL,
+  description TEXT NULL,
+  rules_json JSON NULL,
+  fallback_json JSON NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id)
+) ENGINE=InnoDB;
+
+-- Who uses which profile (NPC beats character beats class)
+CALL sp_add_column_if_not_exists('game_npcs', 'ai_profile_id', 'INT UNSIGNED NULL');
+CALL sp_add_column_if_not_exists('characters', 'ai_profile_id', 'INT UNSIGNED NULL');
+CALL sp_add_column_if_not_exists('game_classes', 'ai_profile_id', 'INT UNSIGNED NULL');
+
+INSERT IGNORE INTO game_ai_profiles (id, name, description, rules_json, fallback_json) VALUES
+(1, 'Brute', 'Hits hard, finishes off the weak, rarely defends.',
+  JSON_ARRAY(
+    JSON_OBJECT('if', JSON_OBJECT('limit_ready', true), 'do', JSON_OBJECT('limit', true), 'target', 'LOWEST_HP_ENEMY'),
+    JSON_OBJECT('if', JSON_OBJECT('target_hp_below', 25), 'do', JSON_OBJECT('command', 1), 'target', 'LOWEST_HP_ENEMY')
+  ),
+  JSON_ARRAY(JSON_OBJECT('command', 1, 'weight', 90), JSON_OBJECT('command', 2, 'weight', 10))),
+(2, 'Healer', 'Keeps itself and allies alive, pokes when everyone is healthy.',
+  JSON_ARRAY(
+    JSON_OBJECT('if', JSON_OBJECT('ally_hp_below', 40), 'do', JSON_OBJECT('skill', 'Heal'), 'target', 'WEAKEST_ALLY'),
+    JSON_OBJECT('if', JSON_OBJECT('self_hp_below', 30), 'do', JSON_OBJECT('skill', 'Heal'), 'target', 'SELF')
+  ),
+  JSON_ARRAY(JSON_OBJECT('command', 1, 'weight', 70), JSON_OBJECT('command', 2, 'weight', 30))),
+(3, 'Poisoner', 'Spreads Poison to anyone without it, then attacks.',
+  JSON_ARRAY(
+    JSON_OBJECT('if', JSON_OBJECT('target_missing_status', 'Poison'), 'do', JSON_OBJECT('skill', 'Poison'))
+  ),
+  JSON_ARRAY(JSON_OBJECT('command', 1, 'weight', 80), JSON_OBJECT('command', 2, 'weight', 20)));
+
+-- -------------------------------------
+-- 3) Replays (seeded RNG + action record)
+-- -------------------------------------
+-- setup_json:   starting stat snapshot of every combatant + turn mode + seed
+-- actions_json: ordered [{ turn, round, charId, targetId, commandId|skillId|itemId|limitId }]
+-- GET /api/battles/:id/replay re-simulates from these two.
+CALL sp_add_column_if_not_exists('game_battles', 'rng_seed', 'INT UNSIGNED NULL');
+CALL sp_add_column_if_not_exists('game_battles', 'setup_json', 'LONGTEXT NULL');
+CALL sp_add_column_if_not_exists('game_battles', 'actions_json', 'LONGTEXT NULL');
+
+-- -------------------------------------
+-- 4) Element affinity (defender side)
+-- -------------------------------------
+-- { "fire": "weak", "ice": "resist", "holy": "immune", "dark": "absorb" }
+-- or numbers ({ "fire": 2 }; negative = absorb that fraction as HP).
+-- Stacks with armor elements (role "defense"/"weak"/...) and status
+-- effects.element_mod, e.g. Wet: { "element_mod": { "lightning": "weak" } }.
+CALL sp_add_column_if_not_exists('game_races', 'element_affinity', 'JSON NULL');
+
+-- -------------------------------------
+-- 5) Accuracy, evasion & reactions
+-- -------------------------------------
+-- NULL acc/eva on a character = engine default (95 / 5).
+CALL sp_add_column_if_not_exists('characters', 'acc', 'INT NULL');
+CALL sp_add_column_if_not_exists('characters', 'eva', 'INT NULL');
+CALL sp_add_column_if_not_exists('game_items', 'bonus_acc', 'INT NOT NULL DEFAULT 0');
+CALL sp_add_column_if_not_exists('game_items', 'bonus_eva', 'INT NOT NULL DEFAULT 0');
+-- Reactive gear, percent chances: { "counter": 20, "reflect": 15, "thorns": 10 }
+-- (statuses use the same keys inside effects)
+CALL sp_add_column_if_not_exists('game_items', 'battle_flags', 'JSON NULL');
+
+-- Hit chance 0-100 (ACC = attacker, EVA = target). Default 'ACC-EVA'.
+-- INSERT IGNORE INTO game_settings   (setting_key, setting_value) VALUES ('battle_hit_formula', 'ACC-EVA');
+-- INSERT IGNORE INTO system_settings (setting_key, setting_value) VALUES ('battle_hit_formula', 'ACC-EVA');
+
+-- -------------------------------------
+-- 6) Skill cooldowns, charges & cast time
+-- -------------------------------------
+-- cooldown  = caster's own turns before reuse (0 = none)
+-- charges   = uses per battle (0 = unlimited)
+-- cast_time = turns spent charging before it fires (a stun cancels it)
+CALL sp_add_column_if_not_exists('game_skills', 'cooldown', 'INT NOT NULL DEFAULT 0');
+CALL sp_add_column_if_not_exists('game_skills', 'charges', 'INT NOT NULL DEFAULT 0');
+CALL sp_add_column_if_not_exists('game_skills', 'cast_time', 'INT NOT NULL DEFAULT 0');
+
+-- -------------------------------------
+-- 7) Battle recovery (restarts, reconnects, AFK)
+-- -------------------------------------
+-- Full BattleState after every turn; ACTIVE rows are restored on boot.
+CALL sp_add_column_if_not_exists('game_battles', 'state_json', 'LONGTEXT NULL');
+
+-- Turn timers (seconds). An idle/dropped player auto-uses battle_afk_command;
+-- battle_afk_forfeit_after auto-turns in a row forfeits the fight.
+-- INSERT IGNORE INTO game_settings (setting_key, setting_value) VALUES
+--   ('battle_turn_timeout', '60'), ('battle_disconnect_timeout', '20'),
+--   ('battle_afk_command', '2'), ('battle_afk_forfeit_after', '3');
+-- (or the same rows in system_settings)
+
+-- -------------------------------------
+-- 8) Loot tables (PvE drops)
+-- -------------------------------------
+-- entries_json: [{ "item_id": 4, "guaranteed": true },
+--                { "item_id": 7, "weight": 50, "min": 1, "max": 3 },
+--                { "item_id": 12, "weight": 2, "rare": true },
+--                { "item_id": null, "weight": 40 }]   <- "nothing"
+-- rolls = weighted picks per kill (guaranteed drops are on top).
+CREATE TABLE IF NOT EXISTS game_loot_tables (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(80) NOT NULL,
+  description TEXT NULL,
+  rolls INT NOT NULL DEFAULT 1,
+  entries_json JSON NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id)
+) ENGINE=InnoDB;
+
+-- Who drops what (NPC beats character)
+CALL sp_add_column_if_not_exists('game_npcs', 'loot_table_id', 'INT UNSIGNED NULL');
+CALL sp_add_column_if_not_exists('characters', 'loot_table_id', 'INT UNSIGNED NULL');
+
+-- Rare weights x (1 + winner luck * scale). Default 0.02.
+-- INSERT IGNORE INTO game_settings (setting_key, setting_value) VALUES ('battle_loot_luck_scale', '0.02');
+
+-- -------------------------------------
+-- 9) Monster templates
+-- -------------------------------------
+-- Stat sheets that spawn fresh, battle-only enemies (nothing is written back).
+-- Stats are for `level`; scaling_json re-derives them for other spawn levels:
+--   { "*": "BASE*(1+0.1*(LVL-MLVL))", "max_hp": "BASE*(1+0.25*(LVL-MLVL))" }
+-- skills_json:   [3, 7] or [{ "skill_id": 3, "mp_cost": 5, "alt_name": "Goblin Punch" }]
+-- elements_json: attack elements, e.g. ["fire"]
+CREATE TABLE IF NOT EXISTS game_monsters (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(80) NOT NULL,
+  icon VARCHAR(16) NULL,
+  description TEXT NULL,
+  level INT NOT NULL DEFAULT 1,
+  max_hp INT NOT NULL DEFAULT 50,
+  max_mp INT NOT NULL DEFAULT 0,
+  atk INT NOT NULL DEFAULT 10,
+  def INT NOT NULL DEFAULT 5,
+  mo INT NOT NULL DEFAULT 5,
+  md INT NOT NULL DEFAULT 5,
+  speed INT NOT NULL DEFAULT 10,
+  luck INT NOT NULL DEFAULT 0,
+  acc INT NULL,
+  eva INT NULL,
+  skills_json JSON NULL,
+  elements_json JSON NULL,
+  element_affinity JSON NULL,
+  set_status JSON NULL,
+  block_status JSON NULL,
+  battle_flags JSON NULL,
+  ai_profile_id INT UNSIGNED NULL,
+  loot_table_id INT UNSIGNED NULL,
+  xp_reward INT NOT NULL DEFAULT 0,
+  gold_reward INT NOT NULL DEFAULT 0,
+  scaling_json JSON NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id)
+) ENGINE=InnoDB;
+
+-- An NPC that "is" a monster: talking to it can start a fight with the template
+CALL sp_add_column_if_not_exists('game_npcs', 'monster_id', 'INT UNSIGNED NULL');
+
+-- Fallback scaling when a template has no scaling_json
+-- INSERT IGNORE INTO game_settings (setting_key, setting_value) VALUES ('monster_scaling_formula', 'BASE*(1+0.1*(LVL-MLVL))');
+
+-- -------------------------------------
+-- 10) Boss phases
+-- -------------------------------------
+-- A monster with phases_json is a boss. Phases fire in order, once each:
+-- [{ "name": "Enraged", "when": { "hp_below": 50 },   (or "turn" / "round")
+--    "say": ["You dare?!"], "ai_profile_id": 1, "set_status": { "Haste": 3 },
+--    "element_affinity": { "fire": "absorb" },
+--    "transform": { "monster_id": 12, "level": 10, "keep_hp": false } }]
+-- Full reference: BOSS PHASES section of battle_engine.js.
+CALL sp_add_column_if_not_exists('game_monsters', 'phases_json', 'JSON NULL');
+
+-- -------------------------------------
+-- 11) Arena ladder (matchmaking, Elo, seasons)
+-- -------------------------------------
+-- QUEUE-type arenas get a matchmaker (arena_ladder.js). Ratings are kept
+-- per season; the newest is_active season is current. No seasons = season 0.
+CREATE TABLE IF NOT EXISTS arena_seasons (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(80) NOT NULL,
+  starts_at DATETIME NULL,
+  ends_at DATETIME NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id)
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS arena_ratings (
+  character_id INT UNSIGNED NOT NULL,
+  season_id INT UNSIGNED NOT NULL DEFAULT 0,
+  rating INT NOT NULL DEFAULT 1000,
+  wins INT NOT NULL DEFAULT 0,
+  losses INT NOT NULL DEFAULT 0,
+  peak INT NOT NULL DEFAULT 1000,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (character_id, season_id),
+  KEY idx_season_rating (season_id, rating)
+) ENGINE=InnoDB;
+
+-- Tuning (defaults shown):
+-- INSERT IGNORE INTO game_settings (setting_key, setting_value) VALUES
+--   ('arena_start_rating', '1000'), ('arena_k_factor', '32'), ('arena_rating_window', '100'),
+--   ('arena_window_growth', '50'), ('arena_level_band', '5');
+
+-- -------------------------------------
+-- 12) Arena tournaments (brackets)
+-- -------------------------------------
+-- Staff create these in AdminSauce; arena_tournaments.js runs them.
+-- format: SINGLE_ELIM | DOUBLE_ELIM | ROUND_ROBIN
+-- status: SIGNUP -> RUNNING -> FINISHED (or CANCELLED)
+-- prizes_json: [{"place":1,"gold":500,"items":[{"item_id":3,"quantity":1}]},{"place":2,"gold":200}]
+-- bracket_json is written by the server once the tournament starts.
+CREATE TABLE IF NOT EXISTS arena_tournaments (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(100) NOT NULL,
+  arena_id INT UNSIGNED NOT NULL,
+  format VARCHAR(20) NOT NULL DEFAULT 'SINGLE_ELIM',
+  signup_opens DATETIME NULL,
+  starts_at DATETIME NOT NULL,
+  min_players INT NOT NULL DEFAULT 2,
+  max_players INT NOT NULL DEFAULT 16,
+  entry_fee INT NOT NULL DEFAULT 0,
+  no_show_seconds INT NOT NULL DEFAULT 120,
+  prizes_json LONGTEXT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'SIGNUP',
+  bracket_json LONGTEXT NULL,
+  winner_char_id INT UNSIGNED NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_status (status, starts_at)
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS arena_tournament_entries (
+  tournament_id INT UNSIGNED NOT NULL,
+  character_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  seed INT NULL,
+  rating INT NULL,
+  placement INT NULL,
+  joined_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (tournament_id, character_id)
+) ENGINE=InnoDB;
+
+-- -------------------------------------
+-- 13) Duel wagers (escrow)
+-- -------------------------------------
+-- One row per accepted duel (duel_wagers.js). stakes_json holds what each
+-- side put up: {"<charId>": {"userId":1,"name":"..","gold":100,"items":[{"id":3,"quantity":1,..}]}}
+-- status: HELD -> PAID (winner took the pot) | REFUNDED (no winner / server restart)
+CREATE TABLE IF NOT EXISTS duel_escrow (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  battle_id INT UNSIGNED NULL,
+  challenger_char_id INT UNSIGNED NOT NULL,
+  target_char_id INT UNSIGNED NOT NULL,
+  stakes_json LONGTEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'HELD',
+  winner_char_id INT UNSIGNED NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  settled_at DATETIME NULL,
+  PRIMARY KEY (id),
+  KEY idx_status (status)
+) ENGINE=InnoDB;
+
+SET FOREIGN_KEY_CHECKS=1;
@@ -0,0 +1,78 @@
+-- =====================================================================
+-- EVENT SCRIPTS (MySQL 8.x SAFE MIGRATION)
+-- =====================================================================
+-- SAFE to run multiple times:
+-- - No DROPs (other than re-creating the helper procedure)
+-- - Uses CREATE TABLE IF NOT EXISTS / INSERT IGNORE
+-- - Adds columns through sp_add_column_if_not_exists
+--
+-- Reusable action lists for event_runner.js. A map event runs one with
+--   { "type": "CALL_SCRIPT", "script": "fountain_heal", "params": { "amount": 80 } }
+-- and NPCs, items and quest templates can point at one by script_key.
+
+SET FOREIGN_KEY_CHECKS=0;
+
+-- -------------------------------------
+-- 0) Safe helper: add a column if missing
+-- -------------------------------------
+-- (Same helper as mysql_quests_progression_SAFE.sql, re-declared so this
+-- file can run on its own.)
+DROP PROCEDURE IF EXISTS sp_add_column_if_not_exists;
+DELIMITER $$
+CREATE PROCEDURE sp_add_column_if_not_exists(
+  IN p_table VARCHAR(128),
+  IN p_column VARCHAR(128),
+  IN p_definition TEXT
+)
+BEGIN
+  DECLARE v_count INT DEFAULT 0;
+
+  SELECT COUNT(*) INTO v_count
+  FROM INFORMATION_SCHEMA.COLUMNS
+  WHERE TABLE_SCHEMA = DATABASE()
+    AND TABLE_NAME = p_table
+    AND COLUMN_NAME = p_column;
+
+  IF v_count = 0 THEN
+    SET @sql = CONCAT('ALTER TABLE `', p_table, '` ADD COLUMN `', p_column, '` ', p_definition);
+    PREPARE stmt FROM @sql;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END$$
+DELIMITER ;
+
+-- -------------------------------------
+-- 1) Stored scripts
+-- -------------------------------------
+-- params_json:  default parameters, e.g. {"amount":50,"who":"The fountain"}
+-- actions_json: the same action list a map event holds. "$amount" (the
+--               whole value) and "{param:amount}" (inside text) are filled
+--               in from params when the script is called.
+CREATE TABLE IF NOT EXISTS game_scripts (
+  script_key VARCHAR(64) NOT NULL,
+  name VARCHAR(120) NOT NULL,
+  description TEXT NULL,
+  params_json JSON NULL,
+  actions_json JSON NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (script_key)
+) ENGINE=InnoDB;
+
+INSERT IGNORE INTO game_scripts (script_key, name, description, params_json, actions_json) VALUES
+('fountain_heal', 'Healing Fountain', 'Restores HP with a line of flavour text.',
+ '{"amount": 50, "who": "The fountain"}',
+ '[{"type":"DIALOGUE","speaker":"$who","text":"Cool water washes over you. (+{param:amount} HP)"},{"type":"HEAL","hp":"$amount"}]');
+
+-- -------------------------------------
+-- 2) Who can run one
+-- -------------------------------------
+-- NPC:   talking to a legacy NPC tile runs it instead of the AI chat ({ npc: name })
+-- Item:  using the item runs it ({ item: id }); non-consumables aren't used up
+-- Quest: turning the quest in runs it ({ quest: quest_id })
+CALL sp_add_column_if_not_exists('game_npcs', 'script_key', 'VARCHAR(64) NULL');
+CALL sp_add_column_if_not_exists('game_items', 'script_key', 'VARCHAR(64) NULL');
+CALL sp_add_column_if_not_exists('quest_definitions', 'script_key', 'VARCHAR(64) NULL');
+
+SET FOREIGN_KEY_CHECKS=1;
@@ -70,7 +70,15 @@ const ArenaManager = {
             <div><label>MAX PLAYERS (0=∞)</label><input id="ar_max" type="number" value="${d.max_players||0}"></div>
             <div><label>LEVEL MATCHING</label><select id="ar_match"><option value="1" ${d.level_matching!==0?'selected':''}>Yes</option><option value="0" ${d.level_matching===0?'selected':''}>No</option></select></div>
         </div>
-        <div><label>ENABLED</label><select id="ar_on"><option value="1" ${d.enabled!==0?'selected':''}>Yes</option><option value="0" ${d.enabled===0?'selected':''}>No</option></select></div>
+        <div class="grid-2">
+            <div><label>ENABLED</label><select id="ar_on"><option value="1" ${d.enabled!==0?'selected':''}>Yes</option><option value="0" ${d.enabled===0?'selected':''}>No</option></select></div>
+            <div><label>TURN MODE</label>
+                <select id="ar_turn">
+                    ${['','CLASSIC','INITIATIVE','ATB'].map(t => `<option value="${t}" ${(d.turn_mode||'')===t?'selected':''}>${t || '(game default)'}</option>`).join('')}
+                </select>
+                <small style="color:var(--td)">CLASSIC=fixed order, INITIATIVE=fast fighters act more often, ATB=real-time gauges</small>
+            </div>
+        </div>
         <div class="btn-row">
             <button class="action-btn save-btn" onclick="ArenaManager.save(${id||'null'})">💾 SAVE</button>
             <button class="edit-btn" onclick="ArenaManager.init()">CANCEL</button>
@@ -93,7 +101,8 @@ const ArenaManager = {
             reward_multiplier: parseFloat(document.getElementById('ar_mult').value),
             max_players: parseInt(document.getElementById('ar_max').value),
             level_matching: parseInt(document.getElementById('ar_match').value),
-            enabled: parseInt(document.getElementById('ar_on').value)
+            enabled: parseInt(document.getElementById('ar_on').value),
+            turn_mode: document.getElementById('ar_turn').value || null
         };
         const r = await API.save('arena', payload, id);
         if (r.success) ArenaManager.init(); else alert(r.message);
@@ -51,7 +51,7 @@ const BattleCmdManager = {
         <div class="grid-3">
             <div><label>TARGET TYPE</label>
                 <select id="c_target">
-                    ${['SELF','ENEMY','SELF_OR_ENEMY','ALL','MENU','NONE'].map(t => 
+                    ${['SELF','ENEMY','ALLY','SELF_OR_ENEMY','ALL_ENEMIES','ALL_ALLIES','RANDOM_ENEMY','ALL','MENU','NONE'].map(t => 
                         `<option ${d.target_type===t?'selected':''}>${t}</option>`).join('')}
                 </select>
             </div>
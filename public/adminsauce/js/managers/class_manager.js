@@ -9,7 +9,7 @@ const ClassManager = {
     config: {
         type: 'class',
         tableColumns: ['name', 'base_hp', 'base_str', 'base_int'], // Shown in list
-        formFields: ['name', 'base_hp', 'base_mp', 'base_str', 'base_int', 'base_speed'] // Shown in editor
+        formFields: ['name', 'base_hp', 'base_mp', 'base_str', 'base_int', 'base_speed', 'ai_profile_id'] // Shown in editor
     },
 
     // B. INITIALIZE (Load the list)
@@ -79,7 +79,9 @@ const ClassManager = {
 
         // Gather data dynamically
         ClassManager.config.formFields.forEach(field => {
-            payload[field] = document.getElementById(`in_${field}`).value;
+            const val = document.getElementById(`in_${field}`).value;
+            // Blank id links mean "none", not an empty string
+            payload[field] = (val === '' && field.endsWith('_id')) ? null : val;
         });
 
         const res = await API.save('class', payload, id);
@@ -1,6 +1,6 @@
 const GenericManager = {
     _cfg:null,_data:[],
-    _isJson(n){return n.includes('json')||n==='effects'||n==='elements'||n.endsWith('_status')||n==='disabled_commands'||n==='class_restrict'||n==='battle_cmds';},
+    _isJson(n){return n.includes('json')||n==='effects'||n==='elements'||n.endsWith('_status')||n==='disabled_commands'||n==='class_restrict'||n==='battle_cmds'||n==='element_affinity'||n==='battle_flags';},
     _isTextarea(n){return n==='description'||n==='ai_persona'||this._isJson(n);},
     _esc(s){const d=document.createElement('div');d.textContent=s;return d.innerHTML;},
     init:async function(cfg){
@@ -26,7 +26,7 @@ const GenericManager = {
         document.getElementById('dynamicArea').innerHTML=h+'</tbody></table>';
     },
     edit:function(idx){
-        const cfg=this._cfg,item=idx!==null?this._data[idx]:{},pk=item.id||item.level||item.setting_key||item.module_key||'';
+        const cfg=this._cfg,item=idx!==null?this._data[idx]:{...(cfg.defaults||{})},pk=item.id||item.level||item.setting_key||item.module_key||item.script_key||'';
         let h=`<h3>${idx===null?'Create':'Edit'}</h3><input type="hidden" id="gm_pk" value="${pk}"><div class="grid-2">`;
         cfg.fields.forEach(f=>{
             const v=item[f],dv=(v!==null&&v!==undefined)?(typeof v==='object'?JSON.stringify(v,null,2):v):'';
@@ -40,14 +40,14 @@ const GenericManager = {
     },
     save:async function(){
         const cfg=this._cfg,pk=document.getElementById('gm_pk').value,p={};
-        cfg.fields.forEach(f=>{let v=document.getElementById('gm_'+f).value;if(this._isJson(f)&&v.trim()){try{v=JSON.parse(v);}catch{}}p[f]=v;});
+        cfg.fields.forEach(f=>{let v=document.getElementById('gm_'+f).value;if(!v.trim()&&(this._isJson(f)||f.endsWith('_id')||f.endsWith('_at')||f==='signup_opens'))v=null;else if(this._isJson(f)){try{v=JSON.parse(v);}catch{}}p[f]=v;});
         const r=await API.save(cfg.type,p,pk||null);
         if(r.success){const rr=await API.getAll(cfg.type);if(rr.success)this._data=rr.data;this.renderTable();}
         else alert('Error: '+(r.message||'Failed.'));
     },
     del:async function(i){
         if(!confirm('Delete?'))return;
-        const item=this._data[i],pk=item.id||item.level||item.setting_key||item.module_key;
+        const item=this._data[i],pk=item.id||item.level||item.setting_key||item.module_key||item.script_key;
         if((await API.delete(this._cfg.type,pk)).success){this._data.splice(i,1);this.renderTable();}
     }
 };
@@ -42,6 +42,7 @@ const ItemManager = {
                 <div style="flex:1"><label>Value (Gold)</label><input id="i_value" type="number" value="${item.value || 0}"></div>
             </div>
             <label>Stats (JSON)</label><textarea id="i_stats" rows="3">${item.stats_json ? JSON.stringify(item.stats_json) : '{}'}</textarea>
+            <label>Script Key (runs when used)</label><input id="i_script" value="${item.script_key || ''}" placeholder="(none)">
             <button class="action-btn" onclick="ItemManager.save(${item.id || null})">SAVE ITEM</button>
             <button class="edit-btn" onclick="ItemManager.init()">CANCEL</button>
         `;
@@ -54,7 +55,8 @@ const ItemManager = {
             type: document.getElementById('i_type').value,
             icon: document.getElementById('i_icon').value,
             value: document.getElementById('i_value').value,
-            stats_json: document.getElementById('i_stats').value
+            stats_json: document.getElementById('i_stats').value,
+            script_key: document.getElementById('i_script').value.trim() || null
         };
         await API.save('item', payload, id);
         ItemManager.init();
@@ -1,7 +1,12 @@
 const NpcManager = {
+    aiProfiles: [],
+    lootTables: [],
+
     init: async () => {
         document.getElementById('pageTitle').innerText = "NPC DATABASE";
-        const res = await API.getAll('npc');
+        const [res, profiles, loot] = await Promise.all([API.getAll('npc'), API.getAll('ai_profile'), API.getAll('loot_table')]);
+        NpcManager.aiProfiles = profiles.success ? profiles.data : [];
+        NpcManager.lootTables = loot.success ? loot.data : [];
         NpcManager.render(res.success ? res.data : []);
     },
 
@@ -30,6 +35,18 @@ const NpcManager = {
             <textarea id="n_persona" rows="5" placeholder="You are a grumpy blacksmith...">${npc.ai_persona || ''}</textarea>
             <label>Stats (HP/Str)</label>
             <input id="n_stats" value='${npc.stats_json ? JSON.stringify(npc.stats_json) : '{"hp":100}'}'>
+            <label>Battle AI Profile</label>
+            <select id="n_ai">
+                <option value="">(class default)</option>
+                ${NpcManager.aiProfiles.map(p => `<option value="${p.id}" ${npc.ai_profile_id===p.id?'selected':''}>${p.name}</option>`).join('')}
+            </select>
+            <label>Loot Table</label>
+            <select id="n_loot">
+                <option value="">(none)</option>
+                ${NpcManager.lootTables.map(t => `<option value="${t.id}" ${npc.loot_table_id===t.id?'selected':''}>${t.name}</option>`).join('')}
+            </select>
+            <label>Script Key (runs instead of AI chat)</label>
+            <input id="n_script" value="${npc.script_key || ''}" placeholder="(none)">
             
             <button class="action-btn" onclick="NpcManager.save(${npc.id || null})">SAVE NPC</button>
             <button class="edit-btn" onclick="NpcManager.init()">CANCEL</button>
@@ -41,7 +58,10 @@ const NpcManager = {
         await API.save('npc', {
             name: document.getElementById('n_name').value,
             ai_persona: document.getElementById('n_persona').value,
-            stats_json: document.getElementById('n_stats').value
+            stats_json: document.getElementById('n_stats').value,
+            ai_profile_id: document.getElementById('n_ai').value || null,
+            loot_table_id: document.getElementById('n_loot').value || null,
+            script_key: document.getElementById('n_script').value.trim() || null
         }, id);
         NpcManager.init();
     },
@@ -14,6 +14,7 @@ const QuestManager = {
             'max_completions',
             'objectives_json',
             'rewards_json',
+            'script_key',
             'is_active'
         ]
     },
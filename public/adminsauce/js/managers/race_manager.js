@@ -8,12 +8,12 @@ const RaceManager = {
         document.getElementById('dynamicArea').innerHTML=h+'</tbody></table>';
     },
     edit:(item)=>{
-        const d=item||{},f=['name','description','bonus_hp','bonus_mp','bonus_atk','bonus_def','bonus_mo','bonus_md','bonus_speed','bonus_luck'];
+        const d=item||{},f=['name','description','bonus_hp','bonus_mp','bonus_atk','bonus_def','bonus_mo','bonus_md','bonus_speed','bonus_luck','element_affinity'];
         let h=`<h3>${item?'Edit':'New'} Race</h3><input type="hidden" id="editId" value="${d.id||''}"><div class="grid-2">`;
-        f.forEach(fi=>{const v=d[fi]!==undefined?d[fi]:'';h+=fi==='description'?`<div style="grid-column:span 2"><label>DESCRIPTION</label><textarea id="in_${fi}" rows="2">${v}</textarea></div>`:`<div><label>${fi.replace('bonus_','').toUpperCase()}+</label><input id="in_${fi}" value="${v}"></div>`;});
+        f.forEach(fi=>{const v=d[fi]!==undefined?d[fi]:'';h+=fi==='description'?`<div style="grid-column:span 2"><label>DESCRIPTION</label><textarea id="in_${fi}" rows="2">${v}</textarea></div>`:fi==='element_affinity'?`<div style="grid-column:span 2"><label>ELEMENT AFFINITY (JSON: {"fire":"weak","ice":"resist","holy":"immune","dark":"absorb"})</label><textarea id="in_${fi}" rows="2">${typeof v==='object'&&v?JSON.stringify(v):v}</textarea></div>`:`<div><label>${fi.replace('bonus_','').toUpperCase()}+</label><input id="in_${fi}" value="${v}"></div>`;});
         h+=`</div><div class="btn-row"><button class="action-btn save-btn" onclick="RaceManager.save()">SAVE</button><button class="action-btn" onclick="RaceManager.init()" style="background:#333">CANCEL</button></div>`;
         document.getElementById('dynamicArea').innerHTML=h;
     },
-    save:async()=>{const id=document.getElementById('editId').value,f=['name','description','bonus_hp','bonus_mp','bonus_atk','bonus_def','bonus_mo','bonus_md','bonus_speed','bonus_luck'],p={};f.forEach(fi=>p[fi]=document.getElementById('in_'+fi).value);if((await API.save('race',p,id||null)).success)RaceManager.init();},
+    save:async()=>{const id=document.getElementById('editId').value,f=['name','description','bonus_hp','bonus_mp','bonus_atk','bonus_def','bonus_mo','bonus_md','bonus_speed','bonus_luck','element_affinity'],p={};f.forEach(fi=>p[fi]=document.getElementById('in_'+fi).value);if(!p.element_affinity)p.element_affinity=null;if((await API.save('race',p,id||null)).success)RaceManager.init();},
     del:async(id)=>{if(confirm('Delete?')){await API.delete('race',id);RaceManager.init();}}
 };
@@ -16,8 +16,10 @@ const ScriptEditor = {
     ACTION_TYPES: {
         DIALOGUE:       { label: '💬 Dialogue',       fields: [{ key: 'speaker', label: 'Speaker', type: 'text' }, { key: 'text', label: 'Text', type: 'textarea' }] },
         CHOICE:         { label: '🔀 Choice',         fields: [{ key: 'prompt', label: 'Prompt', type: 'text' }], special: 'choice' },
-        SET_FLAG:       { label: '🚩 Set Flag',       fields: [{ key: 'key', label: 'Flag Name', type: 'text' }, { key: 'value', label: 'Value', type: 'text' }] },
-        INC_FLAG:       { label: '➕ Inc Flag',       fields: [{ key: 'key', label: 'Flag Name', type: 'text' }, { key: 'amount', label: 'Amount', type: 'number', default: 1 }] },
+        SET_FLAG:       { label: '🚩 Set Flag',       fields: [{ key: 'key', label: 'Flag Name', type: 'text' }, { key: 'value', label: 'Value', type: 'text' }, { key: 'varType', label: 'Type (number/string/bool/list)', type: 'text' }, { key: 'expr', label: 'or Expression (LVL*25 + flag:streak)', type: 'text' }] },
+        INC_FLAG:       { label: '➕ Inc Flag',       fields: [{ key: 'key', label: 'Flag Name', type: 'text' }, { key: 'amount', label: 'Amount (or expression)', type: 'text', default: 1 }] },
+        LIST_ADD:       { label: '📋 Add to List',    fields: [{ key: 'key', label: 'Flag Name', type: 'text' }, { key: 'value', label: 'Value', type: 'text' }] },
+        LIST_REMOVE:    { label: '📋 Remove from List', fields: [{ key: 'key', label: 'Flag Name', type: 'text' }, { key: 'value', label: 'Value', type: 'text' }] },
         TELEPORT:       { label: '🚪 Teleport',       fields: [{ key: 'mapId', label: 'Map ID', type: 'number' }, { key: 'x', label: 'X', type: 'number', default: 10 }, { key: 'y', label: 'Y', type: 'number', default: 10 }] },
         GIVE_ITEM:      { label: '📦 Give Item',      fields: [{ key: 'itemId', label: 'Item ID', type: 'number' }, { key: 'quantity', label: 'Qty', type: 'number', default: 1 }] },
         TAKE_ITEM:      { label: '🗑️ Take Item',     fields: [{ key: 'itemId', label: 'Item ID', type: 'number' }, { key: 'quantity', label: 'Qty', type: 'number', default: 1 }] },
@@ -30,19 +32,34 @@ const ScriptEditor = {
         QUEST_COMPLETE: { label: '🏆 Complete Quest', fields: [{ key: 'questId', label: 'Quest ID', type: 'number' }] },
         NPC_TALK:       { label: '🗣️ NPC Talk (AI)', fields: [{ key: 'npcName', label: 'NPC Name', type: 'text' }] },
         SHOP:           { label: '🏪 Open Shop',      fields: [{ key: 'shopId', label: 'Shop ID', type: 'number' }] },
-        BATTLE:         { label: '⚔️ Start Battle',   fields: [{ key: 'enemyId', label: 'Enemy ID', type: 'number' }] },
+        BATTLE:         { label: '⚔️ Start Battle',   fields: [{ key: 'enemyId', label: 'Enemy NPC ID', type: 'number' }, { key: 'monsterId', label: 'or Monster ID', type: 'number' }, { key: 'level', label: 'Level', type: 'number' }, { key: 'count', label: 'Count', type: 'number', default: 1 }] },
         SOUND:          { label: '🔊 Play Sound',     fields: [{ key: 'file', label: 'Filename', type: 'text' }] },
         SCREEN_EFFECT:  { label: '✨ Screen Effect',  fields: [{ key: 'effect', label: 'Effect (shake/flash/fade)', type: 'text' }, { key: 'duration', label: 'Duration (ms)', type: 'number', default: 500 }] },
         WAIT:           { label: '⏱️ Wait',           fields: [{ key: 'ms', label: 'Milliseconds', type: 'number', default: 1000 }] },
+        CALL_SCRIPT:    { label: '📝 Call Script',    fields: [{ key: 'script', label: 'Script Key', type: 'text' }] },
         IF:             { label: '❓ Conditional',     fields: [], special: 'conditional' }
     },
 
     CONDITION_TYPES: {
-        FLAG:     { label: 'Flag Check',  fields: [{ key: 'key', label: 'Flag', type: 'text' }, { key: 'op', label: 'Op (==,!=,>,<)', type: 'text', default: '==' }, { key: 'value', label: 'Value', type: 'text' }] },
+        FLAG:     { label: 'Flag Check',  fields: [{ key: 'key', label: 'Flag', type: 'text' }, { key: 'op', label: 'Op (==,!=,>,<,has)', type: 'text', default: '==' }, { key: 'value', label: 'Value', type: 'text' }] },
         LEVEL:    { label: 'Level Check', fields: [{ key: 'op', label: 'Op', type: 'text', default: '>=' }, { key: 'value', label: 'Level', type: 'number' }] },
         HAS_ITEM: { label: 'Has Item',    fields: [{ key: 'itemId', label: 'Item ID', type: 'number' }, { key: 'quantity', label: 'Qty', type: 'number', default: 1 }] },
         RANDOM:   { label: 'Random %',    fields: [{ key: 'chance', label: '% Chance', type: 'number', default: 50 }] },
-        CLASS:    { label: 'Is Class',    fields: [{ key: 'classId', label: 'Class ID', type: 'number' }] }
+        CLASS:    { label: 'Is Class',    fields: [{ key: 'classId', label: 'Class ID', type: 'number' }] },
+        RACE:     { label: 'Is Race',     fields: [{ key: 'raceId', label: 'Race ID', type: 'number' }] },
+        GOLD:     { label: 'Gold Check',  fields: [{ key: 'op', label: 'Op', type: 'text', default: '>=' }, { key: 'value', label: 'Gold', type: 'number' }] },
+        EQUIPPED: { label: 'Has Equipped', fields: [{ key: 'itemId', label: 'Item ID', type: 'number' }, { key: 'slot', label: 'Slot (any)', type: 'text' }] },
+        GUILD:    { label: 'In Guild',    fields: [{ key: 'guildId', label: 'Guild ID (any)', type: 'number' }, { key: 'rank', label: 'Min Rank', type: 'text' }] },
+        PARTY:    { label: 'Party Size',  fields: [{ key: 'op', label: 'Op', type: 'text', default: '>=' }, { key: 'value', label: 'Members', type: 'number' }] },
+        QUEST_ACTIVE: { label: 'Quest Active', fields: [{ key: 'questId', label: 'Quest ID', type: 'text' }] },
+        QUEST_DONE:   { label: 'Quest Done',   fields: [{ key: 'questId', label: 'Quest ID', type: 'text' }] },
+        MAP:      { label: 'On Map',      fields: [{ key: 'mapId', label: 'Map ID', type: 'number' }] },
+        TIME:     { label: 'Hour Between', fields: [{ key: 'from', label: 'From (0-23)', type: 'number' }, { key: 'to', label: 'To (0-23)', type: 'number' }] },
+        FORMULA:  { label: 'Formula',     fields: [{ key: 'formula', label: 'ATK + DEF', type: 'text' }, { key: 'op', label: 'Op', type: 'text', default: '>=' }, { key: 'value', label: 'LEVEL * 4', type: 'text' }] },
+        // Groups hold their own condition list, edited as JSON
+        ANY:      { label: 'ANY of',      fields: [{ key: 'conditions', label: 'Conditions JSON', type: 'json' }] },
+        ALL:      { label: 'ALL of',      fields: [{ key: 'conditions', label: 'Conditions JSON', type: 'json' }] },
+        NONE:     { label: 'NONE of',     fields: [{ key: 'conditions', label: 'Conditions JSON', type: 'json' }] }
     },
 
     // Current state
@@ -85,7 +102,7 @@ const ScriptEditor = {
                 </select>
             </div>
             <div style="background:var(--bg2);padding:16px;border:1px solid var(--b);border-radius:8px">
-                <label>CONDITIONS <span style="color:var(--td);font-weight:normal">(ALL must pass)</span></label>
+                <label>CONDITIONS <span style="color:var(--td);font-weight:normal">(ALL must pass — add an ANY group for "or")</span></label>
                 <div id="se_conditions">${ScriptEditor.renderConditions(ev.conditions)}</div>
                 <button class="edit-btn" style="margin-top:8px" onclick="ScriptEditor.addCondition()">+ Add Condition</button>
             </div>
@@ -148,8 +165,12 @@ const ScriptEditor = {
         if (!conditions || conditions.length === 0) return '<span style="color:var(--td);font-size:12px">None (always triggers)</span>';
 
         return conditions.map((cond, i) => {
-            const def = ScriptEditor.CONDITION_TYPES[cond.type] || { label: cond.type, fields: [] };
+            const def = ScriptEditor.CONDITION_TYPES[cond.type] || { label: cond.type + ' (unknown — never passes)', fields: [] };
             const fields = def.fields.map(f => {
+                if (f.type === 'json') {
+                    return `<input type="text" value="${ScriptEditor._esc(JSON.stringify(cond[f.key] || []))}" style="width:220px;padding:4px;font-size:11px"
+                        onchange="ScriptEditor.updateCondField(${i},'${f.key}',this.value,true)" placeholder="${f.label}">`;
+                }
                 const v = cond[f.key] !== undefined ? cond[f.key] : (f.default || '');
                 return `<input type="${f.type}" value="${ScriptEditor._esc(String(v))}" style="width:60px;padding:4px;font-size:11px" 
                     onchange="ScriptEditor.updateCondField(${i},'${f.key}',this.value)" placeholder="${f.label}">`;
@@ -189,7 +210,7 @@ const ScriptEditor = {
     updateField: (actionIndex, key, value) => {
         const action = ScriptEditor._event.actions[actionIndex];
         // Auto-convert numbers
-        if (!isNaN(value) && value !== '' && key !== 'text' && key !== 'speaker' && key !== 'key' && key !== 'prompt') {
+        if (!isNaN(value) && value !== '' && key !== 'text' && key !== 'speaker' && key !== 'key' && key !== 'prompt' && key !== 'script' && key !== 'expr') {
             action[key] = Number(value);
         } else if (value === 'true') action[key] = true;
         else if (value === 'false') action[key] = false;
@@ -201,7 +222,9 @@ const ScriptEditor = {
         const type = prompt('Condition type:\n' + types.join(', '));
         if (!type || !ScriptEditor.CONDITION_TYPES[type.toUpperCase()]) return;
         if (!ScriptEditor._event.conditions) ScriptEditor._event.conditions = [];
-        ScriptEditor._event.conditions.push({ type: type.toUpperCase() });
+        const cond = { type: type.toUpperCase() };
+        if (['ANY', 'ALL', 'NONE'].includes(cond.type)) cond.conditions = [];
+        ScriptEditor._event.conditions.push(cond);
         ScriptEditor.render();
     },
 
@@ -210,8 +233,13 @@ const ScriptEditor = {
         ScriptEditor.render();
     },
 
-    updateCondField: (condIndex, key, value) => {
+    updateCondField: (condIndex, key, value, isJson) => {
         const cond = ScriptEditor._event.conditions[condIndex];
+        if (isJson) {
+            try { cond[key] = JSON.parse(value || '[]'); }
+            catch (e) { alert('Invalid JSON: ' + e.message); }
+            return;
+        }
         if (!isNaN(value) && value !== '') cond[key] = Number(value);
         else cond[key] = value;
     },
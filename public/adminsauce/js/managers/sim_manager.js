@@ -0,0 +1,135 @@
+// =================================================================
+// FORMULA SIMULATOR — Try a command/skill/limit before players do
+// =================================================================
+// Runs the action through the real battle code on the server
+// (POST /admin/simulate-battle). Read-only: nothing is saved.
+const SimManager = {
+    cmds: [], skills: [], limits: [], monsters: [],
+    STATS: ['level','maxHp','maxMp','atk','def','mo','md','speed','luck','acc','eva'],
+    DEFAULTS: { level: 1, maxHp: 100, maxMp: 50, atk: 10, def: 10, mo: 10, md: 10, speed: 10, luck: 0, acc: 95, eva: 5 },
+
+    init: async () => {
+        document.getElementById('pageTitle').innerText = "🧪 FORMULA SIMULATOR";
+        document.getElementById('dynamicArea').innerHTML = '<p>Loading...</p>';
+        const [cmds, skills, limits, monsters] = await Promise.all([
+            API.getAll('battle_cmd'), API.getAll('skill'), API.getAll('limit'), API.getAll('monster')
+        ]);
+        SimManager.cmds = cmds.success ? cmds.data : [];
+        SimManager.skills = skills.success ? skills.data : [];
+        SimManager.limits = limits.success ? limits.data : [];
+        SimManager.monsters = monsters.success ? monsters.data : [];
+        SimManager.render();
+    },
+
+    render: () => {
+        document.getElementById('dynamicArea').innerHTML = `
+        <p style="color:var(--td);font-size:12px;margin:0 0 12px">Pick two fighters and an action. The server runs it through the real battle code with seeded rolls — nothing is saved. Everyone starts at full HP/MP; limit breaks count as charged.</p>
+        <div class="grid-2">
+            <div>${SimManager._sidePanel('atk', '🗡️ ATTACKER')}</div>
+            <div>${SimManager._sidePanel('def', '🛡️ DEFENDER')}</div>
+        </div>
+        <div class="grid-4">
+            <div><label>ACTION TYPE</label>
+                <select id="sim_kind" onchange="SimManager.fillActions()">
+                    <option value="commandId">Command</option><option value="skillId">Skill</option><option value="limitId">Limit Break</option>
+                </select></div>
+            <div><label>ACTION</label><select id="sim_action"></select></div>
+            <div><label>RUNS (max 500)</label><input id="sim_runs" type="number" value="100"></div>
+            <div><label>MAX TURNS (max 50)</label><input id="sim_turns" type="number" value="20"></div>
+        </div>
+        <div class="grid-4">
+            <div><label>SEED (blank = random)</label><input id="sim_seed" type="number"></div>
+        </div>
+        <div class="btn-row"><button class="action-btn save-btn" onclick="SimManager.run()">▶ RUN SIMULATION</button></div>
+        <div id="sim_out"></div>`;
+        SimManager.fillActions();
+        SimManager.toggle('atk');
+        SimManager.toggle('def');
+    },
+
+    _sidePanel: (p, title) => {
+        const monOpts = SimManager.monsters.map(m => `<option value="${m.id}">${m.name} (Lv ${m.level||1})</option>`).join('');
+        const stats = SimManager.STATS.map(k =>
+            `<div><label>${k}</label><input id="sim_${p}_${k}" type="number" value="${SimManager.DEFAULTS[k]}"></div>`).join('');
+        return `<h3>${title}</h3>
+        <label>SOURCE</label>
+        <select id="sim_${p}_src" onchange="SimManager.toggle('${p}')">
+            <option value="stats">Stat block</option><option value="char">Character</option><option value="monster">Monster</option>
+        </select>
+        <div id="sim_${p}_char"><label>CHARACTER ID</label><input id="sim_${p}_charId" type="number"></div>
+        <div id="sim_${p}_monster" class="grid-2">
+            <div><label>MONSTER</label><select id="sim_${p}_monsterId">${monOpts}</select></div>
+            <div><label>LEVEL (blank = template)</label><input id="sim_${p}_mlvl" type="number"></div>
+        </div>
+        <div id="sim_${p}_stats">
+            <div class="grid-4">${stats}</div>
+            <div class="grid-2">
+                <div><label>ATTACK ELEMENTS (comma list)</label><input id="sim_${p}_elements" placeholder="fire, ice"></div>
+                <div><label>AFFINITY (JSON)</label><input id="sim_${p}_affinity" placeholder='{"ice":"weak"}'></div>
+            </div>
+        </div>`;
+    },
+
+    toggle: (p) => {
+        const src = document.getElementById(`sim_${p}_src`).value;
+        for (const k of ['stats', 'char', 'monster']) {
+            document.getElementById(`sim_${p}_${k}`).style.display = src === k ? '' : 'none';
+        }
+    },
+
+    fillActions: () => {
+        const kind = document.getElementById('sim_kind').value;
+        const list = kind === 'skillId' ? SimManager.skills : kind === 'limitId' ? SimManager.limits : SimManager.cmds;
+        document.getElementById('sim_action').innerHTML = list.map(a =>
+            `<option value="${a.id}">${a.icon||''} ${a.name}${a.class_id ? ' (class '+a.class_id+')' : ''}</option>`).join('');
+    },
+
+    _side: (p) => {
+        const src = document.getElementById(`sim_${p}_src`).value;
+        const val = (k) => document.getElementById(`sim_${p}_${k}`).value;
+        if (src === 'char') return { charId: parseInt(val('charId')) };
+        if (src === 'monster') return { monsterId: parseInt(val('monsterId')), level: val('mlvl') ? parseInt(val('mlvl')) : null };
+        const out = { name: p === 'atk' ? 'Attacker' : 'Defender' };
+        SimManager.STATS.forEach(k => { out[k] = parseFloat(val(k)); });
+        out.elements = val('elements').split(',').map(s => s.trim()).filter(Boolean);
+        try { out.affinity = val('affinity') ? JSON.parse(val('affinity')) : {}; }
+        catch (e) { throw new Error('Affinity must be JSON, e.g. {"ice":"weak"}'); }
+        return out;
+    },
+
+    run: async () => {
+        const out = document.getElementById('sim_out');
+        let body;
+        try {
+            body = {
+                attacker: SimManager._side('atk'),
+                defender: SimManager._side('def'),
+                action: { [document.getElementById('sim_kind').value]: parseInt(document.getElementById('sim_action').value) },
+                runs: parseInt(document.getElementById('sim_runs').value),
+                maxTurns: parseInt(document.getElementById('sim_turns').value),
+                seed: document.getElementById('sim_seed').value || null
+            };
+        } catch (e) { return alert(e.message); }
+
+        out.innerHTML = '<p>Simulating...</p>';
+        const r = await API.post('/admin/simulate-battle', body);
+        if (!r.success) { out.innerHTML = `<p style="color:var(--r)">${r.message || 'Simulation failed.'}</p>`; return; }
+        out.innerHTML = SimManager._results(r.data);
+    },
+
+    _results: (d) => {
+        const spread = (s) => s ? `${s.min} / <b>${s.avg}</b> / ${s.max}` : '—';
+        const card = (c) => `<b>${c.name}</b> Lv ${c.level} — HP ${c.maxHp} MP ${c.maxMp} · ATK ${c.atk} DEF ${c.def} MO ${c.mo} MD ${c.md} SPD ${c.speed} LCK ${c.luck} ACC ${c.acc} EVA ${c.eva}`;
+        return `<h3 style="margin-top:20px">${d.action.name} × ${d.runs} <small style="color:var(--td)">seed ${d.seed} · ${d.turnMode}</small></h3>
+        <p style="font-size:12px">🗡️ ${card(d.attacker)}<br>🛡️ ${card(d.defender)}</p>
+        <table><thead><tr><th>TEST</th><th>RESULT</th></tr></thead><tbody>
+            <tr><td>Damage per use (min / avg / max)</td><td>${spread(d.hit.damage)}</td></tr>
+            <tr><td>Crit rate · Miss rate</td><td>${d.hit.critRate}% · ${d.hit.missRate}%</td></tr>
+            <tr><td>Turns to kill an idle defender</td><td>${spread(d.kill.turns)} <span class="tag tag-purple">${d.kill.rate}% within ${d.maxTurns}</span></td></tr>
+            <tr><td>Duel vs defender's AI</td><td><span class="tag tag-green">WIN ${d.duel.winRate}%</span> <span class="tag tag-red">LOSS ${d.duel.lossRate}%</span> <span class="tag tag-yellow">DRAW ${d.duel.drawRate}%</span></td></tr>
+            <tr><td>Duel length (turns)</td><td>${spread(d.duel.turns)}</td></tr>
+        </tbody></table>
+        <label style="margin-top:14px">SAMPLE (first run)</label>
+        <code style="display:block;white-space:pre-wrap">${d.sample.join('\n')}</code>`;
+    }
+};
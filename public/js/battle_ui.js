@@ -9,6 +9,14 @@ const BattleUI = {
     state: null,     // Current battle state from server
     commands: null,   // Available commands
     currentMenu: 'main', // main, skills, items
+    targetId: null,   // Selected target (enemy or ally charId)
+    replayData: null, // Loaded replay ({ frames, log, matches }) while the viewer is open
+    replayFrame: 0,
+    replayTimer: null,
+    clockTimer: null, // Ticks the turn countdown (state.turnDeadline)
+    spectator: false, // Watching someone else's fight (read-only)
+    queuedArena: null, // Arena id we're waiting in a matchmaking queue for
+    bracketId: null,   // Tournament whose bracket panel is open
 
     // --- INITIALIZE FROM battle_start EVENT ---
     start(data) {
@@ -16,14 +24,29 @@ const BattleUI = {
         BattleUI.state = data;
         BattleUI.commands = data.commands;
         BattleUI.currentMenu = 'main';
+        BattleUI.targetId = null;
+        BattleUI.spectator = !!data.spectator;
+        document.getElementById('liveBattles')?.remove();
         Game.dialogueOpen = true; // Block movement
+        if (data.resumed) showNotification('⚔️ Back in the fight!', 'battle');
         BattleUI.render();
+
+        clearInterval(BattleUI.clockTimer);
+        BattleUI.clockTimer = setInterval(() => BattleUI._tickClock(), 1000);
+    },
+
+    _tickClock() {
+        const el = document.getElementById('battleTurnClock');
+        const deadline = BattleUI.state && BattleUI.state.turnDeadline;
+        if (!el) return;
+        el.textContent = deadline ? `⏱ ${Math.max(0, Math.ceil((deadline - Date.now()) / 1000))}s` : '';
     },
 
     // --- UPDATE FROM battle_update EVENT ---
     update(data) {
         if (!BattleUI.active) return;
         if (data.state) BattleUI.state = { ...BattleUI.state, ...data.state };
+        if (data.commands) BattleUI.commands = data.commands; // Fresh cooldowns/charges for my turn
 
         // Play action animations
         if (data.action && data.action.log) {
@@ -40,31 +63,124 @@ const BattleUI = {
 
         BattleUI.currentMenu = 'main';
         BattleUI.render();
+        if (data.action) BattleUI._animateActions(data.action.actions);
+    },
+
+    // --- ACTION POPUPS ---
+    // Misses, counters, reflects and thorns arrive as their own entries in
+    // action.actions. Float a label over the card that caused it (sourceId)
+    // and shake whoever got hurt by the reaction.
+    _actionFx: {
+        miss:    { text: 'MISS',      color: '#aaaaaa' },
+        counter: { text: 'COUNTER!',  color: '#ffcc00', shake: true },
+        reflect: { text: 'REFLECT',   color: '#66ccff' },
+        thorns:  { text: '🌵 THORNS', color: '#66ff66', shake: true },
+        absorb:  { text: 'ABSORB',    color: '#66ff99' }
+    },
+
+    _animateActions(actions) {
+        (actions || []).forEach((a, i) => {
+            const fx = BattleUI._actionFx[a.type];
+            if (!fx) return;
+            setTimeout(() => {
+                const host = document.getElementById(`bcard-${a.sourceId || a.targetId}`);
+                if (host) {
+                    const tag = document.createElement('div');
+                    tag.textContent = fx.text;
+                    tag.style.cssText = `position:absolute;left:50%;top:0;transform:translateX(-50%);pointer-events:none;
+                        color:${fx.color};font-weight:bold;font-size:16px;text-shadow:0 0 4px #000;animation:floatUp 1s forwards`;
+                    host.appendChild(tag);
+                    setTimeout(() => tag.remove(), 1000);
+                }
+                const hurt = fx.shake && document.getElementById(`bcard-${a.targetId}`);
+                if (hurt) hurt.style.animation = 'shake 0.4s';
+            }, i * 400);
+        });
+    },
+
+    // --- ATB GAUGE TICK (battle_atb EVENT) ---
+    // Arrives a couple of times a second in ATB battles. Patch the bars in
+    // place instead of re-rendering so open menus don't flicker shut.
+    updateGauges(data) {
+        if (!BattleUI.active || !BattleUI.state || data.battleId !== BattleUI.state.battleId) return;
+        for (const [id, pct] of Object.entries(data.gauges || {})) {
+            const bar = document.getElementById(`atb-${id}`);
+            if (bar) bar.style.width = `${pct}%`;
+        }
     },
 
     // --- END BATTLE ---
     end() {
         BattleUI.active = false;
         Game.dialogueOpen = false;
+        clearInterval(BattleUI.clockTimer);
         const overlay = document.getElementById('battleOverlay');
         if (overlay) overlay.remove();
 
         // Show result
+        if (BattleUI.state && BattleUI.spectator) {
+            const s = BattleUI.state;
+            const champ = (s.combatants || []).find(c => c.id === s.winner);
+            showNotification(s.status === 'FLED' ? '🏃 Someone fled the fight.' :
+                champ ? `🏆 ${champ.name}'s side wins!` : '🏁 The battle is over.', 'battle');
+            BattleUI._offerReplay(s.battleId);
+            BattleUI.spectator = false;
+            return;
+        }
         if (BattleUI.state) {
-            const won = BattleUI.state.winner === Game.myCharId;
+            const s = BattleUI.state;
+            const won = s.winningSide !== null && s.winningSide !== undefined && s.mySide !== undefined
+                ? s.winningSide === s.mySide
+                : s.winner === Game.myCharId;
             const msg = BattleUI.state.status === 'FLED' ? '🏃 Escaped!' :
                         won ? '🏆 Victory!' : '💀 Defeated...';
             showNotification(msg, won ? 'quest_complete' : 'damage');
+            if (!won && s.rewards && s.rewards.ratingDelta) showNotification(`🏟️ Rating ${s.rewards.rating} (${s.rewards.ratingDelta})`, 'damage');
+            if (won && s.rewards) BattleUI._showRewards(s.rewards);
+            BattleUI._offerReplay(s.battleId);
         }
 
         // Refresh character data
         loadCharData();
     },
 
+    // --- VICTORY SCREEN ---
+    // rewards = { xp, gold, items: [{ id, name, icon, quantity }] } from endBattle
+    _showRewards(rewards) {
+        document.getElementById('victoryPanel')?.remove();
+        const n = document.createElement('div');
+        n.id = 'victoryPanel';
+        n.style.cssText = `position:fixed;top:50%;left:50%;transform:translate(-50%,-50%);z-index:160;min-width:260px;
+            background:rgba(5,8,14,0.96);border:1px solid #ffcc00;border-radius:10px;padding:18px 22px;
+            font-family:'Courier New',monospace;color:#ddd;text-align:center`;
+        const items = (rewards.items || []).map(it =>
+            `<div style="margin:3px 0">${it.icon || '📦'} ${it.name}${it.quantity > 1 ? ` <span style="color:#888">x${it.quantity}</span>` : ''}</div>`
+        ).join('');
+        n.innerHTML = `
+            <div style="color:#ffcc00;font-size:18px;font-weight:bold;margin-bottom:10px">🏆 VICTORY</div>
+            ${rewards.xp ? `<div>✨ +${rewards.xp} XP</div>` : ''}
+            ${rewards.gold ? `<div>💰 +${rewards.gold} gold</div>` : ''}
+            ${rewards.ratingDelta ? `<div>🏟️ Rating ${rewards.rating} <span style="color:#3fb950">(+${rewards.ratingDelta})</span></div>` : ''}
+            ${items ? `<div style="margin-top:10px;color:#888;font-size:11px">${rewards.wager ? 'WAGER WON' : 'LOOT'}</div>${items}` : ''}
+            <button style="margin-top:14px;padding:6px 16px;background:#222;border:1px solid #555;color:#ccc;cursor:pointer;border-radius:4px;font-family:monospace"
+                onclick="this.parentNode.remove()">OK</button>`;
+        document.body.appendChild(n);
+    },
+
+    // Wagered duel: what's in the pot
+    _duelPot(s) {
+        if (!s.duel) return '';
+        const gold = s.duel.reduce((sum, st) => sum + (st.gold || 0), 0);
+        const items = s.duel.flatMap(st => st.items || []).map(it => `${it.icon || '📦'}${it.quantity > 1 ? `x${it.quantity}` : ''}`);
+        return `<div style="color:#ffaa00;font-size:11px;margin-top:2px" title="${s.duel.map(st => st.name).join(' vs ')}">
+            🎲 DUEL · pot ${[gold ? `${gold}g` : '', ...items].filter(Boolean).join(' ')}</div>`;
+    },
+
     // --- RENDER ---
     render() {
         const s = BattleUI.state;
         if (!s) return;
+        if (BattleUI.spectator) return BattleUI._renderSpectator();
 
         let overlay = document.getElementById('battleOverlay');
         if (!overlay) {
@@ -76,56 +192,50 @@ const BattleUI = {
         }
 
         const me = s.me;
-        const opp = s.opponent;
+        const enemies = s.enemies || (s.opponent ? [s.opponent] : []);
+        const allies = s.allies || [];
         const isMyTurn = s.isMyTurn;
         const limitReady = me.limitbreak >= 100;
 
+        // Keep the selected target valid (default: first enemy standing)
+        const living = [...enemies, me, ...allies].filter(c => !c.defeated);
+        if (!living.some(c => c.id === BattleUI.targetId)) {
+            const firstEnemy = enemies.find(c => !c.defeated);
+            BattleUI.targetId = firstEnemy ? firstEnemy.id : null;
+        }
+
         overlay.innerHTML = `
-        <!-- OPPONENT (top) -->
-        <div style="padding:20px 40px;display:flex;justify-content:flex-end">
-            <div style="width:350px;background:rgba(50,0,0,0.6);border:1px solid #600;padding:16px;border-radius:8px">
-                <div style="display:flex;justify-content:space-between;align-items:center">
-                    <span style="font-size:18px;color:#ff6666;font-weight:bold">${opp.name}</span>
-                    <span style="font-size:12px;color:#888">${BattleUI._statusIcons(opp.statuses)}</span>
-                </div>
-                <div style="margin-top:8px">
-                    <div style="display:flex;align-items:center;gap:6px">
-                        <span style="font-size:10px;color:#888;width:20px">HP</span>
-                        <div style="flex:1;height:8px;background:#333;border-radius:4px;overflow:hidden">
-                            <div style="width:${(opp.hp/opp.maxHp*100)}%;height:100%;background:linear-gradient(90deg,#ff3333,#ff6666);border-radius:4px;transition:width 0.5s"></div>
-                        </div>
-                        <span style="font-size:10px;color:#ff6666;width:60px;text-align:right">${opp.hp}/${opp.maxHp}</span>
-                    </div>
-                    <div style="display:flex;align-items:center;gap:6px;margin-top:4px">
-                        <span style="font-size:10px;color:#888;width:20px">MP</span>
-                        <div style="flex:1;height:6px;background:#333;border-radius:3px;overflow:hidden">
-                            <div style="width:${(opp.mp/opp.maxMp*100)}%;height:100%;background:linear-gradient(90deg,#3366ff,#6699ff);border-radius:3px"></div>
-                        </div>
-                        <span style="font-size:10px;color:#6699ff;width:60px;text-align:right">${opp.mp}/${opp.maxMp}</span>
-                    </div>
-                </div>
-            </div>
+        <!-- ENEMIES (top) -->
+        <div style="padding:20px 40px;display:flex;justify-content:flex-end;gap:12px;flex-wrap:wrap">
+            ${enemies.map(c => BattleUI._combatantCard(c, 'enemy')).join('')}
         </div>
 
         <!-- COMBAT ARENA (center) -->
         <div style="flex:1;display:flex;align-items:center;justify-content:center;gap:100px">
             <div style="text-align:center">
                 <div style="font-size:64px;animation:pulse 1s infinite">⚔️</div>
-                <div style="color:#ffcc00;font-size:12px;margin-top:8px">Turn ${s.turn}</div>
+                <div style="color:#ffcc00;font-size:12px;margin-top:8px">Turn ${s.turn} · Round ${s.round || 1}</div>
                 <div style="color:${isMyTurn?'#00ff00':'#ff6666'};font-size:14px;font-weight:bold;margin-top:4px">
                     ${isMyTurn ? 'YOUR TURN' : 'WAITING...'}
                 </div>
+                <div id="battleTurnClock" style="color:#888;font-size:11px;margin-top:2px"></div>
+                ${s.spectators ? `<div style="color:#888;font-size:11px;margin-top:2px">👁 ${s.spectators} watching</div>` : ''}
+                ${BattleUI._duelPot(s)}
+                ${BattleUI._turnQueue(s, [me, ...allies, ...enemies])}
             </div>
         </div>
 
-        <!-- PLAYER (bottom) -->
+        <!-- PLAYER + ALLIES (bottom) -->
         <div style="padding:0 40px 20px;display:flex;gap:20px">
             <!-- Player Stats -->
-            <div style="width:350px;background:rgba(0,30,0,0.6);border:1px solid #060;padding:16px;border-radius:8px">
+            <div style="width:350px;display:flex;flex-direction:column;gap:8px">
+            <div id="bcard-${me.id}" style="position:relative;background:rgba(0,30,0,0.6);border:1px solid ${BattleUI.targetId===me.id?'#ffcc00':'#060'};padding:16px;border-radius:8px;cursor:pointer"
+                onclick="BattleUI.selectTarget(${me.id})">
                 <div style="display:flex;justify-content:space-between;align-items:center">
                     <span style="font-size:18px;color:#00ff66;font-weight:bold">${me.name}</span>
                     <span style="font-size:12px;color:#888">${BattleUI._statusIcons(me.statuses)}</span>
                 </div>
+                ${BattleUI._castingTag(me)}
                 <div style="margin-top:8px">
                     <div style="display:flex;align-items:center;gap:6px">
                         <span style="font-size:10px;color:#888;width:20px">HP</span>
@@ -149,12 +259,15 @@ const BattleUI = {
                         </div>
                         <span style="font-size:10px;color:#ffcc00;width:40px;text-align:right">${Math.floor(me.limitbreak||0)}%</span>
                     </div>
+                    ${BattleUI._gaugeBar(me)}
                 </div>
             </div>
+            ${allies.map(c => BattleUI._combatantCard(c, 'ally')).join('')}
+            </div>
 
             <!-- Command Menu -->
             <div style="flex:1;background:rgba(0,0,0,0.7);border:1px solid #444;padding:16px;border-radius:8px;max-height:200px;overflow-y:auto">
-                ${isMyTurn ? BattleUI._renderMenu() : '<div style="text-align:center;color:#666;padding:20px">Waiting for opponent...</div>'}
+                ${isMyTurn ? BattleUI._renderMenu() : '<div style="text-align:center;color:#666;padding:20px">Waiting for other fighters...</div>'}
             </div>
 
             <!-- Combat Log -->
@@ -169,6 +282,8 @@ const BattleUI = {
         <style>
             @keyframes pulse { 0%,100%{transform:scale(1)} 50%{transform:scale(1.1)} }
             @keyframes glow { from{box-shadow:0 0 4px #ffcc00} to{box-shadow:0 0 12px #ff6600} }
+            @keyframes floatUp { from{opacity:1;margin-top:0} to{opacity:0;margin-top:-30px} }
+            @keyframes shake { 0%,100%{transform:translateX(0)} 25%{transform:translateX(-6px)} 75%{transform:translateX(6px)} }
         </style>`;
     },
 
@@ -222,12 +337,15 @@ const BattleUI = {
         let html = '<div style="font-size:12px;color:#888;margin-bottom:8px">SKILLS</div><div style="display:grid;gap:6px">';
         const me = BattleUI.state.me;
         for (const sk of skills) {
-            const canUse = me.mp >= sk.mpCost;
+            const canUse = me.mp >= sk.mpCost && !sk.disabled;
+            const timing = sk.cooldownLeft > 0 ? ` ⏳${sk.cooldownLeft}`
+                : (sk.chargesLeft !== null && sk.chargesLeft !== undefined ? ` ×${sk.chargesLeft}` : '');
             html += `<button onclick="BattleUI.sendAction({skillId:${sk.id}})" ${canUse?'':'disabled'}
                 style="padding:8px 12px;background:${canUse?'#1a1a2a':'#1a1a1a'};border:1px solid ${canUse?'#4466aa':'#333'};
                 color:${canUse?'#aaccff':'#555'};cursor:${canUse?'pointer':'not-allowed'};border-radius:4px;
                 font-family:monospace;font-size:12px;text-align:left">
-                ${sk.icon} ${sk.name} <span style="float:right;color:${canUse?'#6699ff':'#444'}">${sk.mpCost} MP</span>
+                ${sk.icon} ${sk.name}${BattleUI._targetTag(sk.targetType)}${sk.castTime ? ` <span style="color:#cc99ff">🔮${sk.castTime}</span>` : ''}
+                <span style="float:right;color:${canUse?'#6699ff':'#444'}">${sk.mpCost} MP${timing}</span>
             </button>`;
         }
         html += '</div>' + BattleUI._backBtn();
@@ -255,22 +373,445 @@ const BattleUI = {
             html += `<button onclick="BattleUI.sendAction({limitId:${lb.id}})"
                 style="padding:10px 12px;background:#330000;border:2px solid #ff6600;color:#ffcc00;cursor:pointer;
                 border-radius:4px;font-family:monospace;font-size:13px;text-align:left">
-                ${lb.icon} ${lb.name} <span style="float:right;font-size:10px;color:#ff8800">Lv${lb.breakLevel}</span>
+                ${lb.icon} ${lb.name}${BattleUI._targetTag(lb.targetType)} <span style="float:right;font-size:10px;color:#ff8800">Lv${lb.breakLevel}</span>
             </button>`;
         }
         html += '</div>' + BattleUI._backBtn();
         return html;
     },
 
+    // Small hint for skills that ignore the picked target
+    _targetTag(type) {
+        const label = { SELF: 'self', ALL_ENEMIES: 'all foes', ALL_ALLIES: 'party',
+                        RANDOM_ENEMY: 'random foe', ALL: 'everyone' }[type];
+        return label ? ` <span style="font-size:10px;color:#888">[${label}]</span>` : '';
+    },
+
     _backBtn() {
         return `<button onclick="BattleUI.currentMenu='main';BattleUI.render()"
             style="margin-top:8px;padding:6px;background:#222;border:1px solid #444;color:#888;cursor:pointer;
             border-radius:4px;font-family:monospace;font-size:11px;width:100%">← BACK</button>`;
     },
 
+    // Compact HP/MP card for an enemy or ally; click to select as target
+    _combatantCard(c, kind, readOnly = false) {
+        const isEnemy = kind === 'enemy';
+        const clickable = !readOnly && !c.defeated;
+        const selected = !readOnly && BattleUI.targetId === c.id;
+        const turn = !readOnly && BattleUI.state && BattleUI.state.turnCharId === c.id;
+        const border = selected ? '#ffcc00' : (isEnemy ? '#600' : '#060');
+        const hpColor = isEnemy ? '#ff6666' : '#00ff66';
+        const hpGrad = isEnemy ? '#ff3333,#ff6666' : '#00cc00,#00ff66';
+        const mpPct = c.maxMp ? (c.mp / c.maxMp * 100) : 0;
+        return `
+            <div id="${readOnly ? '' : `bcard-${c.id}`}" onclick="${clickable ? `BattleUI.selectTarget(${c.id})` : ''}"
+                style="position:relative;width:${isEnemy ? '350px' : 'auto'};background:${isEnemy ? 'rgba(50,0,0,0.6)' : 'rgba(0,30,0,0.4)'};
+                border:1px solid ${border};padding:${isEnemy ? 16 : 10}px;border-radius:8px;
+                cursor:${clickable ? 'pointer' : 'default'};opacity:${c.defeated ? 0.35 : 1}">
+                <div style="display:flex;justify-content:space-between;align-items:center">
+                    <span style="font-size:${isEnemy ? 18 : 14}px;color:${hpColor};font-weight:bold">
+                        ${turn ? '▶ ' : ''}${c.boss ? '👑 ' : ''}${c.name}${c.defeated ? ' 💀' : ''}${c.disconnected ? ' 📴' : ''}</span>
+                    <span style="font-size:12px;color:#888">${BattleUI._statusIcons(c.statuses)}</span>
+                </div>
+                ${c.phase ? `<div style="font-size:10px;color:#ff9966;margin-top:2px">⚠️ ${c.phase}</div>` : ''}
+                ${BattleUI._castingTag(c)}
+                <div style="margin-top:8px">
+                    <div style="display:flex;align-items:center;gap:6px">
+                        <span style="font-size:10px;color:#888;width:20px">HP</span>
+                        <div style="flex:1;height:8px;background:#333;border-radius:4px;overflow:hidden">
+                            <div style="width:${(c.hp/c.maxHp*100)}%;height:100%;background:linear-gradient(90deg,${hpGrad});border-radius:4px;transition:width 0.5s"></div>
+                        </div>
+                        <span style="font-size:10px;color:${hpColor};width:60px;text-align:right">${c.hp}/${c.maxHp}</span>
+                    </div>
+                    <div style="display:flex;align-items:center;gap:6px;margin-top:4px">
+                        <span style="font-size:10px;color:#888;width:20px">MP</span>
+                        <div style="flex:1;height:6px;background:#333;border-radius:3px;overflow:hidden">
+                            <div style="width:${mpPct}%;height:100%;background:linear-gradient(90deg,#3366ff,#6699ff);border-radius:3px"></div>
+                        </div>
+                        <span style="font-size:10px;color:#6699ff;width:60px;text-align:right">${c.mp}/${c.maxMp}</span>
+                    </div>
+                    ${BattleUI._gaugeBar(c)}
+                </div>
+            </div>`;
+    },
+
+    // ATB readiness bar (only present in ATB battles)
+    _gaugeBar(c) {
+        if (c.gauge === undefined) return '';
+        return `<div style="display:flex;align-items:center;gap:6px;margin-top:4px">
+            <span style="font-size:10px;color:#888;width:20px">ATB</span>
+            <div style="flex:1;height:4px;background:#333;border-radius:2px;overflow:hidden">
+                <div id="atb-${c.id}" style="width:${c.gauge}%;height:100%;background:#03dac6;transition:width 0.5s linear"></div>
+            </div>
+        </div>`;
+    },
+
+    // Upcoming actors: the initiative queue, or who's ready in ATB
+    _turnQueue(s, fighters) {
+        if (!s.queue || !s.queue.length) return '';
+        const names = s.queue.map(id => {
+            const f = fighters.find(c => c.id === id);
+            return f ? `<span style="color:${id === s.myId ? '#00ff66' : '#ccc'}">${f.name}</span>` : '';
+        }).filter(Boolean);
+        const label = s.turnMode === 'ATB' ? 'READY' : 'NEXT';
+        return `<div style="color:#888;font-size:11px;margin-top:8px">${label}: ${names.join(' › ')}</div>`;
+    },
+
+    selectTarget(charId) {
+        BattleUI.targetId = charId;
+        BattleUI.render();
+    },
+
+    _castingTag(c) {
+        if (!c.casting) return '';
+        return `<div style="font-size:10px;color:#cc99ff;margin-top:2px">🔮 Casting ${c.casting.name} (${c.casting.turnsLeft})</div>`;
+    },
+
     _statusIcons(statuses) {
         if (!statuses || !statuses.length) return '';
-        return statuses.map(s => `<span title="${s.name} (${s.turns}t)">${s.icon||'⚡'}</span>`).join(' ');
+        return statuses.map(s => `<span title="${s.name} (${s.turns}t)">${s.icon||'⚡'}${s.stacks > 1 ? `<sub>×${s.stacks}</sub>` : ''}</span>`).join(' ');
+    },
+
+    // =============================================================
+    // SPECTATOR MODE — watch a live fight
+    // =============================================================
+    // The server sends spectators the public state (no "me", no commands),
+    // so both sides are drawn read-only, side 0 at the bottom like a replay.
+    _renderSpectator() {
+        const s = BattleUI.state;
+        let overlay = document.getElementById('battleOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'battleOverlay';
+            overlay.style.cssText = `position:fixed;top:0;left:0;width:100%;height:100%;z-index:150;
+                background:rgba(0,0,0,0.85);display:flex;flex-direction:column;font-family:'Courier New',monospace;color:#fff`;
+            document.body.appendChild(overlay);
+        }
+
+        const all = s.combatants || [];
+        const sideA = all.filter(c => c.side !== 0);
+        const sideB = all.filter(c => c.side === 0);
+        const actor = all.find(c => c.id === s.turnCharId);
+        const btn = 'padding:6px 12px;background:#222;border:1px solid #555;color:#ccc;cursor:pointer;border-radius:4px;font-family:monospace';
+
+        overlay.innerHTML = `
+        <div style="padding:20px 40px;display:flex;justify-content:flex-end;gap:12px;flex-wrap:wrap">
+            ${sideA.map(c => BattleUI._combatantCard(c, 'enemy', true)).join('')}
+        </div>
+        <div style="flex:1;display:flex;flex-direction:column;align-items:center;justify-content:center;gap:8px">
+            <div style="color:#ffcc00;font-size:12px">👁 SPECTATING · Battle #${s.battleId} · Turn ${s.turn} · Round ${s.round || 1}</div>
+            <div style="color:#ccc;font-size:14px">${actor ? `${actor.name}'s turn` : 'Waiting...'}</div>
+            <div id="battleTurnClock" style="color:#888;font-size:11px"></div>
+            ${BattleUI._turnQueue(s, all)}
+            <div style="min-height:60px;text-align:center;color:#ddd;font-size:12px">
+                ${(s.log || []).slice(-4).map(l => `<div>${l.text || l.action || ''}</div>`).join('')}
+            </div>
+            <div style="color:#888;font-size:11px">👁 ${s.spectators || 1} watching</div>
+            ${BattleUI._duelPot(s)}
+            <button style="${btn}" onclick="BattleUI.stopSpectating()">✕ Leave</button>
+        </div>
+        <div style="padding:0 40px 20px;display:flex;gap:12px;flex-wrap:wrap">
+            ${sideB.map(c => BattleUI._combatantCard(c, 'ally', true)).join('')}
+        </div>`;
+    },
+
+    stopSpectating() {
+        Game.socket.emit('battle_unspectate');
+        BattleUI.active = false;
+        BattleUI.spectator = false;
+        BattleUI.state = null;
+        Game.dialogueOpen = false;
+        clearInterval(BattleUI.clockTimer);
+        document.getElementById('battleOverlay')?.remove();
+    },
+
+    // [V] List of fights this player may watch (this map, arenas, guildmates)
+    toggleLiveList() {
+        const open = document.getElementById('liveBattles');
+        if (open) return open.remove();
+        Game.socket.emit('battle_list', {}, (res) => {
+            if (!res || !res.success) return;
+            const n = document.createElement('div');
+            n.id = 'liveBattles';
+            n.style.cssText = `position:fixed;top:80px;right:20px;z-index:140;width:320px;max-height:60vh;overflow-y:auto;
+                background:rgba(5,8,14,0.95);border:1px solid #444;border-radius:8px;padding:12px;
+                font-family:'Courier New',monospace;font-size:12px;color:#ccc`;
+            const rows = res.battles.map(b => {
+                const vs = b.sides.map(side => (side || []).map(c => c.name).join(', ')).join(' <span style="color:#ff6666">vs</span> ');
+                return `<div style="border-bottom:1px solid #222;padding:6px 0">
+                    <div>${b.arenaId ? '🏟️' : b.type === 'PVP' ? '⚔️' : '🐉'} ${vs}</div>
+                    <div style="color:#666;font-size:10px;margin-top:2px">Round ${b.round} · 👁 ${b.spectators}
+                        <a href="#" style="color:#03dac6;float:right" onclick="Game.socket.emit('battle_spectate',{battleId:${b.battleId}});return false">Watch</a></div>
+                </div>`;
+            }).join('');
+            n.innerHTML = `<div style="color:#ffcc00;font-weight:bold;margin-bottom:6px">👁 LIVE BATTLES
+                    <a href="#" style="color:#888;float:right" onclick="this.closest('#liveBattles').remove();return false">✕</a></div>
+                ${rows || '<div style="color:#666">No fights to watch right now.</div>'}`;
+            document.body.appendChild(n);
+        });
+    },
+
+    // =============================================================
+    // ARENA — matchmaking queues + ladder
+    // =============================================================
+    // Queue state arrives as arena_queue socket events (game_engine.js
+    // turns them into notifications and calls _arenaStatus).
+    async toggleArena() {
+        const open = document.getElementById('arenaPanel');
+        if (open) return open.remove();
+        let arenas = [], ladder = { ranks: [] }, tournaments = [];
+        try {
+            const [a, l, t] = await Promise.all([
+                fetch('/api/arena/list').then(r => r.json()),
+                fetch('/api/arena/leaderboard?limit=10').then(r => r.json()),
+                fetch('/api/arena/tournaments').then(r => r.json())
+            ]);
+            if (a.success) arenas = a.data;
+            if (l.success) ladder = l.data;
+            if (t.success) tournaments = t.data;
+        } catch (e) {
+            return showNotification('⚠️ Arena unavailable', 'damage');
+        }
+
+        const n = document.createElement('div');
+        n.id = 'arenaPanel';
+        n.style.cssText = `position:fixed;top:80px;right:20px;z-index:140;width:340px;max-height:70vh;overflow-y:auto;
+            background:rgba(5,8,14,0.95);border:1px solid #444;border-radius:8px;padding:12px;
+            font-family:'Courier New',monospace;font-size:12px;color:#ccc`;
+        const link = 'color:#03dac6;float:right;cursor:pointer';
+        const rows = arenas.filter(a => a.type === 'QUEUE').map(a => `
+            <div style="border-bottom:1px solid #222;padding:6px 0">
+                <div><b>${a.name}</b> <span style="color:#666">Lv ${a.min_level}-${a.max_level}</span>
+                ${BattleUI.queuedArena === a.id
+                    ? `<a style="${link};color:#f85149" onclick="Game.socket.emit('arena_queue_leave')">Leave</a>`
+                    : `<a style="${link}" onclick="Game.socket.emit('arena_queue_join',{arenaId:${a.id}})">Queue</a>`}</div>
+                <div style="color:#666;font-size:10px;margin-top:2px">Fee ${a.entry_fee}g · Rewards ×${a.reward_multiplier} · ${a.queued} waiting</div>
+            </div>`).join('');
+        const ranks = (ladder.ranks || []).map(r =>
+            `<div style="display:flex;justify-content:space-between"><span>${r.rank}. ${r.name}</span><span style="color:#ffcc00">${r.rating} <span style="color:#666">${r.wins}-${r.losses}</span></span></div>`
+        ).join('');
+        const cups = tournaments.map(t => `
+            <div style="border-bottom:1px solid #222;padding:6px 0">
+                <div><b>${t.name}</b> <span style="color:#666">${BattleUI._formatName(t.format)}</span>
+                    <a style="${link}" onclick="BattleUI.showBracket(${t.id})">${t.status === 'SIGNUP' ? 'Details' : 'Bracket'}</a></div>
+                <div style="color:#666;font-size:10px;margin-top:2px">${t.status === 'SIGNUP'
+                    ? `${t.entrants}/${t.max_players} signed up · starts ${new Date(t.starts_at).toLocaleString()}${t.entry_fee ? ` · fee ${t.entry_fee}g` : ''}`
+                    : t.status}</div>
+            </div>`).join('');
+        n.innerHTML = `<div style="color:#ffcc00;font-weight:bold;margin-bottom:6px">🏟️ RANKED ARENA
+                <a href="#" style="color:#888;float:right" onclick="this.closest('#arenaPanel').remove();return false">✕</a></div>
+            ${rows || '<div style="color:#666">No ranked arenas are open.</div>'}
+            <div style="color:#ffcc00;font-weight:bold;margin:10px 0 4px">🏆 ${ladder.season && ladder.season.name || 'LADDER'}</div>
+            ${ranks || '<div style="color:#666">Nobody is ranked yet.</div>'}
+            <div style="color:#ffcc00;font-weight:bold;margin:10px 0 4px">🎖️ TOURNAMENTS</div>
+            ${cups || '<div style="color:#666">No tournaments scheduled.</div>'}`;
+        document.body.appendChild(n);
+    },
+
+    _arenaStatus(data) {
+        BattleUI.queuedArena = data.status === 'QUEUED' ? data.arenaId : null;
+        if (document.getElementById('arenaPanel')) {
+            document.getElementById('arenaPanel').remove();
+            if (data.status !== 'MATCHED') BattleUI.toggleArena();
+        }
+    },
+
+    // =============================================================
+    // TOURNAMENT BRACKETS
+    // =============================================================
+    // Sign-ups go over the socket (tournament_signup / _withdraw); the
+    // server schedules the matches, so this view only reads
+    // GET /api/arena/tournaments/:id and refreshes on tournament_update.
+
+    _formatName(format) {
+        return { SINGLE_ELIM: 'Single elimination', DOUBLE_ELIM: 'Double elimination', ROUND_ROBIN: 'Round robin' }[format] || format;
+    },
+
+    async showBracket(id) {
+        let t;
+        try {
+            const res = await fetch(`/api/arena/tournaments/${id}`).then(r => r.json());
+            if (!res.success) return showNotification('⚠️ ' + (res.error || 'Bracket unavailable'), 'damage');
+            t = res.data;
+        } catch (e) {
+            return showNotification('⚠️ Bracket unavailable', 'damage');
+        }
+        BattleUI.bracketId = id;
+
+        let n = document.getElementById('bracketPanel');
+        if (!n) {
+            n = document.createElement('div');
+            n.id = 'bracketPanel';
+            n.style.cssText = `position:fixed;top:60px;left:50%;transform:translateX(-50%);z-index:145;max-width:90vw;max-height:80vh;
+                overflow:auto;background:rgba(5,8,14,0.97);border:1px solid #444;border-radius:8px;padding:12px;
+                font-family:'Courier New',monospace;font-size:12px;color:#ccc`;
+            document.body.appendChild(n);
+        }
+
+        const me = Number(Game.myCharId);
+        const names = (t.bracket && t.bracket.names) || Object.fromEntries(t.entries.map(e => [e.character_id, e.name]));
+        const who = id => id === 0 ? '<span style="color:#444">bye</span>' : id === null ? '<span style="color:#444">—</span>'
+            : `<span style="${id === me ? 'color:#03dac6' : ''}">${names[id] || '#' + id}</span>`;
+        const signedUp = t.entries.some(e => e.character_id === me);
+        const link = 'color:#03dac6;cursor:pointer;margin-left:8px';
+        const signup = !t.signupOpen ? ''
+            : signedUp ? `<a style="${link};color:#f85149" onclick="Game.socket.emit('tournament_withdraw',{tournamentId:${t.id}})">Withdraw</a>`
+            : `<a style="${link}" onclick="Game.socket.emit('tournament_signup',{tournamentId:${t.id}})">Sign up${t.entry_fee ? ` (${t.entry_fee}g)` : ''}</a>`;
+        const prizes = (t.prizes || []).map(p =>
+            `#${p.place}: ${[p.gold ? `${p.gold}g` : '', (p.items || []).length ? `${p.items.length} item(s)` : ''].filter(Boolean).join(' + ')}`
+        ).join(' · ');
+
+        // One box per match; winners in green, live ones can be watched
+        const box = m => `
+            <div style="border:1px solid ${m.status === 'LIVE' ? '#ffcc00' : '#333'};border-radius:4px;padding:4px 6px;margin:4px 0;min-width:130px">
+                ${[m.a, m.b].map(id => `<div style="${m.winner === id && id ? 'color:#3fb950;font-weight:bold' : m.status === 'DONE' ? 'color:#666' : ''}">${who(id)}</div>`).join('')}
+                <div style="color:#666;font-size:10px">${m.status === 'LIVE'
+                    ? `<a href="#" style="color:#ffcc00" onclick="Game.socket.emit('battle_spectate',{battleId:${m.battleId}});return false">👁 LIVE</a>`
+                    : m.status === 'DONE' ? (m.result === 'FORFEIT' ? 'forfeit' : m.result === 'BYE' ? 'bye' : 'done')
+                    : m.status === 'READY' ? (m.calledAt ? 'called' : 'ready') : ''}</div>
+            </div>`;
+        const columns = (matches, label) => {
+            const rounds = [...new Set(matches.map(m => m.round))].sort((x, y) => x - y);
+            return `<div style="color:#ffcc00;margin:8px 0 2px">${label}</div><div style="display:flex;gap:12px;align-items:center">
+                ${rounds.map(r => `<div><div style="color:#666;font-size:10px">Round ${r}</div>
+                    ${matches.filter(m => m.round === r).map(box).join('')}</div>`).join('')}</div>`;
+        };
+
+        let body;
+        const b = t.bracket;
+        if (!b) {
+            body = `<div style="color:#ffcc00;margin:8px 0 2px">Entrants (${t.entries.length}/${t.max_players})</div>`
+                + (t.entries.map(e => `<div>${who(e.character_id)} <span style="color:#666">Lv ${e.level}</span></div>`).join('')
+                    || '<div style="color:#666">Nobody has signed up yet.</div>');
+        } else if (b.format === 'ROUND_ROBIN') {
+            body = `<div style="color:#ffcc00;margin:8px 0 2px">Standings</div>`
+                + (t.standings || []).map((s, i) => `<div>${i + 1}. ${who(s.charId)} <span style="color:#666">${s.wins}-${s.losses}</span></div>`).join('')
+                + columns(b.matches, 'Matches');
+        } else {
+            const section = code => b.matches.filter(m => m.section === code);
+            body = columns(section('W'), b.format === 'DOUBLE_ELIM' ? "Winners' bracket" : 'Bracket')
+                + (section('L').length ? columns(section('L'), "Losers' bracket") : '')
+                + (section('GF').length ? columns(section('GF'), 'Grand final') : '');
+        }
+        const placed = t.entries.filter(e => e.placement).sort((x, y) => x.placement - y.placement)
+            .map(e => `#${e.placement} ${who(e.character_id)}`).join(' · ');
+
+        n.innerHTML = `<div style="color:#ffcc00;font-weight:bold">🎖️ ${t.name}
+                <a href="#" style="color:#888;float:right;margin-left:12px" onclick="BattleUI.bracketId=null;this.closest('#bracketPanel').remove();return false">✕</a></div>
+            <div style="color:#666;font-size:10px;margin:2px 0 4px">${BattleUI._formatName(t.format)} · ${t.status}
+                · starts ${new Date(t.starts_at).toLocaleString()}${signup}</div>
+            ${prizes ? `<div style="font-size:10px">🏅 ${prizes}</div>` : ''}
+            ${placed ? `<div style="margin-top:4px">${placed}</div>` : ''}
+            ${body}`;
+    },
+
+    _tournamentStatus(data) {
+        if (BattleUI.bracketId && (!data.tournamentId || data.tournamentId === BattleUI.bracketId)
+            && document.getElementById('bracketPanel')) {
+            BattleUI.showBracket(BattleUI.bracketId);
+        }
+    },
+
+    // =============================================================
+    // REPLAY VIEWER — step through a finished battle
+    // =============================================================
+    // The server re-simulates the fight from its seed + action list
+    // (GET /api/battles/:id/replay) and sends one frame per action.
+    _offerReplay(battleId) {
+        if (!battleId) return;
+        document.getElementById('replayToast')?.remove();
+        const n = document.createElement('div');
+        n.id = 'replayToast';
+        n.style.cssText = `position:fixed;bottom:20px;right:20px;z-index:160;background:rgba(5,8,14,0.95);
+            border:1px solid #444;border-radius:8px;padding:10px 14px;font-family:'Courier New',monospace;font-size:12px;color:#ccc`;
+        n.innerHTML = `🎬 <a href="#" style="color:#03dac6" onclick="BattleUI.replay(${battleId});this.parentNode.remove();return false">Watch replay</a>`;
+        document.body.appendChild(n);
+        setTimeout(() => n.remove(), 10000);
+    },
+
+    async replay(battleId) {
+        if (BattleUI.active) return;
+        try {
+            const res = await fetch(`/api/battles/${battleId}/replay`).then(r => r.json());
+            if (!res.success) return showNotification('⚠️ ' + (res.error || 'Replay unavailable'), 'damage');
+            BattleUI.replayData = res.data;
+            BattleUI.replayFrame = 0;
+            Game.dialogueOpen = true;
+            BattleUI._renderReplay();
+        } catch (e) {
+            showNotification('⚠️ Replay unavailable', 'damage');
+        }
+    },
+
+    replayStep(delta) {
+        const r = BattleUI.replayData;
+        if (!r) return;
+        BattleUI.replayFrame = Math.max(0, Math.min(r.frames.length - 1, BattleUI.replayFrame + delta));
+        BattleUI._renderReplay();
+    },
+
+    replayTogglePlay() {
+        if (BattleUI.replayTimer) {
+            clearInterval(BattleUI.replayTimer);
+            BattleUI.replayTimer = null;
+        } else {
+            BattleUI.replayTimer = setInterval(() => {
+                const r = BattleUI.replayData;
+                if (!r || BattleUI.replayFrame >= r.frames.length - 1) return BattleUI.replayTogglePlay();
+                BattleUI.replayStep(1);
+            }, 1200);
+        }
+        BattleUI._renderReplay();
+    },
+
+    closeReplay() {
+        if (BattleUI.replayTimer) clearInterval(BattleUI.replayTimer);
+        BattleUI.replayTimer = null;
+        BattleUI.replayData = null;
+        Game.dialogueOpen = false;
+        document.getElementById('battleOverlay')?.remove();
+    },
+
+    _renderReplay() {
+        const r = BattleUI.replayData;
+        if (!r) return;
+        const frame = r.frames[BattleUI.replayFrame];
+        const st = frame.state;
+
+        let overlay = document.getElementById('battleOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'battleOverlay';
+            overlay.style.cssText = `position:fixed;top:0;left:0;width:100%;height:100%;z-index:150;
+                background:rgba(0,0,0,0.85);display:flex;flex-direction:column;font-family:'Courier New',monospace;color:#fff`;
+            document.body.appendChild(overlay);
+        }
+
+        const sideA = st.combatants.filter(c => c.side !== 0);
+        const sideB = st.combatants.filter(c => c.side === 0);
+        const lines = frame.action ? frame.action.log : ['Battle begins!'];
+        const btn = 'padding:6px 12px;background:#222;border:1px solid #555;color:#ccc;cursor:pointer;border-radius:4px;font-family:monospace';
+
+        overlay.innerHTML = `
+        <div style="padding:20px 40px;display:flex;justify-content:flex-end;gap:12px;flex-wrap:wrap">
+            ${sideA.map(c => BattleUI._combatantCard(c, 'enemy', true)).join('')}
+        </div>
+        <div style="flex:1;display:flex;flex-direction:column;align-items:center;justify-content:center;gap:8px">
+            <div style="color:#ffcc00;font-size:12px">🎬 REPLAY · Battle #${r.battleId} · Frame ${BattleUI.replayFrame}/${r.frames.length - 1}</div>
+            <div style="min-height:60px;text-align:center;color:#ddd;font-size:13px">${lines.map(l => `<div>${l}</div>`).join('')}</div>
+            <div style="display:flex;gap:8px">
+                <button style="${btn}" onclick="BattleUI.replayStep(-1)">◀</button>
+                <button style="${btn}" onclick="BattleUI.replayTogglePlay()">${BattleUI.replayTimer ? '⏸' : '▶ Play'}</button>
+                <button style="${btn}" onclick="BattleUI.replayStep(1)">▶</button>
+                <button style="${btn}" onclick="BattleUI.closeReplay()">✕ Close</button>
+            </div>
+            <div style="font-size:10px;color:${r.matches ? '#3fb950' : '#f85149'}">
+                ${r.matches ? '✔ Re-simulation matches the recorded log' : '⚠ Re-simulation differs from the recorded log'}
+                · seed ${r.seed}</div>
+        </div>
+        <div style="padding:0 40px 20px;display:flex;gap:12px;flex-wrap:wrap">
+            ${sideB.map(c => BattleUI._combatantCard(c, 'ally', true)).join('')}
+        </div>`;
     },
 
     // --- SEND ACTION TO SERVER ---
@@ -278,6 +819,7 @@ const BattleUI = {
         if (!BattleUI.state || !BattleUI.state.isMyTurn) return;
         Game.socket.emit('battle_action', {
             battleId: BattleUI.state.battleId,
+            targetId: BattleUI.targetId,
             ...action
         });
         // Disable menu until server responds
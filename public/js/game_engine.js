@@ -219,12 +219,6 @@ function playEventQueue(queue) {
             playEventQueue(queue);
             return;
 
-        case 'start_battle':
-            showNotification('⚔️ Battle starting!', 'battle');
-            // TODO: Hook into battle engine
-            playEventQueue(queue);
-            break;
-
         case 'sound':
             // TODO: Play audio file when audio system is built
             playEventQueue(queue);
@@ -289,7 +283,37 @@ Game.socket.on('battle_update', (data) => {
     if (data.forCharId && data.forCharId !== Game.myCharId) return;
     BattleUI.update(data);
 });
+Game.socket.on('battle_atb', (data) => BattleUI.updateGauges(data));
 Game.socket.on('battle_error', (msg) => showNotification('⚠️ ' + msg, 'damage'));
+Game.socket.on('arena_queue', (data) => {
+    if (data.status === 'ERROR') return showNotification('⚠️ ' + data.error, 'damage');
+    if (data.status === 'QUEUED') showNotification(`🏟️ Queued (rating ${data.rating}${data.fee ? `, paid ${data.fee}g` : ''})`, 'battle');
+    if (data.status === 'LEFT') showNotification('🏟️ Left the queue', 'battle');
+    if (data.status === 'MATCHED') showNotification(`🏟️ Match found: ${data.opponent} (${data.opponentRating})`, 'battle');
+    BattleUI._arenaStatus(data);
+});
+Game.socket.on('tournament_match', (data) => {
+    if (data.status === 'ERROR') return showNotification('⚠️ ' + data.error, 'damage');
+    if (data.status === 'SIGNED_UP') showNotification(`🎖️ Signed up (${data.entrants} entered${data.fee ? `, paid ${data.fee}g` : ''})`, 'battle');
+    if (data.status === 'WITHDRAWN') showNotification('🎖️ Withdrawn — entry fee refunded', 'battle');
+    if (data.status === 'CALLED') showNotification(`🎖️ Tournament match vs ${data.opponent} — be free within ${data.forfeitIn}s or forfeit!`, 'battle');
+    if (data.status === 'PLACED') showNotification(`🎖️ You placed #${data.place}!${data.prize && data.prize.gold ? ` +${data.prize.gold}g` : ''}`, 'gold');
+    BattleUI._tournamentStatus(data);
+});
+Game.socket.on('tournament_update', (data) => {
+    if (data.status === 'RUNNING' && data.name) showNotification(`🎖️ ${data.name} has begun!`, 'battle');
+    if (data.status === 'FINISHED' && data.winner) showNotification(`🎖️ ${data.name}: ${data.winner} wins!`, 'quest_complete');
+    if (data.status === 'CANCELLED') showNotification(`🎖️ ${data.name} was cancelled${data.reason ? ': ' + data.reason : ''}`, 'damage');
+    BattleUI._tournamentStatus(data);
+});
+Game.socket.on('quest_progress', (list) => {
+    for (const p of list || []) {
+        if (p.readyToTurnIn) showNotification(`📜 ${p.title}: ready to turn in!`, 'quest_complete');
+        else showNotification(`📜 ${p.text} (${p.current}/${p.target})`, 'quest');
+    }
+    if (typeof QuestUI !== 'undefined') QuestUI.load();
+    if (typeof updateQuestTracker === 'function') updateQuestTracker();
+});
 Game.socket.on('battle_challenged', (data) => {
     // Teaching: Never use browser confirm() for real-time events —
     // it blocks the entire JS thread which also blocks socket.io heartbeats,
@@ -301,15 +325,22 @@ Game.socket.on('battle_challenged', (data) => {
         background:rgba(5,8,14,0.97);border:1px solid rgba(248,81,73,0.6);border-radius:12px;
         padding:16px 24px;z-index:200;color:#e8eef6;font-size:14px;text-align:center;
         box-shadow:0 0 20px rgba(248,81,73,0.2);min-width:300px;`;
+    // Duel: show the stakes; accepting matches the gold, and you can put up items too
+    const d = data.duel;
+    const stakes = d ? [d.gold ? `💰 ${d.gold} gold each` : '',
+        ...d.items.map(it => `${it.icon} ${_escHtml(it.name)}${it.quantity > 1 ? ' x' + it.quantity : ''}`)].filter(Boolean).join(' · ') : '';
     n.innerHTML = `
-        <div style="color:#f85149;font-weight:bold;font-size:16px;margin-bottom:8px">⚔️ PvP CHALLENGE</div>
-        <div style="color:#c9d1d9;margin-bottom:14px"><b>${_escHtml(data.challengerName)}</b> challenges you to battle!</div>
+        <div style="color:#f85149;font-weight:bold;font-size:16px;margin-bottom:8px">${d ? '🎲 DUEL CHALLENGE' : '⚔️ PvP CHALLENGE'}</div>
+        <div style="color:#c9d1d9;margin-bottom:${d ? 6 : 14}px"><b>${_escHtml(data.challengerName)}</b> challenges ${data.withParty ? 'your party' : 'you'} to ${d ? 'a duel' : 'battle'}!</div>
+        ${d ? `<div style="color:#ffaa00;font-size:12px;margin-bottom:4px">Stakes: ${stakes}</div>
+            <div style="color:#8b949e;font-size:11px;margin-bottom:14px">Winner takes the pot · no HP or XP lost ·
+                <a href="#" style="color:#03dac6" onclick="document.getElementById('pvpChallengeToast')?.remove();NearbyUI.stakePanel('Your stake',${d.gold},w=>Game.socket.emit('battle_accept',{challengerCharId:${data.challengerCharId},wager:w}));return false">add items</a></div>` : ''}
         <div style="display:flex;gap:10px;justify-content:center">
-            <button onclick="Game.socket.emit('battle_accept',{challengerCharId:${data.challengerCharId}});document.getElementById('pvpChallengeToast')?.remove()"
+            <button onclick="Game.socket.emit('battle_accept',{challengerCharId:${data.challengerCharId},withParty:${!!data.withParty}});document.getElementById('pvpChallengeToast')?.remove()"
                 style="padding:8px 20px;background:rgba(248,81,73,0.2);border:1px solid #f85149;color:#f85149;
                 cursor:pointer;border-radius:7px;font-size:13px;font-weight:bold;font-family:'Courier New',monospace">
                 ⚔️ Fight!</button>
-            <button onclick="document.getElementById('pvpChallengeToast')?.remove()"
+            <button onclick="Game.socket.emit('battle_decline',{challengerCharId:${data.challengerCharId}});document.getElementById('pvpChallengeToast')?.remove()"
                 style="padding:8px 20px;background:rgba(255,255,255,0.05);border:1px solid #30363d;color:#8b949e;
                 cursor:pointer;border-radius:7px;font-size:13px;font-family:'Courier New',monospace">
                 Decline</button>
@@ -324,7 +355,7 @@ Game.socket.on('battle_challenged', (data) => {
 // Random encounters
 Game.socket.on('random_encounter', (data) => {
     showNotification(`👹 ${data.zoneName}: ${data.npcName} appears!`, 'battle');
-    Game.socket.emit('start_pve_battle', { enemyCharId: data.npcId });
+    Game.socket.emit('start_pve_battle', { npcId: data.npcId });
 });
 
 // --- SCREEN EFFECTS ---
@@ -546,6 +577,10 @@ window.addEventListener('keydown', (e) => {
         if (typeof WorldMapUI !== 'undefined') WorldMapUI.toggle();
         return;
     }
+    if ((e.key === 'v' || e.key === 'V') && !Panels.open && !BattleUI.active) {
+        BattleUI.toggleLiveList();
+        return;
+    }
     if (e.key === 'Escape' && Panels.open)  { Panels.close(); return; }
     if (e.key === 'Escape' && typeof QuestUI     !== 'undefined' && QuestUI.open)     { QuestUI.close();     return; }
     if (e.key === 'Escape' && typeof PartyUI     !== 'undefined' && PartyUI.open)     { PartyUI.close();     return; }
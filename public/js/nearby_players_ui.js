@@ -14,7 +14,8 @@
 // Each player row has three action buttons:
 //   [💬 DM]       — opens ChatUI on DM tab with this player pre-filled
 //   [🤝 Trade]    — sends a trade_request socket event via TradeUI
-//   [⚔️ Challenge] — sends a battle_challenge socket event (PvP)
+//   [⚔️ Challenge] — sends a battle_challenge socket event (PvP, optionally party-vs-party)
+//   [🎲 Duel]      — battle_challenge with a wager (gold/items held in escrow, no HP loss)
 //
 // The panel is attached to the existing 👥 player count element in the
 // HUD. Clicking it toggles the panel open/closed. The panel is a small
@@ -136,6 +137,9 @@ const NearbyUI = {
                 <button class="nb-btn nb-pvp"
                     onclick="NearbyUI.challenge(${p.charId},'${NearbyUI._esc(p.name)}')"
                     title="PvP Challenge">⚔️</button>
+                <button class="nb-btn nb-duel"
+                    onclick="NearbyUI.duel(${p.charId},'${NearbyUI._esc(p.name)}')"
+                    title="Wager Duel">🎲</button>
             </div>
         </div>`;
     },
@@ -157,13 +161,67 @@ const NearbyUI = {
 
     challenge(targetCharId, name) {
         if (!confirm(`Challenge ${name} to a PvP battle?`)) return;
+        // In a party? Offer a party-vs-party fight (their party joins them).
+        const party = typeof PartyUI !== 'undefined' ? PartyUI.party : null;
+        const withParty = !!(party && party.members && party.members.length > 1)
+            && confirm('Bring your party? (Their party will fight with them.)');
         if (typeof Game !== 'undefined') {
-            Game.socket.emit('battle_challenge', { targetCharId });
+            Game.socket.emit('battle_challenge', { targetCharId, withParty });
         }
         showNotification(`⚔️ Challenge sent to ${name}…`, 'battle');
         NearbyUI.close();
     },
 
+    // Duel: choose a gold stake (both sides pay it) and any items to put up
+    duel(targetCharId, name) {
+        NearbyUI.close();
+        NearbyUI.stakePanel(`🎲 Duel ${name}`, null, (wager) => {
+            Game.socket.emit('battle_challenge', { targetCharId, wager });
+            showNotification(`🎲 Duel challenge sent to ${name}…`, 'battle');
+        });
+    },
+
+    // ─── STAKE PANEL ─────────────────────────────────────────────
+    // Also used by the duel toast in game_engine.js when accepting.
+    // fixedGold: null = pick the gold stake; a number = matching it.
+    stakePanel(title, fixedGold, onStake) {
+        Game.socket.emit('get_char_data', (data) => {
+            document.getElementById('duelStakePanel')?.remove();
+            const inv = (data && data.inventory) || [];
+            const el = document.createElement('div');
+            el.id = 'duelStakePanel';
+            el.style.cssText = `position:fixed;top:90px;left:50%;transform:translateX(-50%);z-index:210;width:300px;
+                max-height:70vh;overflow-y:auto;background:rgba(5,8,14,0.97);border:1px solid rgba(255,170,0,0.5);
+                border-radius:10px;padding:14px;color:#e8eef6;font-family:'Courier New',monospace;font-size:12px`;
+            el.innerHTML = `
+                <div style="color:#ffaa00;font-weight:bold;margin-bottom:8px">${NearbyUI._esc(title)}</div>
+                <div style="margin-bottom:8px">💰 Gold each:
+                    ${fixedGold === null
+                        ? `<input id="duelGold" type="number" min="0" max="${data ? data.gold : 0}" value="0" style="width:80px">`
+                        : `<b>${fixedGold}</b>`}
+                    <span style="color:#484f58">(you have ${data ? data.gold : 0})</span></div>
+                <div style="color:#8b949e;font-size:10px;margin-bottom:4px">ITEMS TO STAKE</div>
+                ${inv.map(it => `<div style="display:flex;justify-content:space-between;align-items:center;margin:2px 0">
+                    <span>${it.icon || '📦'} ${NearbyUI._esc(it.name)} <span style="color:#484f58">x${it.quantity}</span></span>
+                    <input class="duelItem" data-item="${it.item_id}" type="number" min="0" max="${it.quantity}" value="0" style="width:46px">
+                </div>`).join('') || '<div style="color:#484f58">Your bag is empty.</div>'}
+                <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:10px">
+                    <button class="nb-stake-ok" style="padding:5px 14px;background:rgba(255,170,0,0.15);border:1px solid #ffaa00;color:#ffaa00;cursor:pointer;border-radius:6px">Stake</button>
+                    <button class="nb-stake-cancel" style="padding:5px 14px;background:none;border:1px solid #30363d;color:#8b949e;cursor:pointer;border-radius:6px">Cancel</button>
+                </div>`;
+            el.querySelector('.nb-stake-cancel').onclick = () => el.remove();
+            el.querySelector('.nb-stake-ok').onclick = () => {
+                const items = [...el.querySelectorAll('.duelItem')]
+                    .map(i => ({ itemId: parseInt(i.dataset.item, 10), quantity: parseInt(i.value, 10) || 0 }))
+                    .filter(i => i.quantity > 0);
+                const gold = fixedGold === null ? Math.max(0, parseInt(el.querySelector('#duelGold').value, 10) || 0) : fixedGold;
+                el.remove();
+                onStake({ gold, items });
+            };
+            document.body.appendChild(el);
+        });
+    },
+
     // ─── DOM SHELL ───────────────────────────────────────────────
     _buildShell() {
         let el = document.getElementById('nearbyPanel');
@@ -255,7 +313,8 @@ const NearbyUI = {
         }
         .nb-dm:hover    { background: rgba(187,134,252,0.15); border-color: rgba(187,134,252,0.4); }
         .nb-trade:hover { background: rgba(3,218,198,0.12);   border-color: rgba(3,218,198,0.35); }
-        .nb-pvp:hover   { background: rgba(248,81,73,0.12);   border-color: rgba(248,81,73,0.35); }`;
+        .nb-pvp:hover   { background: rgba(248,81,73,0.12);   border-color: rgba(248,81,73,0.35); }
+        .nb-duel:hover  { background: rgba(255,170,0,0.12);   border-color: rgba(255,170,0,0.35); }`;
         document.head.appendChild(s);
         return '';
     },
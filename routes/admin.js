@@ -8,6 +8,7 @@
 //   POST /admin/save      { type, id?, data, userId }
 //   POST /admin/delete    { type, id, userId }
 //   GET  /admin/types
+//   POST /admin/simulate-battle { attacker, defender, action, runs, maxTurns, seed, userId }
 //
 // Notes:
 // - We use an explicit allow-list (TYPE_META) to prevent arbitrary table access.
@@ -15,9 +16,15 @@
 //   For those, each type can declare multiple candidate tables; we auto-resolve
 //   the first table that exists.
 // - This router supports non-"id" primary keys (e.g., level, key_name, module_key).
+// - Every save/delete drops the matching runtime cache (contentChanged), so
+//   running battles pick up edited statuses, skills, elements, commands and
+//   limit breaks, and map events pick up edited scripts, on their next lookup.
 
 const express = require('express');
 const router = express.Router();
+const BattleContent = require('../battle_content');
+const BattleManager = require('../battle_engine');
+const { invalidateScripts } = require('../event_runner');
 
 let db;
 router.init = (databaseConnection) => {
@@ -79,6 +86,8 @@ const TYPE_META = {
   shop_supply: { pk: 'id', tables: ['game_shop_supply', 'game_shop_items', 'game_shop_stock'] },
   spawn:       { pk: 'id', tables: ['game_spawns', 'game_spawn_points'] },
   arena:       { pk: 'id', tables: ['game_arenas', 'game_arena'] },
+  arena_season: { pk: 'id', tables: ['arena_seasons'] },
+  arena_tournament: { pk: 'id', tables: ['arena_tournaments'] },
 
   // --- Character / DB ---
   item:       { pk: 'id', tables: ['game_items'] },
@@ -98,6 +107,9 @@ const TYPE_META = {
   status:      { pk: 'id', tables: ['game_statuses', 'statuses', 'status_effects'] },
   limit:       { pk: 'id', tables: ['game_limit_breaks', 'limit_breaks', 'game_limits'] },
   class_skill: { pk: 'id', tables: ['game_class_skills', 'class_skills'] },
+  ai_profile:  { pk: 'id', tables: ['game_ai_profiles'] },
+  loot_table:  { pk: 'id', tables: ['game_loot_tables'] },
+  monster:     { pk: 'id', tables: ['game_monsters'] },
 
   // --- Quests + Progression ---
   quest:     { pk: 'quest_id', tables: ['quest_definitions', 'game_quests'] },
@@ -115,6 +127,12 @@ const TYPE_META = {
   script:  { pk: 'script_key',  tables: ['game_scripts', 'scripts'] },
 };
 
+// A table was edited: forget any cached copy the game is running from
+function contentChanged(table) {
+  BattleContent.invalidate(table);
+  invalidateScripts(table);
+}
+
 function isMissingTableErr(err) {
   // MySQL/MariaDB: ER_NO_SUCH_TABLE (errno 1146)
   return !!err && (err.code === 'ER_NO_SUCH_TABLE' || err.errno === 1146);
@@ -223,12 +241,14 @@ router.post('/admin/save', requireStaff, async (req, res) => {
         `UPDATE \`${table}\` SET ${setClause} WHERE \`${pk}\` = ?`,
         [...values, id]
       );
+      contentChanged(table);
 
       // If the record didn't exist AND this table uses a non-auto primary key,
       // treat this as an UPSERT so the ACP can create records with explicit IDs.
       if (result.affectedRows === 0 && pk !== 'id') {
         const insertPayload = { ...payload, [pk]: id };
         await db.query('INSERT INTO ?? SET ?', [table, insertPayload]);
+        contentChanged(table);
         return res.json({ success: true, message: 'Created!' });
       }
 
@@ -241,6 +261,7 @@ router.post('/admin/save', requireStaff, async (req, res) => {
 
     // CREATE
     const [result] = await db.query('INSERT INTO ?? SET ?', [table, payload]);
+    contentChanged(table);
     res.json({ success: true, message: 'Created!', insertId: result.insertId || null });
 
   } catch (err) {
@@ -262,6 +283,7 @@ router.post('/admin/delete', requireStaff, async (req, res) => {
     }
 
     const [result] = await db.query('DELETE FROM ?? WHERE ?? = ?', [table, pk, id]);
+    contentChanged(table);
 
     if (result.affectedRows === 0) {
       return res.status(404).json({ success: false, message: 'Record not found' });
@@ -440,4 +462,26 @@ router.post('/admin/delete-module', requireStaff, async (req, res) => {
   }
 });
 
+// -----------------------------------------------------------------
+// 6) FORMULA SIMULATOR (read-only)
+// -----------------------------------------------------------------
+// Runs an action N times through the real battle resolvers and reports
+// damage spread, crit/miss rate, turns-to-kill and duel win rate.
+// Body shapes are documented on BattleManager.simulateAction.
+router.post('/admin/simulate-battle', requireStaff, async (req, res) => {
+  try {
+    const { attacker, defender, action, runs, maxTurns, seed } = req.body || {};
+    if (!attacker || !defender || !action) {
+      return res.status(400).json({ success: false, message: 'Missing attacker, defender or action' });
+    }
+
+    const sim = await BattleManager.simulateAction(db, { attacker, defender, action, runs, maxTurns, seed });
+    if (sim.error) return res.status(400).json({ success: false, message: sim.error });
+    res.json({ success: true, data: sim });
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ success: false, message: err.message || 'Simulation failed' });
+  }
+});
+
 module.exports = router;
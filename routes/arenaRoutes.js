@@ -0,0 +1,115 @@
+// =================================================================
+// ARENA ROUTES — Arena list, ladder, seasons & tournaments
+// =================================================================
+// Mounted at /api/arena
+//
+// Queueing itself happens over Socket.IO (arena_queue_join /
+// arena_queue_leave in server.js, matchmaking in arena_ladder.js).
+// Tournament sign-ups are sockets too (tournament_signup /
+// tournament_withdraw); the brackets run in arena_tournaments.js.
+// These routes are for browsing arenas, the ladder and brackets.
+//
+// Endpoints:
+// GET /api/arena/list                    — enabled arenas + live queue sizes
+// GET /api/arena/leaderboard?seasonId=&limit=
+//                                        — ratings, highest first (current season by default)
+// GET /api/arena/seasons                 — every season, newest first
+// GET /api/arena/rating/:charId          — one character's rating this season
+// GET /api/arena/tournaments             — open, running and recent tournaments
+// GET /api/arena/tournaments/:id         — entrants + bracket (+ standings for round robin)
+// =================================================================
+
+const express = require('express');
+const router = express.Router();
+const ArenaLadder = require('../arena_ladder');
+const ArenaTournaments = require('../arena_tournaments');
+let db;
+router.init = (d) => { db = d; return router; };
+
+// ── ARENAS ───────────────────────────────────────────────────────
+router.get('/list', async (req, res) => {
+    try {
+        let rows = [];
+        for (const tbl of ['game_arenas', 'game_arena']) {
+            try {
+                [rows] = await db.query(`SELECT id, map_id, name, description, type, min_level, max_level,
+                    entry_fee, reward_multiplier, max_players, level_matching FROM \`${tbl}\` WHERE enabled=1 ORDER BY id`);
+                break;
+            } catch (e) {
+                if (e.code !== 'ER_NO_SUCH_TABLE' && e.errno !== 1146) throw e;
+            }
+        }
+        const sizes = ArenaLadder.queueSizes();
+        res.json({ success: true, data: rows.map(a => ({ ...a, queued: sizes[a.id] || 0 })) });
+    } catch (e) {
+        console.error('Arena list error:', e);
+        res.json({ success: false, error: e.message });
+    }
+});
+
+// ── LADDER ───────────────────────────────────────────────────────
+router.get('/leaderboard', async (req, res) => {
+    try {
+        const seasonId = req.query.seasonId !== undefined && req.query.seasonId !== ''
+            ? parseInt(req.query.seasonId, 10) : null;
+        const data = await ArenaLadder.leaderboard(db, { seasonId, limit: req.query.limit });
+        res.json({ success: true, data });
+    } catch (e) {
+        if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) {
+            return res.json({ success: true, data: { season: { id: 0 }, ranks: [] } });
+        }
+        console.error('Arena leaderboard error:', e);
+        res.json({ success: false, error: e.message });
+    }
+});
+
+router.get('/seasons', async (req, res) => {
+    try {
+        const [rows] = await db.query("SELECT * FROM arena_seasons ORDER BY id DESC");
+        res.json({ success: true, data: rows });
+    } catch (e) {
+        if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) return res.json({ success: true, data: [] });
+        res.json({ success: false, error: e.message });
+    }
+});
+
+router.get('/rating/:charId', async (req, res) => {
+    try {
+        const charId = parseInt(req.params.charId, 10);
+        if (!charId) return res.json({ success: false, error: 'Invalid character id' });
+        const season = await ArenaLadder.currentSeason(db);
+        const [rows] = await db.query("SELECT rating, wins, losses, peak FROM arena_ratings WHERE character_id=? AND season_id=?",
+            [charId, season.id]);
+        res.json({ success: true, data: { season, ...(rows[0] || { rating: null, wins: 0, losses: 0, peak: null }) } });
+    } catch (e) {
+        if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) return res.json({ success: true, data: { rating: null } });
+        res.json({ success: false, error: e.message });
+    }
+});
+
+// ── TOURNAMENTS ──────────────────────────────────────────────────
+router.get('/tournaments', async (req, res) => {
+    try {
+        res.json({ success: true, data: await ArenaTournaments.listTournaments(db) });
+    } catch (e) {
+        if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) return res.json({ success: true, data: [] });
+        console.error('Tournament list error:', e);
+        res.json({ success: false, error: e.message });
+    }
+});
+
+router.get('/tournaments/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (!id) return res.json({ success: false, error: 'Invalid tournament id' });
+        const data = await ArenaTournaments.bracketView(db, id);
+        if (!data) return res.json({ success: false, error: 'Tournament not found' });
+        res.json({ success: true, data });
+    } catch (e) {
+        if (e.code === 'ER_NO_SUCH_TABLE' || e.errno === 1146) return res.json({ success: false, error: 'Tournaments not set up' });
+        console.error('Tournament bracket error:', e);
+        res.json({ success: false, error: e.message });
+    }
+});
+
+module.exports = router;
@@ -16,12 +16,15 @@
 //
 // Hook (IMPORTANT):
 //   artifactRoutes.onPvpKill(killerCharId, victimCharId, context)
+//   init() subscribes it to the battle_ended event (battle_events.js),
+//   so every finished PvP battle reports its kills here.
 //
 // Context example:
 //   { location: 'Arena', timestamp: Date.now(), isDuel: false }
 
 const express = require('express');
 const router = express.Router();
+const BattleEvents = require('../battle_events');
 
 let db;
 let io; // optional socket.io instance for global broadcasts
@@ -29,6 +32,7 @@ let io; // optional socket.io instance for global broadcasts
 router.init = (database, ioInstance = null) => {
   db = database;
   io = ioInstance;
+  BattleEvents.on('battle_ended', onBattleEnded); // on() ignores a second subscribe
   return router;
 };
 
@@ -294,6 +298,51 @@ async function onPvpKill(killerCharId, victimCharId, context = {}) {
 
 router.onPvpKill = onPvpKill;
 
+// -----------------------------
+// Battle hook: PvP kills -> onPvpKill
+// -----------------------------
+// Each fallen player counts as a kill for whoever knocked them out
+// (or the battle winner, if a status effect finished them).
+async function onBattleEnded({ db: battleDb, io: battleIo, battle, finished, losers }) {
+  if (battle.type !== 'PVP' || !finished) return;
+
+  for (const loser of losers) {
+    const killerId = (loser.defeatedBy && battle.combatants[loser.defeatedBy]?.side === battle.winningSide)
+      ? loser.defeatedBy
+      : battle.winner;
+    if (!killerId) continue;
+    try {
+      // Pull a tiny bit of context (location) for logging / future features.
+      const [posRows] = await battleDb.query(
+        'SELECT id, map_id, x, y FROM characters WHERE id IN (?,?)',
+        [killerId, loser.charId]
+      );
+      const posById = {};
+      for (const r of posRows) posById[r.id] = r;
+
+      const hookRes = await onPvpKill(killerId, loser.charId, {
+        location: {
+          mapId: posById[killerId]?.map_id ?? null,
+          x: posById[killerId]?.x ?? null,
+          y: posById[killerId]?.y ?? null
+        },
+        timestamp: Date.now(),
+        // Wagered duels are friendly fights: the kill is logged
+        // but artifacts only change hands in normal PvP.
+        isDuel: !!battle.duel
+      });
+
+      // Optional broadcast: clients may listen for this to show global announcements.
+      const out = battleIo || io;
+      if (hookRes && hookRes.transferred && out && typeof out.emit === 'function') {
+        out.emit('artifact_transfer', hookRes);
+      }
+    } catch (e) {
+      console.error('Artifact onPvpKill hook failed:', e);
+    }
+  }
+}
+
 // -----------------------------
 // API Endpoints
 // -----------------------------
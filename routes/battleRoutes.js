@@ -0,0 +1,51 @@
+// =================================================================
+// BATTLE ROUTES — Read-only battle history + replays
+// =================================================================
+// Mounted at /api/battles
+//
+// Live combat runs over Socket.IO (battle_engine.js). These routes are
+// for looking back at finished fights (and peeking at running ones).
+//
+// Endpoints:
+// GET /api/battles/live?mapId=&arenaId= — fights in progress, for arena
+//                                       boards; watching goes through the
+//                                       battle_spectate socket event
+// GET /api/battles/:battleId/replay   — re-simulate from the saved seed
+//                                       + action list, frame by frame
+// =================================================================
+
+const express = require('express');
+const router = express.Router();
+const BattleManager = require('../battle_engine');
+let db;
+router.init = (d) => { db = d; return router; };
+
+// ── LIVE ─────────────────────────────────────────────────────────
+router.get('/live', (req, res) => {
+    const mapId = req.query.mapId ? parseInt(req.query.mapId, 10) : null;
+    const arenaId = req.query.arenaId ? parseInt(req.query.arenaId, 10) : null;
+    res.json({ success: true, data: BattleManager.listBattles({ mapId, arenaId }) });
+});
+
+// ── REPLAY ───────────────────────────────────────────────────────
+// Returns { frames: [{ action, state }], log, matches } — `matches` is
+// false if the re-simulated log differs from the one stored at the end
+// of the fight (useful when a PvP result is disputed).
+router.get('/:battleId/replay', async (req, res) => {
+    try {
+        const battleId = parseInt(req.params.battleId, 10);
+        if (!battleId) return res.json({ success: false, error: 'Invalid battle id' });
+        if (BattleManager.activeBattles[battleId]) {
+            return res.json({ success: false, error: 'Battle is still in progress.' });
+        }
+
+        const replay = await BattleManager.replayBattle(db, battleId);
+        if (replay.error) return res.json({ success: false, error: replay.error });
+        res.json({ success: true, data: replay });
+    } catch (e) {
+        console.error('Battle replay error:', e);
+        res.json({ success: false, error: e.message });
+    }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { runStoredScript } = require('../event_runner');
 let db;
 router.init = (c) => { db = c; };
 function jp(s, f) { try { return JSON.parse(s); } catch { return f; } }
@@ -72,6 +73,8 @@ router.post('/get-map', async (req, res) => {
 
 router.post('/save-state', async (req, res) => {
     const {userId,charId,state}=req.body;
+    // _event is the event runner's paused script; it lives server-side only
+    if(state&&typeof state==='object') delete state._event;
     try {
         const [r]=await db.query("UPDATE characters SET state_json=? WHERE id=? AND user_id=?",[JSON.stringify(state),charId,userId]);
         if(r.affectedRows===0) return res.json({success:false,message:"Unauthorized."});
@@ -281,6 +284,9 @@ router.post('/get-char-full', async (req, res) => {
 // we apply the effect immediately to current_hp/current_mp and consume the item.
 // Items can also have a stats_json with { heal_hp, restore_mp, heal_pct } for
 // more complex effects. We check both so the system is forward-compatible.
+// An item with a script_key also runs that stored script (event_runner.js)
+// when used — after the heal for consumables, and without using it up for
+// anything else (keys, maps, letters...).
 router.post('/use-item', async (req, res) => {
     const { userId, charId, itemId } = req.body;
     try {
@@ -293,7 +299,13 @@ router.post('/use-item', async (req, res) => {
         );
         if (!inv.length) return res.json({ success: false, message: 'Item not in inventory.' });
         const item = inv[0];
-        if (item.type !== 'CONSUMABLE') return res.json({ success: false, message: 'This item cannot be used outside of battle.' });
+        const [defRows] = await db.query('SELECT * FROM game_items WHERE id=?', [itemId]);
+        const scriptKey = (defRows.length && defRows[0].script_key) || null;
+        if (item.type !== 'CONSUMABLE') {
+            if (!scriptKey) return res.json({ success: false, message: 'This item cannot be used outside of battle.' });
+            await runStoredScript(db, charId, scriptKey, { item: Number(itemId) });
+            return res.json({ success: true, message: `Used ${item.name}.` });
+        }
 
         // Parse stats_json for extended effects
         let stats = {};
@@ -333,6 +345,7 @@ router.post('/use-item', async (req, res) => {
         } else {
             await db.query('DELETE FROM character_items WHERE character_id=? AND item_id=?', [charId, itemId]);
         }
+        if (scriptKey) await runStoredScript(db, charId, scriptKey, { item: Number(itemId) });
 
         // Build result message
         const parts = [];
@@ -13,14 +13,23 @@
 // POST /complete
 // POST /abandon
 // GET  /npc-offers/:npcId/:characterId   (optional hook)
+//
+// "kill" objectives advance on their own: we listen for
+// combatant_defeated on the battle event bus (see onCombatantDefeated).
+//
+// A template with a script_key runs that stored script (event_runner.js)
+// when the quest is turned in, with { quest: quest_id } as its parameter.
 
 const express = require('express');
 const router = express.Router();
+const BattleEvents = require('../battle_events');
+const { runStoredScript } = require('../event_runner');
 
 let db;
 
 router.init = (database) => {
   db = database;
+  BattleEvents.on('combatant_defeated', onCombatantDefeated);
   return router;
 };
 
@@ -89,6 +98,7 @@ function normalizeObjectives(template) {
     type: o.type || 'generic',
     target: Number.isFinite(+o.target) ? +o.target : 1,
     text: o.text || o.description || `Complete objective ${idx + 1}`,
+    ...(o.monster_id ? { monster_id: +o.monster_id } : {}),
   }));
 }
 
@@ -102,6 +112,7 @@ function buildActiveQuestState(template) {
       complete: false,
       type: obj.type,
       text: obj.text,
+      ...(obj.monster_id ? { monster_id: obj.monster_id } : {}),
     };
   }
 
@@ -130,6 +141,51 @@ function hoursBetween(isoA, isoB) {
   return Math.abs(a - b) / (1000 * 60 * 60);
 }
 
+// -----------------------------
+// Battle hook: kill objectives
+// -----------------------------
+// { key, type: 'kill', target: 5, monster_id: 3 } counts knock-outs of that
+// monster; leave monster_id out and any AI enemy counts. Every player on
+// the other side gets the credit, so a party shares its kills.
+async function onCombatantDefeated({ io, battle, combatant }) {
+  if (!combatant || !combatant.isAI) return;
+
+  const credited = Object.values(battle.combatants)
+    .filter(c => !c.isAI && !c.monsterId && c.side !== combatant.side);
+  for (const c of credited) {
+    const [rows] = await db.query('SELECT state_json FROM characters WHERE id = ? LIMIT 1', [c.charId]);
+    if (!rows.length) continue;
+    const state = safeJsonParse(rows[0].state_json || '{}', {});
+
+    const progressed = [];
+    for (const q of Object.values(state.quests?.active || {})) {
+      for (const obj of Object.values(q.objectives || {})) {
+        if (obj.type !== 'kill' || obj.complete) continue;
+        if (obj.monster_id && obj.monster_id !== combatant.monsterId) continue;
+
+        obj.current = (obj.current || 0) + 1;
+        if (obj.current >= (obj.target || 1)) {
+          obj.current = obj.target || obj.current;
+          obj.complete = true;
+        }
+        q.is_ready_to_turn_in = isQuestComplete(q);
+        progressed.push({
+          questId: q.quest_id, title: q.title, text: obj.text,
+          current: obj.current, target: obj.target, complete: obj.complete,
+          readyToTurnIn: q.is_ready_to_turn_in,
+        });
+      }
+    }
+    if (!progressed.length) continue;
+    await saveState(c.charId, state);
+
+    if (!io) continue;
+    const sockets = await io.in('battle_' + battle.id).fetchSockets();
+    const s = sockets.find(x => x._battleCharId === c.charId);
+    if (s) s.emit('quest_progress', progressed);
+  }
+}
+
 async function getQuestTemplate(questId) {
   const [rows] = await db.query('SELECT * FROM quest_definitions WHERE quest_id = ? LIMIT 1', [questId]);
   return rows[0] || null;
@@ -310,6 +366,7 @@ router.post('/complete', async (req, res) => {
     state.xp = (state.xp || 0) + xpReward;
 
     await saveState(characterId, state);
+    await runStoredScript(db, characterId, t.script_key, { quest: questId });
 
     res.json({
       success: true,
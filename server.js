@@ -22,9 +22,15 @@ const progressionRoutes = require('./routes/progressionRoutes');
 const artifactRoutes = require('./routes/artifactRoutes');
 const partyRoutes = require('./routes/partyRoutes');
 const guildRoutes = require('./routes/guildRoutes');
+const battleRoutes = require('./routes/battleRoutes');
+const arenaRoutes = require('./routes/arenaRoutes');
 const { getNpcReply } = require('./npc_brain');
-const { handleMapEvent, executeActions } = require('./event_runner');
+const { init: initEventRunner, handleMapEvent, resumeChoice, resumeAfterBattle, pendingChoice, withPlayerState, invalidateScripts } = require('./event_runner');
 const BattleManager = require('./battle_engine');
+const ArenaLadder = require('./arena_ladder');
+const ArenaTournaments = require('./arena_tournaments');
+const DuelWagers = require('./duel_wagers');
+const BattleContent = require('./battle_content');
 
 const app = express();
 const server = http.createServer(app);
@@ -72,6 +78,8 @@ async function startServer() {
         artifactRoutes.init(db, io);
         partyRoutes.init(db);
         guildRoutes.init(db);
+        battleRoutes.init(db);
+        arenaRoutes.init(db);
         app.use('/', authRoutes);
         app.use('/', gameRoutes);
         app.use('/', adminRoutes);
@@ -80,8 +88,21 @@ async function startServer() {
         app.use('/api/artifacts', artifactRoutes);
         app.use('/api/party', partyRoutes);
         app.use('/api/guild', guildRoutes);
+        app.use('/api/battles', battleRoutes);
+        app.use('/api/arena', arenaRoutes);
         console.log("✅ ROUTES ACTIVE");
 
+        // Map-event BATTLE actions: start fights and resume scripts when they end
+        initEventRunner(io, onlinePlayers, startEventBattle);
+        // Bring back any battles that were mid-fight when the server stopped
+        await BattleManager.restoreBattles(db, io);
+        // ...and hand back duel stakes whose battle didn't survive the restart
+        await DuelWagers.refundOrphans(db, BattleManager.activeBattles);
+        // Arena matchmaking queues (QUEUE-type arenas)
+        ArenaLadder.init(db, io, BattleManager);
+        // Tournament scheduler (sign-up windows, bracket matches, prizes)
+        ArenaTournaments.init(db, io, BattleManager, onlinePlayers);
+
         // --- MAP CACHE HELPER ---
         async function getMapData(mapId) {
             if (mapCache[mapId]) return mapCache[mapId];
@@ -106,6 +127,8 @@ async function startServer() {
         }
 
         // Admin cache clear endpoint (STAFF ONLY)
+        // { mapId } clears one map; no mapId clears every map plus the
+        // battle rules cache (statuses, elements, skills, commands, limits)
         app.post('/admin/clear-cache', async (req, res) => {
             try {
                 const userId = req.body.userId || req.headers['x-user-id'];
@@ -113,7 +136,12 @@ async function startServer() {
                     return res.status(403).json({ success: false, message: 'Forbidden' });
                 }
                 const { mapId } = req.body;
-                if (mapId) delete mapCache[mapId]; else mapCache = {};
+                if (mapId) delete mapCache[mapId];
+                else {
+                    mapCache = {};
+                    BattleContent.invalidate();
+                    invalidateScripts();
+                }
                 res.json({ success: true });
             } catch (e) {
                 console.error('clear-cache error:', e);
@@ -144,6 +172,31 @@ async function startServer() {
         const activeTrades = {};   // tradeId -> trade object
         let   tradeCounter = 1;    // simple ID generator
 
+        // --- PVP CHALLENGES ---
+        // What the challenger asked for, kept until the target answers, so
+        // the accepting side can't rewrite it (e.g. whose party comes along)
+        const pendingChallenges = {};   // "challengerCharId:targetCharId" -> { withParty, timer }
+        const CHALLENGE_TTL_MS = 60000;
+
+        // Remove one challenge (and its expiry timer); returns it, or null if gone
+        function takeChallenge(key) {
+            const challenge = pendingChallenges[key];
+            if (!challenge) return null;
+            clearTimeout(challenge.timer);
+            delete pendingChallenges[key];
+            return challenge;
+        }
+
+        // Drop every challenge this character sent or received (disconnect)
+        function dropChallenges(charId) {
+            for (const key of Object.keys(pendingChallenges)) {
+                const [from, to] = key.split(':').map(Number);
+                if (from !== charId && to !== charId) continue;
+                takeChallenge(key);
+                DuelWagers.take(from, to);
+            }
+        }
+
         // Helper: broadcast party state to all online members
         function broadcastPartyUpdate(partyId) {
             const party = activeParties[partyId];
@@ -171,6 +224,69 @@ async function startServer() {
             };
         }
 
+        // Helper: build one side of a battle — the leader plus any party
+        // members who are online, on the same map and not already fighting.
+        function buildBattleSide(leader, leaderSocket, withParty = true) {
+            const side = [{ charId: leader.charId, socket: leaderSocket }];
+            const party = withParty ? activeParties[charPartyMap[leader.charId]] : null;
+            if (!party) return side;
+            for (const cid of party.members) {
+                if (cid === leader.charId) continue;
+                const entry = Object.entries(onlinePlayers).find(([, pl]) => pl.charId === cid);
+                if (!entry || entry[1].mapId !== leader.mapId) continue;
+                const memberSocket = io.sockets.sockets.get(entry[0]);
+                if (!memberSocket || memberSocket._battleId) continue;
+                side.push({ charId: cid, socket: memberSocket });
+            }
+            return side;
+        }
+
+        // Helper: start a PvE fight for a player (and their party). The enemy
+        // is either a character row (enemyCharId) or a monster template spawned
+        // fresh: { monsterId, level, count }. Used by start_pve_battle and by
+        // map-event BATTLE actions. -> battleId, or null if nothing started.
+        async function startPveBattle(p, socket, { enemyCharId, npcId, monsterId, level, count }) {
+            if (socket._battleId) return null;
+            // An NPC can carry its own AI profile (falls back to the class profile),
+            // loot table (falls back to the enemy's own) and monster template
+            let aiProfileId = null, lootTableId = null;
+            if (npcId) {
+                const [npcRows] = await db.query("SELECT * FROM game_npcs WHERE id=?", [npcId]);
+                if (npcRows.length) {
+                    aiProfileId = npcRows[0].ai_profile_id || null; // undefined until migrated
+                    lootTableId = npcRows[0].loot_table_id || null;
+                    monsterId = monsterId || npcRows[0].monster_id || null;
+                }
+            }
+            if (!monsterId && !enemyCharId) return null;
+            const enemies = monsterId
+                ? Array.from({ length: Math.min(Math.max(parseInt(count, 10) || 1, 1), 6) },
+                    () => ({ monsterId, level, aiProfileId, lootTableId }))
+                : [{ charId: enemyCharId, isAI: true, aiProfileId, lootTableId }];
+            return BattleManager.createBattle(db, io, {
+                type: 'PVE',
+                mapId: p.mapId,
+                sides: [buildBattleSide(p, socket), enemies]
+            });
+        }
+
+        // Event runner's battle starter: BATTLE { enemyId } is an NPC, the
+        // same way random encounters pick one
+        function startEventBattle(socket, player, { enemyId, monsterId, level, count }) {
+            return startPveBattle(player, socket, { enemyCharId: enemyId, npcId: enemyId, monsterId, level, count });
+        }
+
+        // Helper: may this player watch that battle? Fights on their own map
+        // and arena bouts are open to anyone; guildmates can tune in from anywhere.
+        function canSpectate(p, info) {
+            if (!info) return false;
+            if (info.arenaId || info.mapId === p.mapId) return true;
+            const myGuild = charGuildMap[p.charId];
+            if (!myGuild) return false;
+            return info.sides.some(side => side.some(c => !c.isAI
+                && charGuildMap[c.id] && charGuildMap[c.id].guildId === myGuild.guildId));
+        }
+
         io.on('connection', (socket) => {
             console.log('⚡ SOCKET:', socket.id);
             let lastMoveTime = 0;
@@ -227,6 +343,16 @@ async function startServer() {
                     socket.emit('player_list', mapPlayers);
                     socket.to('map_' + char.map_id).emit('player_joined', onlinePlayers[socket.id]);
                     console.log(`✅ ${char.name} joined Map ${char.map_id}`);
+
+                    // Dropped mid-battle (or the server restarted)? Put them back in.
+                    // Otherwise pick up a map event that was paused: ask a pending
+                    // CHOICE again, or run the branch of a BATTLE that ended meanwhile.
+                    const inBattle = await BattleManager.rejoinBattle(db, io, socket, char.id);
+                    if (!inBattle) {
+                        const choice = pendingChoice(char.id);
+                        if (choice) socket.emit('event_queue', [choice]);
+                        else await resumeAfterBattle(db, char.id);
+                    }
                 } catch (err) { console.error("Join error:", err); socket.emit('error_msg', "Server error."); }
             });
 
@@ -252,24 +378,14 @@ async function startServer() {
 
                     // --- EVENT RUNNER: Check STEP_ON events at new position ---
                     if (Array.isArray(map.events)) {
-                        // Load player state for condition checks
-                        const [stateRows] = await db.query("SELECT state_json, level, class_id FROM characters WHERE id=?", [p.charId]);
-                        const charState = stateRows.length ? safeJsonParse(stateRows[0].state_json, {}) : {};
-
-                        const result = await handleMapEvent({
+                        // withPlayerState loads state_json, saves what the event
+                        // changed, and skips it if a script is already running
+                        await withPlayerState(db, p.charId, ({ player, state }) => handleMapEvent({
                             triggerType: 'STEP_ON',
                             x: p.x, y: p.y,
                             mapEvents: map.events,
-                            socket, db,
-                            player: { ...p, level: stateRows[0]?.level || 1, classId: stateRows[0]?.class_id || 1 },
-                            state: charState
-                        });
-
-                        // Save modified state if actions changed it
-                        if (result && result.state) {
-                            await db.query("UPDATE characters SET state_json=? WHERE id=?",
-                                [JSON.stringify(result.state), p.charId]);
-                        }
+                            socket, db, player, state
+                        }));
                     }
 
                     // --- RANDOM ENCOUNTER CHECK ---
@@ -303,7 +419,14 @@ async function startServer() {
                                 roll -= (entry.weight || 1);
                                 if (roll <= 0) { picked = entry; break; }
                             }
-                            // Start PvE battle with this NPC
+                            // Start PvE battle with this NPC. The client answers with
+                            // start_pve_battle; what it fights is decided from this, not from its payload
+                            socket._encounter = {
+                                npcId: picked.npc_id,
+                                minLevel: zone.min_level || 1,
+                                maxLevel: zone.max_level || 50,
+                                count: picked.count || 1
+                            };
                             socket.emit('random_encounter', {
                                 zoneName: zone.name,
                                 npcId: picked.npc_id,
@@ -358,24 +481,13 @@ async function startServer() {
                     const map = await getMapData(p.mapId);
                     if (!map) return;
 
-                    // Load player state
-                    const [stateRows] = await db.query("SELECT state_json, level, class_id FROM characters WHERE id=?", [p.charId]);
-                    const charState = stateRows.length ? safeJsonParse(stateRows[0].state_json, {}) : {};
-
-                    const result = await handleMapEvent({
+                    // Same per-character lock as STEP_ON and event_choice
+                    await withPlayerState(db, p.charId, ({ player, state }) => handleMapEvent({
                         triggerType: 'INTERACT',
                         x, y,
                         mapEvents: map.events,
-                        socket, db,
-                        player: { ...p, level: stateRows[0]?.level || 1, classId: stateRows[0]?.class_id || 1 },
-                        state: charState
-                    });
-
-                    // Save modified state
-                    if (result && result.state) {
-                        await db.query("UPDATE characters SET state_json=? WHERE id=?",
-                            [JSON.stringify(result.state), p.charId]);
-                    }
+                        socket, db, player, state
+                    }));
                 } catch (err) {
                     console.error("Interact error:", err);
                 }
@@ -410,30 +522,16 @@ async function startServer() {
             });
 
             // 4c. CHOICE RESPONSE (Player picked an option from event_queue)
-            socket.on('event_choice', async ({ optionId }) => {
+            // The paused script is kept server-side per character, so this
+            // works after a reconnect too. withPlayerState runs one script per character at a
+            // time: a second click while the first resumes is dropped, and the
+            // parked choice is gone from the saved state once it has run.
+            socket.on('event_choice', async ({ optionId } = {}) => {
                 try {
                     const p = onlinePlayers[socket.id];
-                    if (!p || !socket._pendingChoices) return;
-
-                    const chosen = socket._pendingChoices[optionId];
-                    socket._pendingChoices = null;
-
-                    if (chosen && chosen.actions) {
-                        const [stateRows] = await db.query("SELECT state_json, level, class_id FROM characters WHERE id=?", [p.charId]);
-                        const charState = stateRows.length ? safeJsonParse(stateRows[0].state_json, {}) : {};
-
-                        const result = await executeActions({
-                            actions: chosen.actions,
-                            socket, db,
-                            player: { ...p, level: stateRows[0]?.level || 1, classId: stateRows[0]?.class_id || 1 },
-                            state: charState
-                        });
-
-                        if (result && result.state) {
-                            await db.query("UPDATE characters SET state_json=? WHERE id=?",
-                                [JSON.stringify(result.state), p.charId]);
-                        }
-                    }
+                    if (!p) return;
+                    await withPlayerState(db, p.charId, ({ player, state }) =>
+                        resumeChoice({ optionId, socket, db, player, state }));
                 } catch (err) { console.error("Choice error:", err); }
             });
 
@@ -442,52 +540,122 @@ async function startServer() {
             // =============================================================
 
             // 5a. PVP CHALLENGE
-            socket.on('battle_challenge', async ({ targetCharId }) => {
+            // withParty: bring online party members on this map into the fight
+            // wager: { gold, items: [{ itemId, quantity }] } makes it a 1v1 duel
+            //   (stakes held in escrow, no HP/XP loss — see duel_wagers.js)
+            socket.on('battle_challenge', async ({ targetCharId, withParty, wager }) => {
                 try {
                     const p = onlinePlayers[socket.id];
                     if (!p) return;
+                    if (targetCharId === p.charId) { socket.emit('battle_error', "You can't challenge yourself."); return; }
+                    if (socket._battleId) { socket.emit('battle_error', 'You are already in a battle.'); return; }
+                    if (ArenaLadder.isQueued(socket.id)) { socket.emit('battle_error', 'Leave the arena queue first.'); return; }
                     // Find target's socket
                     const targetEntry = Object.entries(onlinePlayers).find(([, pl]) => pl.charId === targetCharId);
                     if (!targetEntry) { socket.emit('battle_error', 'Player not found.'); return; }
                     const targetSocket = io.sockets.sockets.get(targetEntry[0]);
                     if (!targetSocket) { socket.emit('battle_error', 'Player offline.'); return; }
-                    // Send challenge
-                    targetSocket.emit('battle_challenged', { challengerName: p.name, challengerCharId: p.charId });
+                    let duel = null;
+                    if (wager) {
+                        duel = await DuelWagers.propose(db, p, targetEntry[1], wager);
+                        if (duel.error) { socket.emit('battle_error', duel.error); return; }
+                    } else {
+                        DuelWagers.take(p.charId, targetCharId);   // a plain re-challenge drops earlier duel stakes
+                    }
+                    // Send challenge — a repeat replaces the old one and restarts its clock
+                    const challengeKey = `${p.charId}:${targetCharId}`;
+                    takeChallenge(challengeKey);
+                    pendingChallenges[challengeKey] = { withParty: !duel && !!withParty,
+                        timer: setTimeout(() => { takeChallenge(challengeKey); DuelWagers.take(p.charId, targetCharId); }, CHALLENGE_TTL_MS) };
+                    targetSocket.emit('battle_challenged', { challengerName: p.name, challengerCharId: p.charId,
+                        withParty: !duel && !!withParty, duel });
                 } catch (err) { console.error("Challenge error:", err); }
             });
 
+            // 5a2. DECLINE PVP
+            socket.on('battle_decline', ({ challengerCharId } = {}) => {
+                const p = onlinePlayers[socket.id];
+                if (!p || !takeChallenge(`${challengerCharId}:${p.charId}`)) return;
+                DuelWagers.take(challengerCharId, p.charId);
+                const challengerEntry = Object.entries(onlinePlayers).find(([, pl]) => pl.charId === challengerCharId);
+                const challengerSocket = challengerEntry && io.sockets.sockets.get(challengerEntry[0]);
+                if (challengerSocket) challengerSocket.emit('battle_error', `${p.name} declined your challenge.`);
+            });
+
             // 5b. ACCEPT PVP
-            socket.on('battle_accept', async ({ challengerCharId }) => {
+            // withParty: whether the ACCEPTING side brings its party — the
+            //   challenger's choice was recorded with the challenge
+            // wager: { items } the accepting side adds to a duel (gold matches the challenger's)
+            socket.on('battle_accept', async ({ challengerCharId, withParty, wager }) => {
                 try {
                     const p = onlinePlayers[socket.id];
                     if (!p) return;
+                    if (socket._battleId) { socket.emit('battle_error', 'You are already in a battle.'); return; }
+                    const challenge = takeChallenge(`${challengerCharId}:${p.charId}`);
+                    if (!challenge) {
+                        socket.emit('battle_error', 'That challenge has expired.');
+                        return;
+                    }
                     const challengerEntry = Object.entries(onlinePlayers).find(([, pl]) => pl.charId === challengerCharId);
                     if (!challengerEntry) return;
                     const challengerSocket = io.sockets.sockets.get(challengerEntry[0]);
-
-                    const battleId = await BattleManager.createBattle(db, io, challengerSocket, socket, challengerCharId, p.charId, 'PVP');
-                    if (battleId) {
-                        // Join battle room and tag sockets with their charId
-                        socket.join('battle_' + battleId);
-                        socket._battleCharId = p.charId;
-                        if (challengerSocket) {
-                            challengerSocket.join('battle_' + battleId);
-                            challengerSocket._battleCharId = challengerCharId;
+                    if (challengerSocket && challengerSocket._battleId) { socket.emit('battle_error', 'Challenger is already in a battle.'); return; }
+
+                    // Duel: both stakes into escrow first — no fight unless both are covered
+                    const terms = DuelWagers.take(challengerCharId, p.charId);
+                    if (terms) {
+                        const duel = await DuelWagers.escrow(db, challengerEntry[1], p, terms, wager);
+                        if (duel.error) {
+                            socket.emit('battle_error', duel.error);
+                            if (challengerSocket) challengerSocket.emit('battle_error', duel.error);
+                            return;
                         }
+                        // Stakes are HELD now: any failure to start hands them straight back
+                        let battleId = null;
+                        try {
+                            battleId = await BattleManager.createBattle(db, io, {
+                                type: 'PVP',
+                                mapId: p.mapId,
+                                duel,
+                                sides: [[{ charId: challengerCharId, socket: challengerSocket }], [{ charId: p.charId, socket }]]
+                            });
+                        } catch (createErr) { console.error("Duel start error:", createErr); }
+                        if (battleId) { await DuelWagers.attach(db, duel.escrowId, battleId); return; }
+                        await DuelWagers.refund(db, duel.escrowId);
+                        const msg = 'The duel could not start. Stakes returned.';
+                        socket.emit('battle_error', msg);
+                        if (challengerSocket) challengerSocket.emit('battle_error', msg);
+                        return;
                     }
+
+                    // createBattle joins the battle room and tags each socket with its charId
+                    await BattleManager.createBattle(db, io, {
+                        type: 'PVP',
+                        mapId: p.mapId,
+                        sides: [
+                            buildBattleSide(challengerEntry[1], challengerSocket, challenge.withParty),
+                            buildBattleSide(p, socket, !!withParty)
+                        ]
+                    });
                 } catch (err) { console.error("Battle accept error:", err); }
             });
 
-            // 5c. PVE BATTLE (from event_runner or encounter)
-            socket.on('start_pve_battle', async ({ enemyCharId }) => {
+            // 5c. PVE BATTLE (random encounters; map events start theirs server-side)
+            // Party members on the same map fight alongside the player — see startPveBattle.
+            // Only the encounter the move handler just rolled can be fought: the NPC's
+            // monster_id picks the template and the zone's level range its level.
+            // Anything else in the payload (monsterId, level, count...) is ignored.
+            socket.on('start_pve_battle', async ({ npcId } = {}) => {
                 try {
                     const p = onlinePlayers[socket.id];
-                    if (!p) return;
-                    const battleId = await BattleManager.createBattle(db, io, socket, null, p.charId, enemyCharId, 'PVE');
-                    if (battleId) {
-                        socket.join('battle_' + battleId);
-                        socket._battleCharId = p.charId;
-                    }
+                    const enc = socket._encounter;
+                    if (!p || !enc || Number(npcId) !== Number(enc.npcId)) return;
+                    delete socket._encounter;
+                    const level = Math.min(Math.max(p.level || 1, enc.minLevel), enc.maxLevel);
+                    await startPveBattle(p, socket, {
+                        enemyCharId: enc.npcId, npcId: enc.npcId, level,
+                        count: Math.min(Math.max(parseInt(enc.count, 10) || 1, 1), 6)
+                    });
                 } catch (err) { console.error("PVE start error:", err); }
             });
 
@@ -567,6 +735,76 @@ async function startServer() {
                 } catch (err) { socket.emit('equip_result', { success: false, message: 'Error' }); }
             });
 
+            // 5g. SPECTATOR MODE
+            // battle_list → live battles this player may watch (optionally one
+            // map or arena); battle_spectate opens the read-only battle screen.
+            socket.on('battle_list', (filter, callback) => {
+                try {
+                    if (typeof filter === 'function') { callback = filter; filter = {}; }
+                    const p = onlinePlayers[socket.id];
+                    if (!p || typeof callback !== 'function') return;
+                    const { mapId, arenaId } = filter || {};
+                    const battles = BattleManager.listBattles({ mapId, arenaId })
+                        .filter(info => canSpectate(p, info));
+                    callback({ success: true, battles });
+                } catch (err) { console.error("Battle list error:", err); }
+            });
+
+            socket.on('battle_spectate', async ({ battleId } = {}) => {
+                try {
+                    const p = onlinePlayers[socket.id];
+                    if (!p) return;
+                    const info = BattleManager.describeBattle(parseInt(battleId, 10));
+                    if (!canSpectate(p, info)) { socket.emit('battle_error', 'You cannot watch that battle.'); return; }
+                    const res = await BattleManager.spectateBattle(io, socket, info.battleId);
+                    if (res.error) socket.emit('battle_error', res.error);
+                } catch (err) { console.error("Spectate error:", err); }
+            });
+
+            socket.on('battle_unspectate', async () => {
+                try {
+                    await BattleManager.stopSpectating(io, socket);
+                } catch (err) { console.error("Unspectate error:", err); }
+            });
+
+            // 5h. ARENA QUEUE (matchmaking for QUEUE-type arenas)
+            socket.on('arena_queue_join', async ({ arenaId } = {}) => {
+                try {
+                    const p = onlinePlayers[socket.id];
+                    if (!p) return;
+                    const res = await ArenaLadder.joinQueue(socket, p, arenaId);
+                    if (res.error) { socket.emit('arena_queue', { status: 'ERROR', error: res.error }); return; }
+                    socket.emit('arena_queue', { status: 'QUEUED', ...res });
+                } catch (err) { console.error("Arena queue error:", err); }
+            });
+
+            socket.on('arena_queue_leave', async () => {
+                try {
+                    if (await ArenaLadder.leaveQueue(socket)) socket.emit('arena_queue', { status: 'LEFT' });
+                } catch (err) { console.error("Arena leave error:", err); }
+            });
+
+            // 5i. TOURNAMENT SIGN-UPS (brackets run themselves in arena_tournaments.js)
+            socket.on('tournament_signup', async ({ tournamentId } = {}) => {
+                try {
+                    const p = onlinePlayers[socket.id];
+                    if (!p) return;
+                    const res = await ArenaTournaments.signUp(p, tournamentId);
+                    if (res.error) { socket.emit('tournament_match', { status: 'ERROR', error: res.error }); return; }
+                    socket.emit('tournament_match', { status: 'SIGNED_UP', ...res });
+                } catch (err) { console.error("Tournament signup error:", err); }
+            });
+
+            socket.on('tournament_withdraw', async ({ tournamentId } = {}) => {
+                try {
+                    const p = onlinePlayers[socket.id];
+                    if (!p) return;
+                    const res = await ArenaTournaments.withdraw(p, tournamentId);
+                    if (res.error) { socket.emit('tournament_match', { status: 'ERROR', error: res.error }); return; }
+                    socket.emit('tournament_match', { status: 'WITHDRAWN', ...res });
+                } catch (err) { console.error("Tournament withdraw error:", err); }
+            });
+
             // =============================================================
             // 7. CHAT SYSTEM — 7 Channels
             // =============================================================
@@ -1265,7 +1503,12 @@ async function startServer() {
             socket.on('disconnect', async () => {
                 try {
                     const p = onlinePlayers[socket.id];
+                    // Their battle carries on; the AFK timer covers their turns
+                    if (socket._battleId) await BattleManager.markDisconnected(db, io, socket);
+                    if (socket._watchingBattleId) await BattleManager.stopSpectating(io, socket);
+                    await ArenaLadder.leaveQueue(socket);
                     if (p) {
+                        dropChallenges(p.charId);
                         await db.query("UPDATE characters SET x=?, y=?, map_id=? WHERE id=?", [p.x, p.y, p.mapId, p.charId]);
                         socket.to('map_' + p.mapId).emit('player_left', p.charId);
                         // Clean up party membership on disconnect